@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Mortgage schedule command-line tool
+ * The page's math and validation rules, printed to stdout as a table, CSV or JSON.
+ *
+ *   node bin/mortgage-schedule.js --loan-amount 300000 --annual-rate 6.5 --years 30 --payments-per-year 12
+ *
+ * Every calculator input is an option named in kebab case, e.g. --lump-sums "12:10000,60:5000",
+ * --rate-type arm --arm-index-path "4.5,5", --round-to-cents. Inputs left out take the page defaults.
+ * Exit codes: 0 success, 1 invalid input, 2 bad usage.
+ */
+
+import { parseArgs } from 'node:util';
+import { INPUT_FIELDS, DEFAULT_INPUTS } from '../modules/state.js';
+import { parseFieldValue } from '../modules/url-state.js';
+import { validateAllInputs, findWarnings, hasErrors } from '../modules/validation-rules.js';
+import { computeMortgage, computeApr, resolveInputs, summarizeByYear } from '../modules/calculations.js';
+import { formatCurrency, formatPercent, getFrequency } from '../modules/utils.js';
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const toKebab = field => field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+
+// One option per calculator input; on/off inputs are bare flags
+const INPUT_OPTIONS = INPUT_FIELDS.reduce((acc, field) => {
+  acc[toKebab(field)] = { type: typeof DEFAULT_INPUTS[field] === 'boolean' ? 'boolean' : 'string' };
+  return acc;
+}, {});
+
+const OPTIONS = {
+  ...INPUT_OPTIONS,
+  'annual-summary': { type: 'boolean' },
+  format: { type: 'string', short: 'f', default: 'table' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: node bin/mortgage-schedule.js [options]
+
+Prints the amortization schedule for a mortgage.
+
+Output:
+  -f, --format <table|csv|json>  Output format (default: table)
+  --annual-summary               Roll periods up into one row per year
+  -h, --help                     Show this help
+
+Inputs (defaults in brackets):
+${INPUT_FIELDS.map(field => `  --${toKebab(field)}${INPUT_OPTIONS[toKebab(field)].type === 'boolean' ? '' : ' <value>'}`.padEnd(33) +
+  `[${Array.isArray(DEFAULT_INPUTS[field]) ? DEFAULT_INPUTS[field].join(',') : DEFAULT_INPUTS[field]}]`).join('\n')}
+`;
+
+/**
+ * Schedule columns: header, CSV key and how to print a row's value in the table
+ */
+const COLUMNS = [
+  { header: 'Period', key: 'period', text: row => String(row.period) },
+  { header: 'Date', key: 'date', text: row => row.date || '' },
+  { header: 'Rate', key: 'rate', text: row => formatPercent(row.rate) },
+  { header: 'Payment', key: 'payment', text: row => formatCurrency(row.payment) },
+  { header: 'Interest', key: 'interest', text: row => formatCurrency(row.interest) },
+  { header: 'Principal', key: 'principal', text: row => formatCurrency(row.principal) },
+  { header: 'of which Extra', key: 'extraPrincipal', text: row => formatCurrency(row.extraPrincipal), optional: true },
+  { header: 'of which Balloon', key: 'balloon', text: row => formatCurrency(row.balloon), optional: true },
+  { header: 'Ending Balance', key: 'endingBalance', text: row => formatCurrency(row.endingBalance) }
+];
+
+/**
+ * Read calculator inputs from the parsed options
+ * @returns {Object} A value for every input field
+ */
+function readInputs(values) {
+  const inputs = { ...DEFAULT_INPUTS };
+  INPUT_FIELDS.forEach(field => {
+    const value = values[toKebab(field)];
+    if (value === undefined) return;
+    inputs[field] = typeof value === 'boolean' ? value : parseFieldValue(field, value);
+  });
+  return inputs;
+}
+
+function formatTable(result, rows, inputs, periodLabel) {
+  const columns = COLUMNS.filter(col => !col.optional || rows.some(row => row[col.key] > 0))
+    .map(col => (col.key === 'period' ? { ...col, header: periodLabel } : col));
+  const totals = {
+    period: 'Total',
+    payment: result.totals.payment,
+    interest: result.totals.interest,
+    principal: result.totals.principal,
+    extraPrincipal: rows.reduce((sum, row) => sum + row.extraPrincipal, 0),
+    balloon: result.balloon || 0
+  };
+  const body = rows.map(row => columns.map(col => col.text(row)));
+  const footer = columns.map(col => (col.key === 'period' ? 'Total' :
+    totals[col.key] !== undefined ? formatCurrency(totals[col.key]) : ''));
+  const grid = [columns.map(col => col.header), ...body, footer];
+  const widths = columns.map((_, i) => Math.max(...grid.map(line => line[i].length)));
+  const line = cells => cells.map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ').trimEnd();
+  const rule = widths.map(w => '-'.repeat(w)).join('  ');
+
+  const frequency = getFrequency(inputs.paymentsPerYear);
+  return [
+    `${frequency.label} payment: ${formatCurrency(result.payment)}`,
+    `Total interest: ${formatCurrency(result.totals.interest)}  Total paid: ${formatCurrency(result.totals.payment)}`,
+    `APR: ${formatPercent(result.apr.apr, 3)}  Effective annual rate: ${formatPercent(result.apr.effectiveRate, 3)}`,
+    '',
+    line(grid[0]),
+    rule,
+    ...body.map(line),
+    rule,
+    line(footer)
+  ].join('\n') + '\n';
+}
+
+function formatCsv(rows) {
+  const number = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : value ?? '');
+  const lines = rows.map(row => COLUMNS.map(col =>
+    number(row[col.key], col.key === 'period' ? 0 : col.key === 'rate' ? 4 : 2)).join(','));
+  return [COLUMNS.map(col => col.key).join(','), ...lines].join('\n') + '\n';
+}
+
+function formatJson(result, rows, inputs, annualSummary) {
+  return JSON.stringify({
+    inputs,
+    annualSummary,
+    payment: result.payment,
+    interestOnlyPayment: result.interestOnlyPayment,
+    balloon: result.balloon,
+    totals: result.totals,
+    prepayment: result.prepayment,
+    apr: result.apr,
+    schedule: rows
+  }, null, 2) + '\n';
+}
+
+function main(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true, allowPositionals: false }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!FORMATS.includes(values.format)) {
+    process.stderr.write(`Unknown format "${values.format}": use ${FORMATS.join(', ')}\n`);
+    return 2;
+  }
+
+  const inputs = readInputs(values);
+  const errors = validateAllInputs(inputs);
+  if (hasErrors(errors)) {
+    process.stderr.write(`Invalid input:\n${Object.entries(errors).map(([field, error]) =>
+      `  --${toKebab(field)}: ${error}`).join('\n')}\n`);
+    return 1;
+  }
+  Object.entries(findWarnings(inputs)).forEach(([field, warning]) => {
+    process.stderr.write(`Warning: --${toKebab(field)}: ${warning}\n`);
+  });
+
+  const resolved = resolveInputs(inputs);
+  const result = { ...computeMortgage(resolved), apr: computeApr(resolved) };
+  const summarize = Boolean(values['annual-summary']) && resolved.paymentsPerYear > 1;
+  const rows = summarize ? summarizeByYear(result.schedule) : result.schedule;
+  const periodLabel = getFrequency(summarize ? 1 : resolved.paymentsPerYear).period;
+
+  const output = values.format === 'csv' ? formatCsv(rows) :
+    values.format === 'json' ? formatJson(result, rows, resolved, summarize) :
+    formatTable(result, rows, resolved, periodLabel);
+  process.stdout.write(output);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,106 @@
+/**
+ * Calculation Service – Mortgage Calculator
+ * Computes results in a Web Worker (calc-worker.js) so long schedules don't hold up
+ * typing, or on the main thread where workers are unavailable.
+ * Only the newest request matters: a request overtaken by a newer one (or cancelled)
+ * resolves with null, and requests queued behind a busy worker are dropped unsent.
+ */
+
+import { computeResults } from './calculations.js';
+
+/**
+ * Start the calculation worker
+ * @returns {Worker|null} null where module workers can't be created (e.g. pages opened from file://)
+ */
+function startWorker(){
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./calc-worker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a calculation service
+ * @param {Object} options - { worker }: a Worker speaking calc-worker.js's messages,
+ *   or null to calculate on the main thread (default: a new calc-worker.js)
+ * @returns {Object} { calculate(inputs) -> Promise<result|null>, cancel(), dispose() }
+ */
+export function createCalcService({ worker = startWorker() } = {}){
+  let nextId = 0;
+  let running = null;  // request the worker is computing: { id, inputs, resolve, reject, stale }
+  let waiting = null;  // newest request queued behind it
+
+  function runHere(request){
+    try {
+      request.resolve(computeResults(request.inputs));
+    } catch (e) {
+      request.reject(e);
+    }
+  }
+
+  function send(request){
+    running = request;
+    worker.postMessage({ id: request.id, inputs: request.inputs });
+  }
+
+  function handleMessage({ data }){
+    const request = running;
+    if (!request || data.id !== request.id) return;
+    running = null;
+    if (!request.stale) {
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.result);
+    }
+    if (waiting) {
+      const next = waiting;
+      waiting = null;
+      send(next);
+    }
+  }
+
+  // The worker failed to load or crashed: finish the newest request here and stay on the main thread
+  function handleError(event){
+    if (event && event.preventDefault) event.preventDefault();
+    console.warn('Calculation worker failed; calculating on the main thread');
+    worker.terminate();
+    worker = null;
+    const next = waiting || (running && !running.stale ? running : null);
+    running = null;
+    waiting = null;
+    if (next) runHere(next);
+  }
+
+  if (worker) {
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+  }
+
+  function cancel(){
+    if (waiting) waiting.resolve(null);
+    waiting = null;
+    if (running && !running.stale) {
+      running.stale = true;
+      running.resolve(null);
+    }
+  }
+
+  return {
+    calculate(inputs){
+      cancel();
+      return new Promise((resolve, reject) => {
+        const request = { id: ++nextId, inputs, resolve, reject, stale: false };
+        if (!worker) runHere(request);
+        else if (running) waiting = request;
+        else send(request);
+      });
+    },
+    cancel,
+    dispose(){
+      cancel();
+      if (worker) worker.terminate();
+      worker = null;
+    }
+  };
+}
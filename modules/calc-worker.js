@@ -0,0 +1,15 @@
+/**
+ * Calculation Worker – Mortgage Calculator
+ * Runs computeResults off the main thread for calc-service.js.
+ * Messages in: { id, inputs }; out: { id, result } or { id, error }.
+ */
+
+import { computeResults } from './calculations.js';
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, result: computeResults(data.inputs) });
+  } catch (e) {
+    self.postMessage({ id: data.id, error: e.message });
+  }
+});
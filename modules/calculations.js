@@ -1,68 +1,539 @@
+import { parseDate, formatDate, paymentDate, accrualDays, yearFraction } from './dates.js';
+
 /**
- * Annual-payment mortgage schedule.
+ * Level-payment mortgage schedule.
  * PMT = P * [ r (1+r)^n / ((1+r)^n - 1) ]
+ * where r = annualRate / paymentsPerYear and n = years * paymentsPerYear.
+ *
+ * Optional prepayments go straight to principal and shorten the term:
+ *  - extraPayment: added to every scheduled payment
+ *  - lumpSums: one-off amounts [{ period, amount }]
+ *
+ * rateType 'arm' makes it an adjustable-rate mortgage (see buildRatePath);
+ * the payment is recomputed on the remaining balance whenever the rate resets.
+ *
+ * roundToCents mirrors a lender's servicing system: the payment and each period's
+ * interest are rounded to the cent, the final payment is adjusted to clear the
+ * balance exactly, and totals are summed from the rounded rows.
+ *
+ * Calendar dates: with a startDate (ISO "YYYY-MM-DD") each row carries its payment date,
+ * period 1 falling one payment interval after the start. dayCount sets how interest accrues:
+ * '30/360' (every period is 1/paymentsPerYear of a year), 'ACT/365' or 'ACT/360' (actual days
+ * in the period over a 365- or 360-day year). The level payment is always set at the nominal
+ * periodic rate, so under the actual-day conventions the final payment absorbs the difference.
+ *
+ * Loan structure:
+ *  - interestOnlyYears: initial periods pay interest only; the rest of `years` amortizes
+ *  - balloonYears: the remaining balance falls due at this year, with `years`
+ *    kept as the amortization basis for the regular payment (0 = no balloon)
+ *
  * Returns:
- *  - payment (annual)
- *  - schedule: [{ year, payment, interest, principal, endingBalance }]
- *  - totals: { interest, principal, payment }
+ *  - payment (first amortizing scheduled payment, per period)
+ *  - interestOnlyPayment: first interest-only payment, or null
+ *  - balloon: balloon amount, or null
+ *  - schedule: [{ period, year, date, rate, payment, interest, principal, extraPrincipal, balloon,
+ *    paymentAdjustment, adjusted, endingBalance }]
+ *    where date is the payment date (null without a startDate), rate is the annual rate (%)
+ *    in effect for the period, principal includes
+ *    extraPrincipal and balloon, and adjusted flags a regular payment that differs from
+ *    the scheduled one by paymentAdjustment (normally the final payment)
+ *  - totals: { interest, principal, payment } (sums of the schedule rows)
+ *  - prepayment: null, or { interestSaved, periodsSaved, payoffPeriod, baselinePayoffPeriod }
  */
-export function computeMortgage({ loanAmount, annualRate, years }) {
+export function computeMortgage({
+  loanAmount,
+  annualRate,
+  years,
+  paymentsPerYear = 1,
+  extraPayment = 0,
+  lumpSums = [],
+  rateType = 'fixed',
+  interestOnlyYears = 0,
+  balloonYears = 0,
+  roundToCents = false,
+  startDate = null,
+  dayCount = '30/360',
+  ...arm
+}) {
   const P = Number(loanAmount);
-  const r = Number(annualRate) / 100; // annual rate
-  const n = Math.round(Number(years));
-
-  if (r === 0) {
-    const payment = P / n;
-    const schedule = [];
-    let bal = P;
-    for (let y = 1; y <= n; y++) {
-      const principal = y === n ? bal : payment;
-      const interest = 0;
-      bal = Math.max(0, bal - principal);
-      schedule.push({ year: y, payment, interest, principal, endingBalance: bal });
-    }
-    const totals = {
-      payment: payment * n,
-      interest: 0,
-      principal: P
+  const m = Number(paymentsPerYear) || 1;
+  const n = Math.round(Number(years) * m);
+  const io = Math.round(Number(interestOnlyYears || 0) * m);
+  const due = Number(balloonYears) > 0 ? Math.min(Math.round(Number(balloonYears) * m), n) : n;
+  const rates = rateType === 'arm'
+    ? buildRatePath({ annualRate, n, m, ...arm })
+    : new Array(n).fill(Number(annualRate));
+  const start = parseDate(startDate);
+  const dates = start ? Array.from({ length: due + 1 }, (_, p) => paymentDate(start, p, m)) : null;
+  // Year fraction of each period; null means exactly 1/m (30/360, or no dates)
+  const accrual = dates && dayCount !== '30/360'
+    ? dates.slice(1).map((date, i) => yearFraction(dates[i], date, dayCount))
+    : null;
+  const structure = { P, rates, n, m, io, due, accrual, round: roundToCents ? toCents : v => v };
+
+  const extra = Number(extraPayment) || 0;
+  const lumps = {};
+  (lumpSums || []).forEach(({ period, amount }) => {
+    lumps[period] = (lumps[period] || 0) + Number(amount);
+  });
+
+  const { schedule, totals, payment } = amortize({ ...structure, extra, lumps });
+  schedule.forEach(row => { row.date = dates ? formatDate(dates[row.period]) : null; });
+
+  let prepayment = null;
+  if (extra > 0 || Object.keys(lumps).length > 0) {
+    const baseline = amortize({ ...structure, extra: 0, lumps: {} });
+    prepayment = {
+      interestSaved: baseline.totals.interest - totals.interest,
+      periodsSaved: baseline.schedule.length - schedule.length,
+      payoffPeriod: schedule.length,
+      baselinePayoffPeriod: baseline.schedule.length
     };
-    return { payment, schedule, totals };
   }
 
-  const payment = P * (r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1);
+  const last = schedule[schedule.length - 1];
+  return {
+    payment,
+    interestOnlyPayment: io > 0 ? schedule[0].payment - schedule[0].extraPrincipal : null,
+    balloon: last.balloon > 0 ? last.balloon : null,
+    schedule,
+    totals,
+    prepayment
+  };
+}
+
+/**
+ * Refinance analysis: pay off the existing loan after refiYearsPaid with a new
+ * fixed-rate loan for the remaining balance (same payment frequency), with
+ * refiClosingCosts paid up front.
+ * Both schedules are renumbered so period 1 is the first payment after refinancing.
+ * The loans are compared as contracted: the existing loan is followed without its extra
+ * payments and lump sums (the borrower could keep making them after refinancing), and
+ * its balloon is not counted as a saving, since the new loan repays that balance too.
+ * @returns {Object} {
+ *   balance,                 // balance refinanced
+ *   existing, refinanced,    // { payment, schedule, totals } from the refinance date on
+ *   savingsPerPeriod,        // first existing payment minus new payment
+ *   annualSavings,
+ *   breakEvenPeriod,         // first period whose cumulative savings cover closing costs, or null
+ *   interestDifference,      // remaining interest on existing minus interest on new loan
+ *   closingCosts
+ * }
+ */
+export function computeRefinance({ refiYearsPaid, refiRate, refiYears, refiClosingCosts = 0, ...existingInputs }) {
+  const m = Number(existingInputs.paymentsPerYear) || 1;
+  const current = computeMortgage({ ...existingInputs, extraPayment: 0, lumpSums: [] });
+  const paid = Math.round(Number(refiYearsPaid) * m);
+  const balance = paid === 0 ? Number(existingInputs.loanAmount) : current.schedule[paid - 1].endingBalance;
+
+  const renumber = (row, i) => ({ ...row, period: i + 1, year: Math.ceil((i + 1) / m) });
+  const existingRows = current.schedule.slice(paid).map(renumber);
+  const refinanced = computeMortgage({
+    loanAmount: balance,
+    annualRate: refiRate,
+    years: refiYears,
+    paymentsPerYear: m,
+    roundToCents: existingInputs.roundToCents,
+    // the new loan starts on the refinance date
+    startDate: paid === 0 ? existingInputs.startDate : current.schedule[paid - 1].date,
+    dayCount: existingInputs.dayCount
+  });
+
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+  const closingCosts = Number(refiClosingCosts);
+  // Regular payment of an existing row, without the balloon
+  const scheduledPayment = row => (row ? row.payment - row.balloon : 0);
+
+  // Cumulative payment savings against the up-front closing costs
+  let breakEvenPeriod = null;
+  let cumulative = 0;
+  const horizon = Math.max(existingRows.length, refinanced.schedule.length);
+  for (let i = 0; i < horizon; i++) {
+    cumulative += scheduledPayment(existingRows[i]) - (refinanced.schedule[i]?.payment || 0);
+    if (cumulative >= closingCosts) { breakEvenPeriod = i + 1; break; }
+  }
+
+  const savingsPerPeriod = scheduledPayment(existingRows[0]) - refinanced.payment;
+
+  return {
+    balance,
+    existing: {
+      payment: scheduledPayment(existingRows[0]),
+      schedule: existingRows,
+      totals: { payment: sum(existingRows, 'payment'), interest: sum(existingRows, 'interest'), principal: sum(existingRows, 'principal') }
+    },
+    refinanced: { payment: refinanced.payment, schedule: refinanced.schedule, totals: refinanced.totals },
+    savingsPerPeriod,
+    annualSavings: savingsPerPeriod * m,
+    breakEvenPeriod,
+    interestDifference: sum(existingRows, 'interest') - refinanced.totals.interest,
+    closingCosts
+  };
+}
+
+/**
+ * Payoff quote at a point in the loan, given either as a payment period
+ * (quoteBy 'period'; fractions fall part-way through the next period, e.g. 12.5)
+ * or as a calendar date (quoteBy 'date', counted from startDate).
+ * Interest accrues simply within a period: accruedInterest = balance x annual rate x the
+ * year fraction elapsed since the last payment under dayCount (a period quote takes
+ * its fraction of the next period's accrual).
+ * The remaining payments are discounted at marketRate (% a year, same compounding as
+ * the loan) back to the quote point.
+ * @returns {Object} {
+ *   paymentsMade,            // payments made by the quote point
+ *   fraction,                // elapsed fraction of the current period
+ *   daysAccrued,             // days of interest since the last payment date (date quotes), else null
+ *   balance,                 // outstanding principal
+ *   accruedInterest,
+ *   payoffAmount,            // balance + accruedInterest
+ *   remainingPayments,
+ *   presentValue             // PV of the remaining payments at marketRate
+ * }
+ */
+export function computePayoffQuote({ quoteBy = 'period', quotePeriod = 0, quoteDate, marketRate, ...inputs }) {
+  const m = Number(inputs.paymentsPerYear) || 1;
+  const dayCount = inputs.dayCount || '30/360';
+  const start = parseDate(inputs.startDate);
+  const { schedule } = computeMortgage(inputs);
+
+  let paymentsMade;
+  let fraction;
+  let accrued; // year fraction since the last payment
+  let daysAccrued = null;
+  if (quoteBy === 'date') {
+    const date = parseDate(quoteDate);
+    paymentsMade = 0;
+    while (paymentsMade < schedule.length && paymentDate(start, paymentsMade + 1, m) <= date) paymentsMade++;
+    const lastPaid = paymentDate(start, paymentsMade, m);
+    daysAccrued = accrualDays(lastPaid, date, dayCount);
+    fraction = daysAccrued / accrualDays(lastPaid, paymentDate(start, paymentsMade + 1, m), dayCount);
+    accrued = yearFraction(lastPaid, date, dayCount);
+  } else {
+    paymentsMade = Math.min(Math.floor(Number(quotePeriod)), schedule.length);
+    fraction = Number(quotePeriod) - paymentsMade;
+    const period = start && dayCount !== '30/360'
+      ? yearFraction(paymentDate(start, paymentsMade, m), paymentDate(start, paymentsMade + 1, m), dayCount)
+      : 1 / m;
+    accrued = fraction * period;
+  }
+
+  const remaining = schedule.slice(paymentsMade);
+  if (remaining.length === 0) {
+    return { paymentsMade, fraction: 0, daysAccrued: null, balance: 0, accruedInterest: 0, payoffAmount: 0, remainingPayments: 0, presentValue: 0 };
+  }
+
+  const balance = paymentsMade === 0 ? Number(inputs.loanAmount) : schedule[paymentsMade - 1].endingBalance;
+  const accruedInterest = balance * remaining[0].rate / 100 * accrued;
+  const i = Number(marketRate) / 100 / m;
+  const elapsed = paymentsMade + fraction;
+  const presentValue = remaining.reduce((pv, row) => pv + row.payment / Math.pow(1 + i, row.period - elapsed), 0);
+
+  return {
+    paymentsMade,
+    fraction,
+    daysAccrued,
+    balance,
+    accruedInterest,
+    payoffAmount: balance + accruedInterest,
+    remainingPayments: remaining.length,
+    presentValue
+  };
+}
+
+/**
+ * Regulatory-style APR: the IRR of the net loan proceeds (amount financed)
+ * against the scheduled payment stream, annualized as periodic rate x payments
+ * per year. Prepayments are ignored, as in a disclosure.
+ * Finance charges = discountPoints (% of loan) + originationFee + otherCharges.
+ * @returns {Object} { financeCharges, amountFinanced, apr, effectiveRate, noteEffectiveRate }
+ *   with rates in %; effectiveRate compounds the APR's periodic rate over a year
+ */
+export function computeApr(inputs) {
+  const { loanAmount, annualRate, paymentsPerYear = 1, discountPoints = 0, originationFee = 0, otherCharges = 0 } = inputs;
+  const m = Number(paymentsPerYear) || 1;
+  const P = Number(loanAmount);
+  const financeCharges = P * Number(discountPoints) / 100 + Number(originationFee) + Number(otherCharges);
+  const amountFinanced = P - financeCharges;
+  const { schedule } = computeMortgage({ ...inputs, extraPayment: 0, lumpSums: [] });
+
+  const presentValue = i => schedule.reduce((pv, row) => pv + row.payment / Math.pow(1 + i, row.period), 0);
+
+  // PV falls as the rate rises; widen the bracket until it straddles the proceeds
+  let lo = 0;
+  let hi = 0.01;
+  while (presentValue(hi) > amountFinanced && hi < 10) hi *= 2;
+  for (let k = 0; k < 100; k++) {
+    const mid = (lo + hi) / 2;
+    if (presentValue(mid) > amountFinanced) lo = mid; else hi = mid;
+  }
+  const periodic = (lo + hi) / 2;
+
+  return {
+    financeCharges,
+    amountFinanced,
+    apr: periodic * m * 100,
+    effectiveRate: (Math.pow(1 + periodic, m) - 1) * 100,
+    noteEffectiveRate: (Math.pow(1 + Number(annualRate) / 100 / m, m) - 1) * 100
+  };
+}
+
+// Bounds searched when solving for the rate (%) or term (years)
+const SOLVE_RATE_MAX = 25;
+const SOLVE_YEARS_MAX = 40;
+
+/**
+ * Solve-for mode: back out one input from a target payment.
+ * solveFor is 'loanAmount', 'annualRate' or 'years' ('payment' means nothing to solve);
+ * the scheduled payment (computeMortgage's `payment`) is matched to targetPayment.
+ *  - loanAmount: payment is proportional to the loan amount (before any cent rounding)
+ *  - annualRate: bisection between 0% and SOLVE_RATE_MAX
+ *  - years: shortest whole number of periods whose payment fits the target, counting
+ *    from the first period after any interest-only period
+ * @returns {Object} { value, reason, detail } - when no solution exists value is null and
+ *   reason is 'rate-below-zero', 'rate-above-max', 'interest-not-covered' (detail: first
+ *   period's interest) or 'term-too-long'
+ */
+export function solveUnknown(inputs) {
+  const { solveFor, targetPayment } = inputs;
+  const target = Number(targetPayment);
+  const paymentWith = changes => computeMortgage({ ...inputs, ...changes, extraPayment: 0, lumpSums: [] }).payment;
+
+  if (solveFor === 'loanAmount') {
+    // Per-dollar payment without cent rounding (a $1 loan would round to a cent)
+    return { value: target / paymentWith({ loanAmount: 1, roundToCents: false }), reason: null };
+  }
+
+  if (solveFor === 'annualRate') {
+    if (target < paymentWith({ annualRate: 0 })) {
+      return { value: null, reason: 'rate-below-zero' };
+    }
+    if (target > paymentWith({ annualRate: SOLVE_RATE_MAX })) {
+      return { value: null, reason: 'rate-above-max' };
+    }
+    let lo = 0;
+    let hi = SOLVE_RATE_MAX;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (paymentWith({ annualRate: mid }) > target) hi = mid; else lo = mid;
+    }
+    return { value: (lo + hi) / 2, reason: null };
+  }
+
+  if (solveFor === 'years') {
+    const m = Number(inputs.paymentsPerYear) || 1;
+    const firstInterest = Number(inputs.loanAmount) * Number(inputs.annualRate) / 100 / m;
+    if (target <= firstInterest) {
+      return { value: null, reason: 'interest-not-covered', detail: firstInterest };
+    }
+    // payment falls as the term lengthens, so search for the shortest term that fits;
+    // a term within the interest-only period has no amortizing payment to compare
+    let lo = Math.round((Number(inputs.interestOnlyYears) || 0) * m) + 1;
+    let hi = SOLVE_YEARS_MAX * m;
+    if (paymentWith({ years: hi / m }) > target) {
+      return { value: null, reason: 'term-too-long' };
+    }
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (paymentWith({ years: mid / m }) > target) lo = mid + 1; else hi = mid;
+    }
+    return { value: lo / m, reason: null };
+  }
+
+  return { value: null, reason: null };
+}
+
+/**
+ * Inputs with the solve-mode unknown (if any) replaced by its solved value
+ */
+export function resolveInputs(inputs) {
+  if (!inputs.solveFor || inputs.solveFor === 'payment') return inputs;
+  return { ...inputs, [inputs.solveFor]: solveUnknown(inputs).value };
+}
+
+/**
+ * Everything the calculator shows for one set of inputs: the solved-for input (solve mode),
+ * the computeMortgage results, APR, refinance comparison (when compareRefinance is on)
+ * and payoff quote. Inputs are expected to be valid.
+ */
+export function computeResults(inputs) {
+  const resolved = resolveInputs(inputs);
+  const solved = inputs.solveFor && inputs.solveFor !== 'payment' ? { [inputs.solveFor]: resolved[inputs.solveFor] } : {};
+  return {
+    ...solved,
+    ...computeMortgage(resolved),
+    apr: computeApr(resolved),
+    refinance: inputs.compareRefinance ? computeRefinance(resolved) : null,
+    payoff: computePayoffQuote(resolved)
+  };
+}
+
+/**
+ * Level payment that amortizes `balance` over `periods` at periodic rate `r`.
+ */
+export function levelPayment(balance, r, periods) {
+  if (r === 0) return balance / periods;
+  return balance * (r * Math.pow(1 + r, periods)) / (Math.pow(1 + r, periods) - 1);
+}
+
+/**
+ * Annual rate (%) in effect for each period of an adjustable-rate mortgage.
+ * The initial rate holds for armFixedYears, then resets every armResetYears to
+ * index + margin, where the index for the k-th reset is armIndexPath[k-1]
+ * (the last entry repeats). Each reset is bounded by:
+ *  - armInitialCap (first reset) / armPeriodicCap (later resets): max change, in % points
+ *  - armLifetimeCap: max rise over the initial rate, in % points
+ *  - armFloor: minimum rate (%)
+ * @returns {number[]} One annual rate (%) per period
+ */
+export function buildRatePath({
+  annualRate,
+  n,
+  m,
+  armFixedYears = 5,
+  armResetYears = 1,
+  armIndexPath = [],
+  armMargin = 0,
+  armInitialCap = Infinity,
+  armPeriodicCap = Infinity,
+  armLifetimeCap = Infinity,
+  armFloor = 0
+}) {
+  const initial = Number(annualRate);
+  const fixedPeriods = Math.round(Number(armFixedYears) * m);
+  const resetPeriods = Math.max(1, Math.round(Number(armResetYears) * m));
+  const ceiling = initial + Number(armLifetimeCap);
+  const rates = [];
+  let rate = initial;
+
+  for (let p = 1; p <= n; p++) {
+    const sinceFirstReset = p - 1 - fixedPeriods;
+    if (sinceFirstReset >= 0 && sinceFirstReset % resetPeriods === 0 && armIndexPath.length) {
+      const k = sinceFirstReset / resetPeriods;
+      const index = Number(armIndexPath[Math.min(k, armIndexPath.length - 1)]);
+      const cap = Number(k === 0 ? armInitialCap : armPeriodicCap);
+      const target = index + Number(armMargin);
+      rate = Math.min(Math.max(target, rate - cap), rate + cap);
+      rate = Math.max(Math.min(rate, ceiling), Number(armFloor));
+    }
+    rates.push(rate);
+  }
+  return rates;
+}
+
+// Balances below this are treated as paid off (floating-point dust)
+const PAID_OFF = 1e-6;
 
+// Payment differences below half a cent are not reported as adjustments
+const HALF_CENT = 0.005;
+
+function toCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Run the amortization loop until the loan falls due or the balance is cleared.
+ * The payment is re-levelled on the remaining balance (over the rest of the
+ * n-period basis) when amortization starts and whenever the rate changes.
+ * @param {number[]} rates - Annual rate (%) per period
+ * @param {number} io - Number of interest-only periods
+ * @param {number} due - Period the loan falls due (n, or the balloon period)
+ * @param {number[]|null} accrual - Year fraction each period accrues interest for (null: 1/m)
+ * @param {Function} round - Applied to every amount (cent rounding, or identity)
+ */
+function amortize({ P, rates, n, m, io, due, accrual, round, extra, lumps }) {
   const schedule = [];
   let bal = P;
+  let payment = 0;
+  let firstPayment = null;
+  let totalPayment = 0;
   let totalInterest = 0;
   let totalPrincipal = 0;
 
-  for (let y = 1; y <= n; y++) {
-    const interest = bal * r;
-    let principal = payment - interest;
+  for (let p = 1; p <= due && bal > PAID_OFF; p++) {
+    const r = rates[p - 1] / 100 / m;
+    if (p > io && (p === io + 1 || rates[p - 1] !== rates[p - 2])) {
+      payment = round(levelPayment(bal, r, n - p + 1));
+      if (firstPayment === null) firstPayment = payment;
+    }
+    const interest = round(bal * (accrual ? rates[p - 1] / 100 * accrual[p - 1] : r));
+    let scheduled = p > io ? Math.min(round(payment - interest), bal) : 0;
+
+    // clamp final period to clear balance
+    if (p === n) scheduled = bal;
+
+    const extraPrincipal = round(Math.min(extra + (lumps[p] || 0), bal - scheduled));
+    // whatever is still owed when the loan falls early due is the balloon
+    const balloon = p === due && p < n ? round(bal - scheduled - extraPrincipal) : 0;
+    const principal = round(scheduled + extraPrincipal + balloon);
 
-    // clamp final year to clear balance
-    if (y === n) principal = bal;
+    // regular payment actually made vs. the one scheduled (interest only, or level)
+    const paymentAdjustment = round(interest + scheduled - (p > io ? payment : interest));
 
-    bal = Math.max(0, bal - principal);
+    bal = Math.max(0, round(bal - principal));
+    totalPayment += interest + principal;
     totalInterest += interest;
     totalPrincipal += principal;
 
     schedule.push({
-      year: y,
-      payment,
+      period: p,
+      year: Math.ceil(p / m),
+      rate: rates[p - 1],
+      payment: round(interest + principal),
       interest,
       principal,
+      extraPrincipal,
+      balloon,
+      paymentAdjustment,
+      adjusted: Math.abs(paymentAdjustment) >= HALF_CENT,
       endingBalance: bal
     });
   }
 
   return {
-    payment,
+    payment: firstPayment ?? payment,
     schedule,
     totals: {
-      payment: payment * n,
-      interest: totalInterest,
-      principal: totalPrincipal
+      payment: round(totalPayment),
+      interest: round(totalInterest),
+      principal: round(totalPrincipal)
     }
   };
 }
+
+// Row fields that add up when periods are rolled into a year
+const SUMMED_FIELDS = ['payment', 'interest', 'principal', 'extraPrincipal', 'balloon', 'paymentAdjustment'];
+
+/**
+ * Roll a sub-annual schedule up into one row per year.
+ * Flow fields are summed; date and endingBalance are taken from the year's last period.
+ * @param {Array} schedule - Rows from computeMortgage
+ * @returns {Array} Rows shaped like the schedule's, with period = year
+ */
+export function summarizeByYear(schedule) {
+  const rows = [];
+  schedule.forEach(row => {
+    let last = rows[rows.length - 1];
+    if (!last || last.year !== row.year) {
+      last = { period: row.year, year: row.year, rate: row.rate };
+      SUMMED_FIELDS.forEach(key => { last[key] = 0; });
+      rows.push(last);
+    }
+    SUMMED_FIELDS.forEach(key => { last[key] += row[key] || 0; });
+    last.date = row.date ?? null;
+    last.adjusted = Boolean(last.adjusted || row.adjusted);
+    last.endingBalance = row.endingBalance;
+  });
+  return rows;
+}
+
+/**
+ * The crossover: the first row whose scheduled principal (leaving out extra principal
+ * and any balloon) is larger than its interest. From there on most of each regular
+ * payment repays the loan.
+ * @param {Array} schedule - Rows from computeMortgage
+ * @returns {Object|null} That row, or null if interest stays the larger part throughout
+ */
+export function findCrossover(schedule) {
+  return schedule.find(row => row.principal - (row.extraPrincipal || 0) - (row.balloon || 0) > row.interest) || null;
+}
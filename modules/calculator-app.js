@@ -0,0 +1,1257 @@
+/**
+ * Calculator App – Mortgage Calculator
+ * Wires one calculator's markup (CALCULATOR_TEMPLATE) to its own store, history and
+ * calculation service. The standalone page mounts it on the document (calculator.js);
+ * each <mortgage-calculator> mounts it on its shadow root (mortgage-calculator.js).
+ */
+
+// ==================== STATE & CORE ====================
+import { createStore, getInputs, INPUT_FIELDS, DEFAULT_INPUTS } from './state.js';
+import { readUrlState, writeUrlState, formatInputValue } from './url-state.js';
+
+// ==================== VALIDATION ====================
+// These names match the CFA toolkit exactly (REUSABLE_MODULES.md)
+import {
+  validateAllInputs as validateAll,   // optional alias for clarity
+  validateField,
+  updateFieldError,
+  updateValidationSummary,
+  validateViewSettings,
+  findWarnings,
+  hasErrors,
+  DEFAULT_RULES
+} from './validation.js';
+
+// ==================== UTILITIES ====================
+// All safe helpers (focus management, announcer, etc.)
+import {
+  $ as query,
+  $$ as queryAll,
+  listen,
+  focusElement,
+  announceToScreenReader,
+  debounce,
+  createFormat,
+  DEFAULT_LOCALE,
+  DEFAULT_CURRENCY,
+  formatTerm,
+  createElement,
+  getFrequency,
+  parseLumpSums,
+  parseRateList
+} from './utils.js';
+import { parseDate, formatDate, paymentDate, DAY_COUNTS } from './dates.js';
+
+// ==================== DOMAIN LOGIC ====================
+import {
+  computeMortgage,
+  summarizeByYear,
+  findCrossover,
+  resolveInputs
+} from './calculations.js';
+import { createCalcService } from './calc-service.js';
+
+// ==================== VISUALS ====================
+import {
+  renderChart,
+  renderComparisonChart,
+  shouldShowLabels,
+  destroyChart,
+  setSeriesVisible,
+  isSeriesVisible,
+  SERIES_COLORS
+} from './chart.js';
+import { renderTable } from './table.js';
+import { renderResults, renderScenarioComparison } from './results.js';
+import { loadScenarios, saveScenario, deleteScenario, MAX_COMPARED } from './scenarios.js';
+import { createHistory } from './history.js';
+import { initTooltips } from './tooltip.js';
+import { buildScheduleExport, toCsv, toXlsx, toJson, downloadFile, EXPORT_TYPES } from './export.js';
+import { buildReport, printReport, toPdf } from './report.js';
+
+
+// Derived values cleared whenever inputs are invalid
+const EMPTY_RESULT = {
+  schedule: null, payment: null, totals: null, prepayment: null,
+  interestOnlyPayment: null, balloon: null, apr: null, refinance: null, payoff: null
+};
+
+// Calculation outputs: set together by every recalculation
+const RESULT_FIELDS = Object.keys(EMPTY_RESULT);
+
+// Numbers as typed in the chosen locale: "300.000,50", "250k"
+const localNumber = (v, format) => format.parseNumber(v);
+
+// Optional numeric inputs: blank means 0
+const optionalNumber = (v, format) => (v.trim() === '' ? 0 : format.parseNumber(v));
+
+// How each input's raw text becomes a state value (default: localNumber)
+const PARSERS = {
+  propertyValue: optionalNumber,
+  extraPayment: optionalNumber,
+  interestOnlyYears: optionalNumber,
+  balloonYears: optionalNumber,
+  discountPoints: optionalNumber,
+  originationFee: optionalNumber,
+  otherCharges: optionalNumber,
+  refiClosingCosts: optionalNumber,
+  lumpSums: (v, format) => parseLumpSums(v, format.parseNumber),
+  rateType: v => v,
+  loanType: v => v,
+  solveFor: v => v,
+  roundToCents: v => v,
+  compareRefinance: v => v,
+  startDate: v => v,
+  dayCount: v => v,
+  quoteBy: v => v,
+  quoteDate: v => v,
+  armIndexPath: parseRateList
+};
+
+// Nothing to draw until a calculation succeeds. An error clears the results from the
+// state, so the views skip redrawing and leave the last output on screen until the next success
+const hasResults = s => Boolean(s.comparison || (s.schedule && s.payment && s.totals));
+
+// Display settings a link or element may leave out
+const DEFAULT_DISPLAY = { locale: DEFAULT_LOCALE, currency: DEFAULT_CURRENCY };
+
+// Decimal places shown for a solved input
+const SOLVED_DECIMALS = { loanAmount: 2, annualRate: 4, years: 2 };
+
+// Hidden chart description and legend items for each thing the chart can show:
+// the schedule's chart types, then the refinance and saved-scenario comparisons
+const CHART_MODES = {
+  cashflow: { desc: 'mortgage-chart-desc', title: 'mortgage-chart-title', legend: ['#legend-principal', '#legend-interest', '#legend-balance'] },
+  cumulative: { desc: 'cumulative-chart-desc', title: 'cumulative-chart-title', legend: ['#legend-principal', '#legend-interest'] },
+  percent: { desc: 'percent-chart-desc', title: 'percent-chart-title', legend: ['#legend-principal', '#legend-interest'] },
+  equity: { desc: 'equity-chart-desc', title: 'equity-chart-title', legend: ['#legend-equity', '#legend-balance'] },
+  refinance: { desc: 'refinance-chart-desc', title: 'refinance-chart-title', legend: ['#legend-current', '#legend-refinanced'] },
+  scenario: { desc: 'scenario-chart-desc', title: 'scenario-chart-title', legend: ['#legend-scenarios'] }
+};
+
+// Rows of the scenario difference table: how to read, show and compare each measure
+const SCENARIO_MEASURES = [
+  { label: 'Loan amount', value: sc => sc.inputs.loanAmount, format: (v, format) => format.currency(v) },
+  { label: 'Interest rate', value: sc => sc.inputs.annualRate, format: (v, format) => format.percent(v, 3) },
+  { label: 'Payment per period', value: sc => sc.result.payment, format: (v, format) => format.currency(v) },
+  { label: 'Total interest', value: sc => sc.result.totals.interest, format: (v, format) => format.currency(v) },
+  { label: 'Total paid', value: sc => sc.result.totals.payment, format: (v, format) => format.currency(v) },
+  {
+    label: 'Payoff',
+    value: sc => Math.round(sc.result.schedule.length * 12 / sc.inputs.paymentsPerYear),
+    format: months => formatTerm(Math.abs(months), 12)
+  }
+];
+
+/**
+ * Formatting for a state's locale and currency settings
+ */
+function getFormat(s){
+  return createFormat({ locale: s.locale, currency: s.currency });
+}
+
+/**
+ * An input's value as text for its form field; numbers in the locale's notation
+ */
+function inputText(id, value, format){
+  return typeof value === 'number' && Number.isFinite(value) ? format.inputValue(value) : formatInputValue(id, value);
+}
+
+/**
+ * Rows and labels for the chart/table, honouring the annual-summary option
+ * @param {Object} s - Current state
+ * @returns {Object} {rows, periodLabel, frequencyLabel, termPeriods, periodDates}
+ */
+function getDisplay(s){
+  const summarize = s.annualSummary && s.paymentsPerYear > 1;
+  const frequency = getFrequency(summarize ? 1 : s.paymentsPerYear);
+  // Length of the original (no-prepayment) schedule in display periods
+  const baselinePeriods = s.prepayment ? s.prepayment.baselinePayoffPeriod : s.schedule.length;
+  const rows = summarize ? summarizeByYear(s.schedule) : s.schedule;
+  const termPeriods = summarize ? Math.ceil(baselinePeriods / s.paymentsPerYear) : baselinePeriods;
+  return {
+    rows,
+    periodLabel: frequency.period,
+    frequencyLabel: frequency.label,
+    termPeriods,
+    periodDates: getPeriodDates(s, rows, termPeriods, summarize ? s.paymentsPerYear : 1)
+  };
+}
+
+/**
+ * Where scheduled principal first overtakes interest, among the displayed rows
+ * @param {Object} s - Current state
+ * @param {Array} rows - Displayed rows (from getDisplay)
+ * @param {string} periodLabel - Name of one displayed period
+ * @param {Object} format - From createFormat
+ * @returns {Object|null} { index, when, label }: the row's index, e.g. "year 9 (Month 100, Apr 2034)"
+ *   and the chart's marker text; null if interest is the larger part of every payment
+ */
+function getCrossover(s, rows, periodLabel, format){
+  const row = findCrossover(s.schedule);
+  if (!row) return null;
+  const byYear = rows !== s.schedule || s.paymentsPerYear === 1;
+  const details = [
+    ...(byYear ? [] : [`${periodLabel} ${row.period}`]),
+    ...(row.date ? [format.monthYear(row.date)] : [])
+  ];
+  const when = `year ${row.year}` + (details.length > 0 ? ` (${details.join(', ')})` : '');
+  return {
+    index: rows === s.schedule ? row.period - 1 : rows.findIndex(r => r.year === row.year),
+    when,
+    label: `Crossover: ${when}`
+  };
+}
+
+/**
+ * Payment date of every displayed period, including the periods an early payoff skips
+ * @param {number} step - Payments per displayed period (payments per year for annual summaries)
+ * @returns {Array|null} ISO dates, or null without a start date
+ */
+function getPeriodDates(s, rows, count, step){
+  const start = parseDate(s.startDate);
+  if (!start) return null;
+  return Array.from({ length: Math.max(count, rows.length) }, (_, i) =>
+    (rows[i] ? rows[i].date : formatDate(paymentDate(start, (i + 1) * step, s.paymentsPerYear))));
+}
+
+/**
+ * Remaining payment streams of the current and refinanced loans, honouring the annual-summary option
+ * @param {Object} s - Current state (with a refinance result)
+ * @returns {Object} {current, refinanced, periodLabel, frequencyLabel, periodDates}
+ */
+function getRefinanceDisplay(s){
+  const summarize = s.annualSummary && s.paymentsPerYear > 1;
+  const frequency = getFrequency(summarize ? 1 : s.paymentsPerYear);
+  const rows = schedule => (summarize ? summarizeByYear(schedule) : schedule);
+  const current = rows(s.refinance.existing.schedule);
+  const refinanced = rows(s.refinance.refinanced.schedule);
+  const longer = current.length >= refinanced.length ? current : refinanced;
+  return {
+    current,
+    refinanced,
+    periodLabel: frequency.period,
+    frequencyLabel: frequency.label,
+    periodDates: longer[0] && longer[0].date ? longer.map(row => row.date) : null
+  };
+}
+
+/**
+ * Compared scenarios' rows, rolled up to years when frequencies differ or annual summary is on
+ * @param {Object} s - Current state (with a comparison)
+ * @returns {Object} {series, periodLabel, frequencyLabel}
+ */
+function getScenarioDisplay(s){
+  const frequencies = [...new Set(s.comparison.map(scenario => scenario.inputs.paymentsPerYear))];
+  const summarize = frequencies.length > 1 || (s.annualSummary && frequencies[0] > 1);
+  const frequency = getFrequency(summarize ? 1 : frequencies[0]);
+  return {
+    series: s.comparison.map(scenario => ({
+      label: scenario.name,
+      rows: summarize ? summarizeByYear(scenario.result.schedule) : scenario.result.schedule
+    })),
+    periodLabel: frequency.period,
+    frequencyLabel: frequency.label
+  };
+}
+
+/**
+ * First table column: the payment date when the schedule is dated, else the period number
+ */
+function periodColumn(periodLabel, dated, format){
+  return dated
+    ? { key: 'period', header: 'Payment Date', align: 'left', format: v => format.date(v) }
+    : { key: 'period', header: periodLabel, align: 'left' };
+}
+
+/**
+ * One-line description of a scenario's main inputs
+ */
+function describeScenario(inputs, format){
+  return `${format.currency(inputs.loanAmount)} at ${format.percent(inputs.annualRate)} over ${inputs.years} years, ` +
+    getFrequency(inputs.paymentsPerYear).label.toLowerCase();
+}
+
+/**
+ * Start a calculator in markup already rendered from CALCULATOR_TEMPLATE
+ * @param {Document|ShadowRoot} root - Holds the calculator's elements
+ * @param {Object} options - {store, syncUrl, settings, locked, rules, onCalculate}
+ *   store: from createStore (default: a new one);
+ *   syncUrl: restore from and write to the page URL (the standalone page only);
+ *   settings: starting { inputs, view, raw } as returned by readSettings (ignored with syncUrl);
+ *   locked: input ids the user cannot change from their starting values;
+ *   rules: cross-field rules and warnings to check (default DEFAULT_RULES);
+ *   onCalculate: called with { inputs, errors, warnings, result } after each recalculation (result null when invalid)
+ * @returns {Object} { state, subscribe, recalc, setInputs, showView, destroy }
+ */
+export function mountCalculator(root = document, options = {}){
+  const { state, setState, subscribe } = options.store || createStore();
+  const locked = (options.locked || []).filter(id => INPUT_FIELDS.includes(id));
+  const rules = options.rules || DEFAULT_RULES;
+  const onCalculate = options.onCalculate || (() => {});
+  const $ = sel => query(sel, root);
+  const $$ = sel => queryAll(sel, root);
+  const announce = msg => announceToScreenReader(msg, $('#view-announcement'));
+
+  const calcService = createCalcService();
+  const history = createHistory();
+  // Removes each window/root listener, input handler and state subscription, and cancels pending timers, on destroy
+  const cleanups = [];
+  // Starting values of the locked inputs, kept through loads, scenarios and undo
+  let lockedValues = {};
+
+  function init(){
+    setupInputs();
+    setupSummaryToggle();
+    setupDisplaySettings();
+    setupViewToggle();
+    setupChartLegend();
+    setupChartType();
+    setupScenarios();
+    setupExport();
+    setupHistory();
+    setupSkipLinks();
+    setupResize();
+    setupEquation();
+    initTooltips(root);
+
+    // Subscribe to state changes BEFORE initial calculation;
+    // each view re-renders only when the state it reads changes
+    cleanups.push(
+      subscribe(updateInputVisibility, ['rateType', 'solveFor', 'compareRefinance', 'quoteBy']),
+      subscribe(syncSolvedInput, ['solveFor', 'errors', ...Object.keys(SOLVED_DECIMALS)]),
+      subscribe(updateCurrencyText, ['locale', 'currency']),
+      subscribe(renderResultsView, [...RESULT_FIELDS, 'comparison', 'locale', 'currency']),
+      subscribe(updateExportButtons, ['schedule', 'comparison']),
+      subscribe(updateVisualizerText, [...RESULT_FIELDS, 'comparison', 'annualSummary', 'chartType', 'locale', 'currency']),
+      subscribe(renderChartView, [...RESULT_FIELDS, 'comparison', 'annualSummary', 'chartType', 'propertyValue', 'viewMode', 'locale', 'currency']),
+      subscribe(renderTableView, [...RESULT_FIELDS, 'comparison', 'annualSummary', 'viewMode', 'locale', 'currency'])
+    );
+
+    if (options.syncUrl) {
+      // Restore a shared scenario, then keep the URL in step with the state
+      restore(readUrlState());
+      const writeUrl = debounce(s => { if (!hasErrors(s.errors)) writeUrlState(s); }, 250);
+      cleanups.push(
+        subscribe(writeUrl),
+        writeUrl.cancel,
+        listen(window, 'popstate', () => restore(readUrlState())),
+        listen(window, 'hashchange', () => restore(readUrlState()))
+      );
+    } else {
+      restore(options.settings || { inputs: {}, view: {}, raw: {} });
+    }
+    lockInputs();
+  }
+
+  function setupInputs(){
+    const ids = [
+      'loanAmount','propertyValue','annualRate','years','loanType','paymentsPerYear','extraPayment','lumpSums',
+      'interestOnlyYears','balloonYears','roundToCents','startDate','dayCount','solveFor','targetPayment',
+      'discountPoints','originationFee','otherCharges','rateType','armFixedYears','armResetYears','armIndexPath','armMargin',
+      'armInitialCap','armPeriodicCap','armLifetimeCap','armFloor',
+      'compareRefinance','refiYearsPaid','refiRate','refiYears','refiClosingCosts',
+      'quoteBy','quotePeriod','quoteDate','marketRate'
+    ];
+    ids.forEach(id=>{
+      const el = $(`#${id}`);
+      const update = debounce(()=>{
+        const raw = el.type === 'checkbox' ? el.checked : el.value;
+        setState({ [id]: (PARSERS[id] || localNumber)(raw, getFormat(state)) });
+        recalc();
+        history.recordInputs(getInputs(state), id);
+        updateHistoryButtons();
+      }, 150);  // Reduced from 250ms for faster response
+
+      cleanups.push(listen(el, 'input', update), listen(el, 'change', update), update.cancel);
+    });
+  }
+
+  /**
+   * Starting values can't be edited: text inputs become read-only, choices disabled,
+   * and a locked input can't be chosen as the unknown to solve for
+   */
+  function lockInputs(){
+    lockedValues = locked.reduce((acc, id) => { acc[id] = state[id]; return acc; }, {});
+    locked.forEach(id => {
+      const el = $(`#${id}`);
+      if (!el) return;
+      if (el.tagName === 'SELECT' || el.type === 'checkbox') el.disabled = true;
+      else el.readOnly = true;
+      el.classList.add('locked');
+      const option = $(`#solveFor option[value="${id}"]`);
+      if (option) option.disabled = true;
+    });
+  }
+
+  /**
+   * Toggle between per-period rows and annual summaries
+   */
+  function setupSummaryToggle(){
+    const el = $('#annualSummary');
+    if (!el) return;
+    listen(el, 'change', ()=>{
+      setState({ annualSummary: el.checked });
+      announce(el.checked ? 'Showing annual summaries' : 'Showing every payment period');
+    });
+  }
+
+  /**
+   * Number format and currency: every amount, date, typed number and message follows them.
+   * The form's numbers are rewritten in the new notation so they still read back.
+   */
+  function setupDisplaySettings(){
+    ['locale', 'currency'].forEach(id => {
+      const el = $(`#${id}`);
+      if (!el) return;
+      listen(el, 'change', ()=>{
+        setState({ [id]: el.value });
+        fillNumbers();
+        // Messages quote amounts and rates, so they are written again in the new notation
+        if (hasErrors(state.errors) || hasErrors(state.warnings)) recalc();
+        announce(`Showing amounts as ${getFormat(state).currency(1234.5)}`);
+      });
+    });
+  }
+
+  /**
+   * Rewrite the valid numeric inputs in the current locale
+   */
+  function fillNumbers(){
+    const format = getFormat(state);
+    INPUT_FIELDS.forEach(id => {
+      const el = $(`#${id}`);
+      if (el && el.tagName === 'INPUT' && typeof state[id] === 'number' && Number.isFinite(state[id])) {
+        el.value = inputText(id, state[id], format);
+      }
+    });
+  }
+
+  /**
+   * Currency symbols beside the amount inputs, and the saved-scenario summaries
+   */
+  function updateCurrencyText(s){
+    const { symbol } = getFormat(s);
+    $$('.currency-suffix').forEach(el => { el.textContent = symbol; });
+    renderScenarioList();
+  }
+
+  /**
+   * Choose a display setting's option, adding it when a link or attribute asks for one not listed
+   */
+  function selectOption(id, value){
+    const el = $(`#${id}`);
+    if (!el) return;
+    if (!Array.from(el.options).some(option => option.value === value)) {
+      el.appendChild(createElement('option', { value }, value));
+    }
+    el.value = value;
+  }
+
+  /**
+   * Validate the inputs in the state and recalculate. Results arrive asynchronously
+   * (from the calculation worker where available); while they are on the way the
+   * previous results stay on screen, and a result overtaken by a newer edit is dropped.
+   */
+  async function recalc(){
+    try{
+      const inputs = getInputs(state);
+      const format = getFormat(state);
+      const errors = validateAll(inputs, rules, format);
+      // Warnings only advise on inputs that can be calculated
+      const warnings = hasErrors(errors) ? {} : findWarnings(inputs, rules, format);
+      INPUT_FIELDS.forEach(id => updateFieldError(id, errors[id] || null, root));
+      updateValidationSummary(errors, root, warnings);
+      if (hasErrors(errors)){
+        calcService.cancel();
+        setState({ errors, warnings, ...EMPTY_RESULT });
+        onCalculate({ inputs, errors, warnings, result: null });
+        return;
+      }
+
+      setState({ errors, warnings });
+      const result = await calcService.calculate(inputs);
+      if (result) {
+        setState(result);
+        onCalculate({ inputs, errors, warnings, result });
+      }
+    }catch(e){
+      console.error('Calculation error', e);
+      setState(EMPTY_RESULT);
+    }
+  }
+
+  /**
+   * Load a scenario's settings (inputs not given take their defaults), refill the form
+   * and recalculate. Values are validated like typed input; invalid view settings are
+   * ignored and reported in the validation summary.
+   * @param {Object} settings - { inputs, view, raw } from readUrlState or readSettings
+   */
+  function restore({ inputs, view, raw }){
+    const viewErrors = validateViewSettings(view);
+    const annualSummary = 'annualSummary' in view && !viewErrors.annualSummary ? view.annualSummary : false;
+    const summaryToggle = $('#annualSummary');
+    if (summaryToggle) summaryToggle.checked = annualSummary;
+    const chartType = 'chartType' in view && !viewErrors.chartType ? view.chartType : 'cashflow';
+    const typeSelect = $('#chartType');
+    if (typeSelect) typeSelect.value = chartType;
+    const display = {};
+    ['locale', 'currency'].forEach(id => {
+      display[id] = id in view && !viewErrors[id] ? view[id] : DEFAULT_DISPLAY[id];
+      selectOption(id, display[id]);
+    });
+
+    loadInputs({ ...DEFAULT_INPUTS, ...inputs }, raw, { annualSummary, chartType, ...display });
+    history.recordInputs(getInputs(state));
+    updateHistoryButtons();
+    showView('viewMode' in view && !viewErrors.viewMode ? view.viewMode : 'chart');
+    if (hasErrors(viewErrors)) updateValidationSummary({ ...state.errors, ...viewErrors }, root);
+  }
+
+  /**
+   * Change some inputs from outside (e.g. a changed attribute), keeping the rest
+   * @param {Object} inputs - New values by input id
+   * @param {Object} raw - Text to show in place of the formatted value
+   */
+  function setInputs(inputs, raw = {}){
+    loadInputs({ ...getInputs(state), ...inputs }, raw);
+    history.recordInputs(getInputs(state));
+    updateHistoryButtons();
+  }
+
+  /**
+   * Put a full set of inputs into the form and the state, then recalculate
+   * @param {Object} inputs - A value for every input field (locked inputs keep their values)
+   * @param {Object} raw - Text to show in place of the formatted value (e.g. as typed in a link)
+   * @param {Object} settings - Other state to set alongside the inputs
+   */
+  function loadInputs(inputs, raw = {}, settings = {}){
+    const values = { ...inputs, ...lockedValues };
+    const format = getFormat({ ...state, ...settings });
+    INPUT_FIELDS.forEach(id => {
+      const el = $(`#${id}`);
+      if (!el) return;
+      if (el.type === 'checkbox') el.checked = values[id] === true;
+      else el.value = id in raw && !(id in lockedValues) ? raw[id] : inputText(id, values[id], format);
+    });
+    setState({ ...values, ...settings });
+    recalc();
+  }
+
+  function renderResultsView(s) {
+    if (!hasResults(s)) return;
+    const format = getFormat(s);
+    if (s.comparison) {
+      renderScenarioComparison(s.comparison, root, format);
+      return;
+    }
+
+    renderResults(
+      {
+        payment: s.payment,
+        totals: s.totals,
+        prepayment: s.prepayment,
+        schedule: s.schedule,
+        interestOnlyPayment: s.interestOnlyPayment,
+        balloon: s.balloon,
+        apr: s.apr,
+        refinance: s.refinance,
+        payoff: s.payoff
+      },
+      {
+        years: s.years,
+        paymentsPerYear: s.paymentsPerYear,
+        annualRate: s.annualRate,
+        rateType: s.rateType,
+        solveFor: s.solveFor,
+        solvedValue: s[s.solveFor],
+        interestOnlyYears: s.interestOnlyYears,
+        balloonYears: s.balloonYears,
+        quoteBy: s.quoteBy,
+        quoteDate: s.quoteDate,
+        marketRate: s.marketRate
+      },
+      root,
+      format
+    );
+  }
+
+  function updateVisualizerText(s) {
+    if (!hasResults(s)) return;
+    if (s.comparison) updateComparisonText(s);
+    else updateFrequencyText(s);
+  }
+
+  function renderChartView(s) {
+    if (s.viewMode !== 'chart') {
+      destroyChart(root);
+      return;
+    }
+    if (hasResults(s)) drawChart(s);
+  }
+
+  function renderTableView(s) {
+    if (s.viewMode === 'table' && hasResults(s)) renderScheduleTable(s);
+  }
+
+  function drawChart(s){
+    const format = getFormat(s);
+    if (s.comparison) {
+      const { series, periodLabel, frequencyLabel } = getScenarioDisplay(s);
+      renderComparisonChart(series, { periodLabel, cashFlowLabel: `${frequencyLabel} Payment (${format.symbol})`, root, format });
+      return;
+    }
+    if (s.refinance) {
+      const { current, refinanced, periodLabel, frequencyLabel, periodDates } = getRefinanceDisplay(s);
+      renderComparisonChart(
+        [{ label: 'Current loan', rows: current }, { label: 'Refinanced', rows: refinanced }],
+        { periodLabel, cashFlowLabel: `${frequencyLabel} Payment (${format.symbol})`, periodDates, root, format }
+      );
+      return;
+    }
+    const { rows, periodLabel, frequencyLabel, termPeriods, periodDates } = getDisplay(s);
+    renderChart(rows, shouldShowLabels(), {
+      chartType: s.chartType,
+      periodLabel,
+      cashFlowLabel: `${frequencyLabel} Cash Flow (${format.symbol})`,
+      balanceLabel: `Remaining Balance (${format.symbol})`,
+      showRate: s.rateType === 'arm',
+      propertyValue: s.propertyValue,
+      termPeriods,
+      periodDates,
+      payoffLabel: s.prepayment ? `Paid off: ${periodLabel} ${rows[rows.length - 1].period}` : null,
+      crossover: getCrossover(s, rows, periodLabel, format),
+      root,
+      format
+    });
+  }
+
+  /**
+   * Show the ARM, refinance and payoff-quote inputs that apply to the current options
+   */
+  function updateInputVisibility(s){
+    const armInputs = $('#arm-inputs');
+    if (armInputs) armInputs.hidden = s.rateType !== 'arm';
+    const target = $('#target-payment-input');
+    if (target) target.hidden = s.solveFor === 'payment';
+    const refinance = $('#refinance-inputs');
+    if (refinance) refinance.hidden = !s.compareRefinance;
+    const quotePeriod = $('#quote-period-input');
+    if (quotePeriod) quotePeriod.hidden = s.quoteBy === 'date';
+    const quoteDate = $('#quote-date-input');
+    if (quoteDate) quoteDate.hidden = s.quoteBy !== 'date';
+  }
+
+  /**
+   * In solve mode, lock the unknown's field and show the solved value in it
+   */
+  function syncSolvedInput(s){
+    Object.keys(SOLVED_DECIMALS).forEach(id => {
+      const el = $(`#${id}`);
+      if (!el) return;
+      const solved = s.solveFor === id;
+      el.readOnly = solved || locked.includes(id);
+      el.classList.toggle('solved', solved);
+      if (solved && s.errors && !s.errors.targetPayment && Number.isFinite(s[id])) {
+        el.value = getFormat(s).inputValue(Number(s[id].toFixed(SOLVED_DECIMALS[id])));
+      }
+    });
+  }
+
+  /**
+   * Keep the visualizer heading and table note in step with the frequency
+   */
+  function updateFrequencyText(s){
+    const { frequencyLabel } = getDisplay(s);
+    updateChartText(s);
+    const title = $('#visualizer-title');
+    if (title) title.textContent = `${s.refinance ? 'Refinance Comparison' : 'Mortgage Cash Flows'}: ${getFrequency(s.paymentsPerYear).label} Payment Frequency`;
+    const note = $('#table-note');
+    if (note) {
+      const adjusted = s.schedule.find(row => row.adjusted);
+      note.textContent = `Note: Values show ${frequencyLabel.toLowerCase()} cash flows over the mortgage term.` +
+        (s.roundToCents ? ' Amounts are rounded to the cent as a servicer would.' : '') +
+        (s.dayCount && s.dayCount !== '30/360' ? ` Interest accrues on actual days (${DAY_COUNTS[s.dayCount].label}).` : '') +
+        (adjusted ? ` * ${adjusted.period === s.schedule.length ? 'Final payment' : 'Payment'} adjusted by ${getFormat(s).currency(adjusted.paymentAdjustment)} to clear the balance.` : '');
+    }
+  }
+
+  /**
+   * Swap the legend and chart description between the schedule's chart types, the
+   * refinance comparison and the saved-scenario comparison
+   */
+  function updateChartText(s){
+    const current = s.comparison ? 'scenario' : s.refinance ? 'refinance' : s.chartType;
+    const isSchedule = !s.comparison && !s.refinance;
+    // Chart types share legend items, so each is shown if the current mode lists it
+    const legendItems = new Set(Object.values(CHART_MODES).flatMap(mode => mode.legend));
+    legendItems.forEach(sel => {
+      const el = $(sel);
+      if (el) el.style.display = CHART_MODES[current].legend.includes(sel) ? 'flex' : 'none';
+    });
+    Object.entries(CHART_MODES).forEach(([mode, { desc }]) => {
+      const descEl = $(`#${desc}`);
+      if (descEl) descEl.hidden = mode !== current;
+    });
+
+    // Only the bar charts split out extra principal and balloons
+    const splitsPrincipal = current === 'cashflow' || current === 'percent';
+    const extraLegend = $('#legend-extra');
+    if (extraLegend) extraLegend.style.display = splitsPrincipal && s.prepayment ? 'flex' : 'none';
+    const balloonLegend = $('#legend-balloon');
+    if (balloonLegend) balloonLegend.style.display = splitsPrincipal && s.balloon ? 'flex' : 'none';
+
+    // The chart types apply to the schedule, not to the comparisons
+    const typeSelect = $('#chartType');
+    if (typeSelect) typeSelect.disabled = !isSchedule;
+    const crossoverText = $('#chart-crossover-text');
+    if (crossoverText) {
+      crossoverText.textContent = '';
+      if (isSchedule) {
+        const { rows, periodLabel } = getDisplay(s);
+        const crossover = getCrossover(s, rows, periodLabel, getFormat(s));
+        crossoverText.textContent = crossover
+          ? `Crossover: principal first exceeds interest in ${crossover.when}.`
+          : 'Interest exceeds principal in every scheduled payment, so there is no crossover.';
+      }
+    }
+
+    const scenarioLegend = $('#legend-scenarios');
+    if (scenarioLegend) {
+      scenarioLegend.innerHTML = '';
+      (s.comparison || []).forEach((scenario, i) => {
+        scenarioLegend.appendChild(createElement('span', { className: 'legend-item' },
+          createElement('span', {
+            className: 'legend-color',
+            style: { backgroundColor: SERIES_COLORS[i % SERIES_COLORS.length], border: '1px solid #333' }
+          }),
+          scenario.name
+        ));
+      });
+    }
+
+    const chartContainer = $('#chart-container');
+    if (chartContainer) {
+      chartContainer.setAttribute('aria-labelledby', CHART_MODES[current].title);
+      chartContainer.setAttribute('aria-describedby', isSchedule ? `${CHART_MODES[current].desc} chart-crossover-text` : CHART_MODES[current].desc);
+    }
+  }
+
+  function renderRefinanceTable(s){
+    const { current, refinanced, periodLabel, frequencyLabel, periodDates } = getRefinanceDisplay(s);
+    const format = getFormat(s);
+    const count = Math.max(current.length, refinanced.length);
+    const rows = Array.from({ length: count }, (_, i) => {
+      const currentPayment = current[i] ? current[i].payment : 0;
+      const newPayment = refinanced[i] ? refinanced[i].payment : 0;
+      return {
+        period: periodDates ? periodDates[i] : i + 1,
+        currentPayment,
+        newPayment,
+        savings: currentPayment - newPayment,
+        currentBalance: current[i] ? current[i].endingBalance : 0,
+        newBalance: refinanced[i] ? refinanced[i].endingBalance : 0
+      };
+    });
+    const sum = key => rows.reduce((total, row) => total + row[key], 0);
+
+    renderTable(rows, {
+      tableId: 'data-table-element',
+      caption: `Refinance comparison: ${frequencyLabel.toLowerCase()} payments and ending balances of the current and refinanced loans from the refinance date.`,
+      columns: [
+        periodColumn(periodLabel, Boolean(periodDates), format),
+        { key: 'currentPayment', header: 'Current Payment', align: 'right', format: v => format.currency(v) },
+        { key: 'newPayment', header: 'New Payment', align: 'right', format: v => format.currency(v) },
+        { key: 'savings', header: 'Savings', align: 'right', format: v => format.currency(v) },
+        { key: 'currentBalance', header: 'Current Balance', align: 'right', format: v => format.currency(v) },
+        { key: 'newBalance', header: 'New Balance', align: 'right', format: v => format.currency(v) }
+      ],
+      sortable: true,
+      totals: {
+        currentPayment: sum('currentPayment'),
+        newPayment: sum('newPayment'),
+        savings: sum('savings'),
+        currentBalance: 0,
+        newBalance: 0
+      }
+    }, root);
+  }
+
+  function renderScheduleTable(s){
+    if (s.comparison) {
+      renderDifferenceTable(s);
+      return;
+    }
+    if (s.refinance) {
+      renderRefinanceTable(s);
+      return;
+    }
+    const display = getDisplay(s);
+    const { frequencyLabel } = display;
+    const totals = s.totals;
+    const format = getFormat(s);
+    const summarized = display.rows !== s.schedule;
+    // Payment periods are grouped under a row per year, open unless annual summaries are chosen
+    const grouped = s.paymentsPerYear > 1;
+    const rows = grouped && !summarized ? summarizeByYear(s.schedule) : display.rows;
+    const periodLabel = grouped ? getFrequency(1).period : display.periodLabel;
+    const dated = Boolean(rows[0] && rows[0].date);
+    // Each year's payment periods: the rows a year row drills into
+    const periodsByYear = new Map();
+    s.schedule.forEach(row => {
+      if (!periodsByYear.has(row.year)) periodsByYear.set(row.year, []);
+      periodsByYear.get(row.year).push(row);
+    });
+    const tableRow = row => ({
+      period: dated ? row.date : row.period,
+      year: row.year,
+      rate: row.rate,
+      payment: row.payment,
+      adjusted: row.adjusted,
+      interest: row.interest,
+      principal: row.principal,
+      extraPrincipal: row.extraPrincipal,
+      balloon: row.balloon,
+      endingBalance: row.endingBalance
+    });
+    const columns = [
+      periodColumn(periodLabel, dated, format),
+      { key: 'rate', header: 'Rate', align: 'right', format: v => format.percent(v) },
+      {
+        key: 'payment', header: 'Payment', align: 'right', format: v => format.currency(v),
+        flag: row => (row.adjusted ? 'adjusted to clear the balance' : null)
+      },
+      { key: 'interest', header: 'Interest', align: 'right', format: v => format.currency(v) },
+      { key: 'principal', header: 'Amortization', align: 'right', format: v => format.currency(v) },
+      { key: 'endingBalance', header: 'Ending Balance', align: 'right', format: v => format.currency(v) }
+    ];
+    if (s.prepayment) {
+      columns.splice(5, 0, { key: 'extraPrincipal', header: 'of which Extra', align: 'right', format: v => format.currency(v) });
+    }
+    if (s.balloon) {
+      columns.splice(columns.length - 1, 0, { key: 'balloon', header: 'of which Balloon', align: 'right', format: v => format.currency(v) });
+    }
+
+    renderTable(
+      rows.map(tableRow),
+      {
+        tableId: 'data-table-element',
+        caption: `Mortgage amortization schedule: ${frequencyLabel.toLowerCase()} payment split into interest and principal with the rate in effect and ending balance.`,
+        columns,
+        sortable: true,
+        details: grouped ? row => periodsByYear.get(row.year).map(tableRow) : null,
+        expanded: !summarized,
+        detailLabel: dated ? null : row => `${getFrequency(s.paymentsPerYear).period} ${row.period}`,
+        filter: {
+          label: 'Jump to year:',
+          value: row => row.year,
+          text: row => (dated ? `Year ${row.year} (from ${format.monthYear(periodsByYear.get(row.year)[0].date)})` : `Year ${row.year}`)
+        },
+        toolsId: 'table-tools',
+        totals: {
+          payment: totals.payment,
+          interest: totals.interest,
+          principal: totals.principal,
+          extraPrincipal: rows.reduce((sum, row) => sum + row.extraPrincipal, 0),
+          balloon: s.balloon || 0,
+          endingBalance: 0
+        }
+      },
+      root
+    );
+  }
+
+  /**
+   * Saved scenarios: save the current inputs by name, load or delete one, compare several
+   */
+  function setupScenarios(){
+    renderScenarioList();
+
+    listen($('#save-scenario-btn'), 'click', ()=>{
+      const nameField = $('#scenarioName');
+      const name = nameField.value.trim();
+      if (!name) {
+        announce('Enter a name to save this scenario');
+        nameField.focus();
+        return;
+      }
+      if (hasErrors(state.errors)) {
+        announce('Correct the inputs before saving this scenario');
+        return;
+      }
+      if (!saveScenario(name, getInputs(state))) {
+        announce('Scenarios cannot be saved in this browser');
+        return;
+      }
+      nameField.value = '';
+      renderScenarioList();
+      announce(`Saved scenario ${name}`);
+    });
+
+    listen($('#compare-scenarios-btn'), 'click', ()=>{
+      compareScenarios($$('#scenario-list input[type="checkbox"]:checked').map(el => el.value));
+    });
+
+    listen($('#close-comparison-btn'), 'click', ()=>{
+      $('#close-comparison-btn').hidden = true;
+      setState({ comparison: null });
+      recalc();
+      announce('Comparison closed');
+    });
+  }
+
+  function renderScenarioList(){
+    const list = $('#scenario-list');
+    if (!list) return;
+    const scenarios = loadScenarios();
+    const format = getFormat(state);
+    list.innerHTML = '';
+    const empty = $('#scenario-empty');
+    if (empty) empty.hidden = scenarios.length > 0;
+
+    scenarios.forEach((scenario, i) => {
+      const id = `scenario-${i}`;
+      const item = createElement('li', { className: 'scenario-item' });
+      item.appendChild(createElement('label', { className: 'input-checkbox-inline', htmlFor: id },
+        createElement('input', { type: 'checkbox', id, value: scenario.name }),
+        scenario.name
+      ));
+      item.appendChild(createElement('span', { className: 'scenario-summary' },
+        describeScenario({ ...DEFAULT_INPUTS, ...scenario.inputs }, format)
+      ));
+
+      const loadBtn = createElement('button', { type: 'button', className: 'toggle-btn', 'aria-label': `Load ${scenario.name}` }, 'Load');
+      listen(loadBtn, 'click', ()=>{
+        loadInputs({ ...DEFAULT_INPUTS, ...scenario.inputs });
+        history.recordInputs(getInputs(state));
+        updateHistoryButtons();
+        announce(`Loaded scenario ${scenario.name}`);
+      });
+      item.appendChild(loadBtn);
+
+      const deleteBtn = createElement('button', { type: 'button', className: 'toggle-btn', 'aria-label': `Delete ${scenario.name}` }, 'Delete');
+      listen(deleteBtn, 'click', ()=>{
+        deleteScenario(scenario.name);
+        renderScenarioList();
+        announce(`Deleted scenario ${scenario.name}`);
+      });
+      item.appendChild(deleteBtn);
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Compute the chosen saved scenarios for the comparison view. Stored inputs are
+   * validated like typed ones; scenarios that fail are left out and reported.
+   * @param {string[]} names - Names of the scenarios to compare
+   */
+  function compareScenarios(names){
+    if (names.length < 2 || names.length > MAX_COMPARED) {
+      updateValidationSummary({ ...state.errors, comparison: `Select between 2 and ${MAX_COMPARED} saved scenarios to compare` }, root);
+      return;
+    }
+
+    const problems = {};
+    const comparison = [];
+    loadScenarios().filter(scenario => names.includes(scenario.name)).forEach(scenario => {
+      const inputs = { ...DEFAULT_INPUTS, ...scenario.inputs };
+      const errors = validateAll(inputs, rules, getFormat(state));
+      if (hasErrors(errors)) {
+        problems[scenario.name] = `Scenario "${scenario.name}": ${Object.values(errors)[0]}`;
+        return;
+      }
+      const resolved = resolveInputs(inputs);
+      comparison.push({ name: scenario.name, inputs: resolved, result: computeMortgage(resolved) });
+    });
+    if (comparison.length < 2) problems.comparison = 'At least two valid scenarios are needed for a comparison';
+    updateValidationSummary({ ...state.errors, ...problems }, root);
+    if (comparison.length < 2) return;
+
+    $('#close-comparison-btn').hidden = false;
+    setState({ comparison });
+    announce(`Comparing ${comparison.map(c => c.name).join(', ')}`);
+  }
+
+  function updateComparisonText(s){
+    updateChartText(s);
+    const title = $('#visualizer-title');
+    if (title) title.textContent = `Scenario Comparison: ${s.comparison.map(c => c.name).join(' vs ')}`;
+    const note = $('#table-note');
+    if (note) note.textContent = `Note: Differences are measured against ${s.comparison[0].name}.`;
+  }
+
+  function renderDifferenceTable(s){
+    const [base, ...others] = s.comparison;
+    const format = getFormat(s);
+    const rows = SCENARIO_MEASURES.map(measure => {
+      const row = { measure: measure.label };
+      s.comparison.forEach((scenario, i) => { row[`scenario${i}`] = measure.format(measure.value(scenario), format); });
+      others.forEach((scenario, i) => {
+        const difference = measure.value(scenario) - measure.value(base);
+        // Zero differences show as a dash
+        row[`difference${i + 1}`] = Math.abs(difference) < 0.005 ? null :
+          `${difference > 0 ? '+' : '−'}${measure.format(Math.abs(difference), format)}`;
+      });
+      return row;
+    });
+
+    renderTable(rows, {
+      tableId: 'data-table-element',
+      caption: `Scenario comparison: payment, total interest and payoff of ${s.comparison.map(c => c.name).join(', ')}, with each difference from ${base.name}.`,
+      columns: [
+        { key: 'measure', header: 'Measure', align: 'left' },
+        ...s.comparison.map((scenario, i) => ({ key: `scenario${i}`, header: scenario.name, align: 'right' })),
+        ...others.map((scenario, i) => ({ key: `difference${i + 1}`, header: `${scenario.name} vs ${base.name}`, align: 'right' }))
+      ]
+    }, root);
+  }
+
+  /**
+   * Download the schedule as shown (per period or annual summary) as CSV, XLSX or JSON,
+   * or print it as a report (on paper or as a PDF)
+   */
+  function setupExport(){
+    Object.keys(EXPORT_TYPES).forEach(type => {
+      listen($(`#export-${type}-btn`), 'click', ()=> exportSchedule(type));
+    });
+    listen($('#print-report-btn'), 'click', ()=> exportReport('print'));
+    listen($('#pdf-report-btn'), 'click', ()=> exportReport('pdf'));
+    updateExportButtons(state);
+  }
+
+  // Only the calculator's own schedule is exported, not a scenario comparison
+  function updateExportButtons(s){
+    [...Object.keys(EXPORT_TYPES).map(type => `#export-${type}-btn`), '#print-report-btn', '#pdf-report-btn'].forEach(sel => {
+      const btn = $(sel);
+      if (btn) btn.disabled = !s.schedule || Boolean(s.comparison);
+    });
+  }
+
+  // The displayed schedule with its inputs, as exports and the report describe it
+  function getExportSheet(format){
+    const { rows, periodLabel } = getDisplay(state);
+    return buildScheduleExport(rows, getInputs(state), {
+      periodLabel,
+      annualSummary: state.annualSummary && state.paymentsPerYear > 1,
+      format
+    });
+  }
+
+  /**
+   * @param {string} type - 'csv', 'xlsx' or 'json'
+   */
+  function exportSchedule(type){
+    if (!state.schedule || state.comparison) return;
+    const format = getFormat(state);
+    const sheet = getExportSheet(format);
+    // CSV starts with a byte order mark so spreadsheets read it as UTF-8
+    const content = type === 'csv' ? `\ufeff${toCsv(sheet, format)}` : type === 'xlsx' ? toXlsx(sheet, format) : toJson(sheet);
+    const { extension, mime } = EXPORT_TYPES[type];
+    downloadFile(`mortgage-schedule.${extension}`, mime, content);
+    announce(`Schedule exported as ${extension.toUpperCase()}`);
+  }
+
+  /**
+   * @param {string} mode - 'print' (a print-optimized page in a new window) or 'pdf' (a download)
+   */
+  function exportReport(mode){
+    if (!state.schedule || state.comparison) return;
+    const format = getFormat(state);
+    const report = buildReport(getExportSheet(format), state, getInputs(state), format);
+    if (mode === 'pdf') {
+      downloadFile('mortgage-report.pdf', 'application/pdf', toPdf(report, format));
+      announce('Report downloaded as PDF');
+    } else if (!printReport(report, format)) {
+      announce('The report window was blocked. Allow pop-ups for this page to print it.');
+    }
+  }
+
+  /**
+   * Undo/redo of input changes: buttons plus Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes)
+   * while focus is in this calculator
+   */
+  function setupHistory(){
+    listen($('#undo-btn'), 'click', ()=> stepHistory(history.undo, 'Undo'));
+    listen($('#redo-btn'), 'click', ()=> stepHistory(history.redo, 'Redo'));
+
+    cleanups.push(listen(root, 'keydown', (e)=>{
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // Scenario names keep the browser's own text undo
+      if (e.target && e.target.id === 'scenarioName') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        stepHistory(history.undo, 'Undo');
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        stepHistory(history.redo, 'Redo');
+      }
+    }));
+  }
+
+  /**
+   * Restore the inputs from one undo or redo step and announce what changed
+   * @param {Function} step - history.undo or history.redo
+   * @param {string} action - 'Undo' or 'Redo'
+   */
+  function stepHistory(step, action){
+    const before = getInputs(state);
+    const inputs = step();
+    if (!inputs) {
+      announce(`Nothing to ${action.toLowerCase()}`);
+      return;
+    }
+    loadInputs(inputs);
+    updateHistoryButtons();
+
+    const format = getFormat(state);
+    const changes = INPUT_FIELDS
+      .filter(id => JSON.stringify(before[id]) !== JSON.stringify(inputs[id]))
+      .map(id => `${fieldLabel(id)} ${typeof inputs[id] === 'boolean' ? (inputs[id] ? 'on' : 'off') : inputText(id, inputs[id], format)}`);
+    announce(`${action}: ${changes.join(', ')}`);
+  }
+
+  /**
+   * Visible label of an input, e.g. "Loan Amount"
+   */
+  function fieldLabel(id){
+    const label = $(`label[for="${id}"]`);
+    return label ? label.textContent.trim().replace(/:$/, '') : id;
+  }
+
+  function updateHistoryButtons(){
+    const undoBtn = $('#undo-btn');
+    const redoBtn = $('#redo-btn');
+    if (undoBtn) undoBtn.disabled = !history.canUndo();
+    if (redoBtn) redoBtn.disabled = !history.canRedo();
+  }
+
+  function setupViewToggle(){
+    listen($('#chart-view-btn'),'click', ()=>{
+      showView('chart');
+      announce('Chart view active');
+      setTimeout(()=> $('#chart-container').focus(), 100);
+    });
+
+    listen($('#table-view-btn'),'click', ()=>{
+      showView('table');
+      announce('Table view active');
+      setTimeout(()=> $('#data-table-element').focus(), 100);
+    });
+  }
+
+  /**
+   * Legend items of the cash flow chart toggle their series; a toggle stays pressed
+   * (series shown) across recalculations
+   */
+  function setupChartLegend(){
+    $$('#chart-legend .legend-toggle').forEach(btn => {
+      const series = btn.dataset.series;
+      btn.setAttribute('aria-pressed', String(isSeriesVisible(series, root)));
+      listen(btn, 'click', ()=>{
+        const visible = btn.getAttribute('aria-pressed') !== 'true';
+        btn.setAttribute('aria-pressed', String(visible));
+        setSeriesVisible(series, visible, root);
+        announce(`${btn.textContent.trim()} ${visible ? 'shown' : 'hidden'}`);
+      });
+    });
+  }
+
+  /**
+   * What the schedule chart plots: cash flows, running totals, each payment's interest share or equity
+   */
+  function setupChartType(){
+    const el = $('#chartType');
+    if (!el) return;
+    listen(el, 'change', ()=>{
+      setState({ chartType: el.value });
+      announce(`Chart shows ${el.options[el.selectedIndex].textContent.trim().toLowerCase()}`);
+    });
+  }
+
+  /**
+   * Switch the visualizer between the chart and the table
+   * @param {string} mode - 'chart' or 'table'
+   */
+  function showView(mode){
+    const chartBtn = $('#chart-view-btn');
+    const tableBtn = $('#table-view-btn');
+    const isChart = mode === 'chart';
+
+    setState({ viewMode: mode });
+    chartBtn.classList.toggle('active', isChart); chartBtn.setAttribute('aria-pressed', String(isChart));
+    tableBtn.classList.toggle('active', !isChart); tableBtn.setAttribute('aria-pressed', String(!isChart));
+    $('#chart-container').style.display = isChart ? 'block' : 'none';
+    $('#table-container').style.display = isChart ? 'none' : 'block';
+    $('#chart-legend').style.display = isChart ? 'flex' : 'none';
+    $('#chart-type-control').style.display = isChart ? 'flex' : 'none';
+  }
+
+  function setupResize(){
+    let t;
+    cleanups.push(listen(window,'resize', ()=>{
+      clearTimeout(t);
+      t = setTimeout(()=>{
+        if (state.viewMode==='chart' && (state.schedule || state.comparison)){
+          drawChart(state);
+        }
+      }, 250);
+    }), ()=> clearTimeout(t));
+  }
+
+  /**
+   * Set up skip link handlers for accessibility
+   */
+  function setupSkipLinks() {
+    const skipToTable = $('a[href="#data-table"]');
+
+    if (skipToTable) {
+      listen(skipToTable, 'click', (e) => {
+        // Prevent default to handle it ourselves
+        e.preventDefault();
+
+        // Switch to table view if not already there
+        if (state.viewMode !== 'table') {
+          const tableBtn = $('#table-view-btn');
+          if (tableBtn) tableBtn.click();
+        } else {
+          // If already in table view, just focus the table
+          focusElement($('#data-table-element'), 100);
+        }
+
+        // Scroll the section into view
+        const section = $('#data-table');
+        if (section) {
+          section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+      });
+    }
+  }
+
+  /**
+   * Show the HTML fallback of the payment formula where MathML isn't supported
+   */
+  function setupEquation(){
+    if (typeof CSS === 'undefined' || CSS.supports('math-style: normal')) return;
+    const mathml = $('#mathml-equation');
+    const fallback = $('#html-equation');
+    if (mathml && fallback) {
+      mathml.hidden = true;
+      fallback.hidden = false;
+    }
+  }
+
+  /**
+   * Stop this calculator: remove its listeners, subscriptions and pending updates, the chart and the worker
+   */
+  function destroy() {
+    cleanups.splice(0).forEach(remove => remove());
+    destroyChart(root);
+    calcService.dispose();
+  }
+
+  init();
+
+  return { state, subscribe, recalc, setInputs, showView, destroy };
+}
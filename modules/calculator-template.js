@@ -0,0 +1,1039 @@
+/**
+ * Calculator Markup – Mortgage Calculator
+ * The calculator's cards (equation, results, chart/table and inputs), shared by the
+ * standalone page (calculator.js puts it in <main>) and each <mortgage-calculator>
+ * (mortgage-calculator.js puts it in the shadow root). Element ids only need to be
+ * unique within one calculator.
+ */
+
+export const CALCULATOR_TEMPLATE = `
+<!-- Card 1: Equation -->
+<section class="card" id="equation-card" aria-labelledby="equation-title">
+  <h4 class="card-title" id="equation-title">Mortgage Payment Formula</h4>
+  <div class="card-content">
+    <p class="equation-intro">
+      Fixed-rate mortgage with level payments. The payment per period (PMT) is calculated as:
+    </p>
+
+    <div class="equation-container">
+      <p class="sr-only" id="equation-description">
+        Mathematical formula showing how the periodic mortgage payment (PMT) is calculated 
+        based on principal (P), periodic interest rate (r), and number of payments (n).
+      </p>
+      <!-- MathML version -->
+      <div id="mathml-equation">
+        <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
+          <mrow>
+            <mi mathcolor="#c5611f" mathvariant="bold">PMT</mi>
+            <mo>=</mo>
+            <mi mathcolor="#3369FF" mathvariant="bold">P</mi>
+            <mo>×</mo>
+            <mfrac linethickness="1.2px">
+              <mrow>
+                <mi mathcolor="#7e22ce">r</mi>
+                <mo>×</mo>
+                <msup>
+                  <mrow>
+                    <mo>(</mo>
+                    <mn>1</mn>
+                    <mo>+</mo>
+                    <mi mathcolor="#7e22ce">r</mi>
+                    <mo>)</mo>
+                  </mrow>
+                  <mi>n</mi>
+                </msup>
+              </mrow>
+              <mrow>
+                <msup>
+                  <mrow>
+                    <mo>(</mo>
+                    <mn>1</mn>
+                    <mo>+</mo>
+                    <mi mathcolor="#7e22ce">r</mi>
+                    <mo>)</mo>
+                  </mrow>
+                  <mi>n</mi>
+                </msup>
+                <mo>−</mo>
+                <mn>1</mn>
+              </mrow>
+            </mfrac>
+          </mrow>
+        </math>
+      </div>
+
+      <!-- HTML fallback -->
+      <div id="html-equation" hidden>
+        <span class="bold" style="color:#c5611f;">PMT</span> =
+        <span style="color:#3369FF;">P</span> × 
+        [<span style="color:#7e22ce;">r</span>(1 + <span style="color:#7e22ce;">r</span>)<sup>n</sup>] / 
+        [(1 + <span style="color:#7e22ce;">r</span>)<sup>n</sup> − 1]
+      </div>
+    </div>
+
+    <p class="equation-intro" style="margin-top: 0.75rem;"  aria-hidden="true">
+      Where <strong style="color:#3369FF;">P</strong> = loan amount, 
+      <strong style="color:#7e22ce;">r</strong> = annual interest rate ÷ payments per year, 
+      <strong>n</strong> = number of years × payments per year.
+    </p>
+  </div>
+</section>
+
+<!-- Cards 2 & 3: Results and Visualizer -->
+<div class="grid-container">
+  <!-- Results -->
+  <div class="grid-item-left">
+    <section class="card" id="results-card" aria-labelledby="results-title">
+      <h4 class="card-title" id="results-title">Results and Analysis</h4>
+      <div class="card-content">
+        <div id="results-content">
+          <!-- Populated by JavaScript -->
+        </div>
+      </div>
+    </section>
+  </div>
+
+  <!-- Visualizer (Chart/Table toggle) -->
+  <div class="grid-item-right">
+    <section class="card" id="data-table" tabindex="-1" aria-labelledby="visualizer-title">
+      <h4 class="card-title" id="visualizer-title">Mortgage Cash Flows: Annual Payment Frequency</h4>
+      <div class="card-content">
+        <!-- View controls -->
+        <div class="view-controls">
+          <!-- What the schedule chart plots -->
+          <div class="chart-type" id="chart-type-control">
+            <label for="chartType" class="input-label-inline">Chart:</label>
+            <select id="chartType" class="input-field-inline input-select-inline">
+              <option value="cashflow" selected>Cash flows</option>
+              <option value="cumulative">Cumulative interest and principal</option>
+              <option value="percent">Interest share of each payment</option>
+              <option value="equity">Equity build-up</option>
+            </select>
+          </div>
+
+          <!-- Cash flow series can be toggled on and off from their legend items -->
+          <div class="legend" id="chart-legend">
+            <button type="button" class="legend-item legend-toggle" id="legend-principal" data-series="principal" aria-pressed="true">
+              <span class="legend-color" style="background-color: #3369FF; border: 1px solid #333;"></span>
+              Amortization (Principal)
+            </button>
+            <button type="button" class="legend-item legend-toggle" id="legend-interest" data-series="interest" aria-pressed="true">
+              <span class="legend-color" style="background-color: #ea792d; border: 1px solid #333;"></span>
+              Interest
+            </button>
+            <button type="button" class="legend-item legend-toggle" id="legend-extra" data-series="extra" aria-pressed="true" style="display:none;">
+              <span class="legend-color" style="background-color: #49b2b8; border: 1px solid #333;"></span>
+              Extra Principal
+            </button>
+            <button type="button" class="legend-item legend-toggle" id="legend-balloon" data-series="balloon" aria-pressed="true" style="display:none;">
+              <span class="legend-color" style="background-color: #7e22ce; border: 1px solid #333;"></span>
+              Balloon
+            </button>
+            <button type="button" class="legend-item legend-toggle" id="legend-equity" data-series="equity" aria-pressed="true" style="display:none;">
+              <span class="legend-color" style="background-color: #2e7d32; border: 1px solid #333;"></span>
+              Equity
+            </button>
+            <button type="button" class="legend-item legend-toggle" id="legend-balance" data-series="balance" aria-pressed="true">
+              <span class="legend-line" style="background-color: #06005a;"></span>
+              Remaining Balance
+            </button>
+            <span class="legend-item" id="legend-current" style="display:none;">
+              <span class="legend-color" style="background-color: #3369FF; border: 1px solid #333;"></span>
+              Current Loan
+            </span>
+            <span class="legend-item" id="legend-refinanced" style="display:none;">
+              <span class="legend-color" style="background-color: #ea792d; border: 1px solid #333;"></span>
+              Refinanced Loan
+            </span>
+            <!-- One item per compared scenario, filled by JavaScript -->
+            <span class="legend-scenarios" id="legend-scenarios" style="display:none;"></span>
+          </div>
+          
+          <div class="button-group" role="group" aria-label="View mode">
+            <button id="chart-view-btn" class="toggle-btn active" aria-pressed="true">
+              Show Chart
+            </button>
+            <button id="table-view-btn" class="toggle-btn" aria-pressed="false">
+              Show Table
+            </button>
+          </div>
+
+          <div class="button-group export-group" role="group" aria-label="Export and print">
+            <button type="button" id="export-csv-btn" class="toggle-btn">
+              Export CSV
+            </button>
+            <button type="button" id="export-xlsx-btn" class="toggle-btn">
+              Export Excel
+            </button>
+            <button type="button" id="export-json-btn" class="toggle-btn">
+              Export JSON
+            </button>
+            <button type="button" id="print-report-btn" class="toggle-btn">
+              Print Report
+            </button>
+            <button type="button" id="pdf-report-btn" class="toggle-btn">
+              Download PDF
+            </button>
+          </div>
+        </div>
+
+        <!-- Screen reader announcement for view changes -->
+        <div class="sr-only" aria-live="polite" aria-atomic="true" id="view-announcement"></div>
+
+        <!-- Hidden chart description -->
+        <div class="sr-only" id="mortgage-chart-desc">
+          <h5 id="mortgage-chart-title">Mortgage cash flows over time</h5>
+          <p>
+            This chart displays the complete cash flow timeline for a mortgage. 
+            At each payment date, the fixed payment is split into two components: interest (shown in orange) 
+            paid to the lender, and amortization/principal (shown in blue) that reduces the loan balance. 
+            The stacked bars show how these components change over the loan term. 
+            A line on the right-hand axis shows the balance remaining after each payment. 
+            A dashed line marks the crossover, the first payment in which principal exceeds interest. 
+            Each series can be hidden or shown with its button in the legend. 
+            Use the arrow keys to navigate between data points and hear the specific values for each period.
+          </p>
+        </div>
+
+        <!-- Hidden chart description (cumulative interest and principal) -->
+        <div class="sr-only" id="cumulative-chart-desc" hidden>
+          <h5 id="cumulative-chart-title">Cumulative interest and principal paid</h5>
+          <p>
+            This chart shows the running totals of interest (shown in orange) and principal (shown in blue) 
+            paid since the loan began, as overlapping areas. Interest builds up fastest early in the loan, 
+            while the balance is high; principal catches up later and rises steeply near the end. 
+            A dashed line marks the crossover, the first payment in which principal exceeds interest. 
+            Use the arrow keys to navigate between data points and hear both totals to date.
+          </p>
+        </div>
+
+        <!-- Hidden chart description (interest share of each payment) -->
+        <div class="sr-only" id="percent-chart-desc" hidden>
+          <h5 id="percent-chart-title">Share of each payment going to interest and principal</h5>
+          <p>
+            This chart shows each payment split into interest (shown in orange) and principal (shown in blue) 
+            as bars stacked to 100%. The interest share starts high and falls with every payment as the balance 
+            is repaid. A dashed line marks the crossover, where the principal share first passes the interest share. 
+            Use the arrow keys to navigate between payments and hear each share.
+          </p>
+        </div>
+
+        <!-- Hidden chart description (equity build-up) -->
+        <div class="sr-only" id="equity-chart-desc" hidden>
+          <h5 id="equity-chart-title">Equity build-up</h5>
+          <p>
+            This chart shows the owner's equity (shown in green) stacked under the remaining loan balance 
+            (shown in dark blue) after each payment. With a property value entered, the two add up to that value 
+            and equity starts at the down payment; without one, equity is the principal repaid and the two add up 
+            to the loan amount. A dashed line marks the crossover, from which more of each payment builds equity than pays interest. 
+            Use the arrow keys to navigate between data points and hear the equity and balance.
+          </p>
+        </div>
+
+        <!-- Where principal overtakes interest, filled by JavaScript -->
+        <p class="sr-only" id="chart-crossover-text"></p>
+
+        <!-- Hidden chart description (refinance comparison) -->
+        <div class="sr-only" id="refinance-chart-desc" hidden>
+          <h5 id="refinance-chart-title">Current and refinanced payment streams</h5>
+          <p>
+            This chart compares the remaining payments on the current loan (shown in blue) with the payments 
+            on the refinanced loan (shown in orange), period by period from the refinance date. 
+            Use the arrow keys to navigate between periods and hear both payments and the difference.
+          </p>
+        </div>
+
+        <!-- Hidden chart description (saved scenario comparison) -->
+        <div class="sr-only" id="scenario-chart-desc" hidden>
+          <h5 id="scenario-chart-title">Payment streams of the compared scenarios</h5>
+          <p>
+            This chart shows the payments of each compared scenario as grouped bars, period by period. 
+            Use the arrow keys to navigate between periods and hear each scenario's payment and remaining balance.
+          </p>
+        </div>
+
+        <!-- Chart container -->
+        <div id="chart-container" class="chart-wrapper"
+             role="img"
+             aria-labelledby="mortgage-chart-title"
+             aria-describedby="mortgage-chart-desc"
+             tabindex="0">
+          <canvas id="mortgage-chart"></canvas>
+        </div>
+
+        <!-- Table container -->
+        <div id="table-container" style="display:none;">
+          <!-- Table filter, populated by JavaScript -->
+          <div id="table-tools" class="table-tools"></div>
+          <div class="table-wrapper">
+            <table id="data-table-element" class="data-table" tabindex="0">
+              <!-- Populated by JavaScript -->
+            </table>
+          </div>
+          <p id="table-note" class="table-note">
+            Note: Values show annual cash flows over the mortgage term.
+          </p>
+        </div>
+      </div>
+    </section>
+  </div>
+</div>
+
+<!-- Card 4: Calculator -->
+<section class="card" id="calculator" tabindex="-1" aria-labelledby="calculator-title">
+  <h4 class="card-title" id="calculator-title">Mortgage Cash Flow Calculator</h4>
+  <div class="card-content">
+    <!-- Input controls -->
+    <div class="input-section">
+      <p class="sr-only" id="inputHelp">
+        Enter values and the calculator updates results and the chart automatically.
+      </p>
+
+      <!-- Undo/redo of input changes -->
+      <div class="button-group history-controls" role="group" aria-label="Input history">
+        <button type="button" id="undo-btn" class="toggle-btn" aria-keyshortcuts="Control+Z" disabled>
+          Undo
+        </button>
+        <button type="button" id="redo-btn" class="toggle-btn" aria-keyshortcuts="Control+Shift+Z" disabled>
+          Redo
+        </button>
+      </div>
+
+      <div class="input-group-inline">
+        <div class="input-inline">
+          <label for="loanAmount" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-loanAmount"
+                 data-tooltip-text="Range: $1,000 – $10,000,000">
+            Loan Amount:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="loanAmount" 
+              class="input-field-inline"
+              value="300000"
+              aria-required="true" 
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="propertyValue" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-propertyValue"
+                 data-tooltip-text="Optional: the home's price or appraised value, to check the loan-to-value ratio">
+            Property Value:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="propertyValue" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="annualRate" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-annualRate"
+                 data-tooltip-text="Range: 0% – 25%">
+            Interest Rate:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="annualRate" 
+              class="input-field-inline"
+              value="6.5"
+              aria-required="true" 
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="years" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-years"
+                 data-tooltip-text="Range: 1 – 40 years">
+            Term:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="years" 
+              class="input-field-inline"
+              value="30"
+              aria-required="true" 
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="loanType" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-loanType"
+                 data-tooltip-text="Loan program: sets the allowed term and maximum loan-to-value. General: 1 – 40 years, up to 100%">
+            Loan Type:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="loanType" 
+              class="input-field-inline input-select-inline"
+              aria-invalid="false">
+              <option value="general" selected>General</option>
+              <option value="conventional">Conventional (10 – 30 yrs, 97%)</option>
+              <option value="fha">FHA (10 – 30 yrs, 96.5%)</option>
+              <option value="va">VA (10 – 30 yrs, 100%)</option>
+              <option value="jumbo">Jumbo (10 – 30 yrs, 90%)</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="paymentsPerYear" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-paymentsPerYear"
+                 data-tooltip-text="Number of payments made each year">
+            Frequency:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="paymentsPerYear" 
+              class="input-field-inline input-select-inline"
+              aria-required="true" 
+              aria-invalid="false">
+              <option value="1" selected>Annual</option>
+              <option value="2">Semi-annual</option>
+              <option value="4">Quarterly</option>
+              <option value="12">Monthly</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="startDate" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-startDate"
+                 data-tooltip-text="Date the loan starts; the first payment falls due one period later">
+            Start Date:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="date" 
+              id="startDate" 
+              class="input-field-inline input-text-inline"
+              value="2026-01-01"
+              aria-invalid="false">
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="dayCount" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-dayCount"
+                 data-tooltip-text="How interest accrues between payment dates">
+            Day Count:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="dayCount" 
+              class="input-field-inline input-select-inline"
+              aria-invalid="false">
+              <option value="30/360" selected>30/360</option>
+              <option value="ACT/365">Actual/365</option>
+              <option value="ACT/360">Actual/360</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="solveFor" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-solveFor"
+                 data-tooltip-text="Fix the payment and back out the loan amount, rate or term">
+            Solve For:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="solveFor" 
+              class="input-field-inline input-select-inline"
+              aria-invalid="false">
+              <option value="payment" selected>Payment</option>
+              <option value="loanAmount">Loan Amount</option>
+              <option value="annualRate">Interest Rate</option>
+              <option value="years">Term</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline" id="target-payment-input" hidden>
+          <label for="targetPayment" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-targetPayment"
+                 data-tooltip-text="Payment per period to solve from">
+            Target Payment:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="targetPayment" 
+              class="input-field-inline"
+              value="2000"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="interestOnlyYears" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-interestOnlyYears"
+                 data-tooltip-text="Years of interest-only payments before amortization starts">
+            Interest-Only:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="interestOnlyYears" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="balloonYears" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-balloonYears"
+                 data-tooltip-text="Year the remaining balance falls due (0 = fully amortizing); the term above sets the amortization basis">
+            Balloon Due:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="balloonYears" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="rateType" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-rateType"
+                 data-tooltip-text="Fixed rate for the whole term, or an adjustable-rate mortgage (ARM)">
+            Rate Type:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="rateType" 
+              class="input-field-inline input-select-inline"
+              aria-invalid="false">
+              <option value="fixed" selected>Fixed</option>
+              <option value="arm">Adjustable (ARM)</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="extraPayment" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-extraPayment"
+                 data-tooltip-text="Added to every payment and applied to principal">
+            Extra / Payment:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="extraPayment" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="lumpSums" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-lumpSums"
+                 data-tooltip-text="One-off prepayments as period:amount, e.g. 12:10000, 60:5000">
+            Lump Sums:
+          </label>
+          <div class="input-with-suffix-inline input-wide-inline">
+            <input 
+              type="text" 
+              id="lumpSums" 
+              class="input-field-inline input-text-inline"
+              placeholder="12:10000, 60:5000"
+              aria-invalid="false">
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label class="input-checkbox-inline" for="roundToCents"
+                 data-tooltip-id="tooltip-roundToCents"
+                 data-tooltip-text="Round each payment and interest amount to the cent and adjust the final payment">
+            <input type="checkbox" id="roundToCents">
+            Round to cents
+          </label>
+        </div>
+
+        <div class="input-inline">
+          <label class="input-checkbox-inline" for="annualSummary">
+            <input type="checkbox" id="annualSummary">
+            Annual summary
+          </label>
+        </div>
+
+        <div class="input-inline">
+          <label for="locale" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-locale"
+                 data-tooltip-text="How numbers and dates are written, in the results and when typing amounts">
+            Number Format:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="locale" 
+              class="input-field-inline input-select-inline">
+              <option value="en-US" selected>1,234.56 (US)</option>
+              <option value="en-GB">1,234.56 (UK)</option>
+              <option value="en-IN">1,23,456.78 (India)</option>
+              <option value="de-DE">1.234,56 (Germany)</option>
+              <option value="fr-FR">1 234,56 (France)</option>
+              <option value="ja-JP">1,234.56 (Japan)</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="currency" class="input-label-inline">
+            Currency:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="currency" 
+              class="input-field-inline input-select-inline">
+              <option value="USD" selected>US dollar</option>
+              <option value="GBP">Pound sterling</option>
+              <option value="EUR">Euro</option>
+              <option value="INR">Indian rupee</option>
+              <option value="JPY">Japanese yen</option>
+              <option value="CAD">Canadian dollar</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label class="input-checkbox-inline" for="compareRefinance"
+                 data-tooltip-id="tooltip-compareRefinance"
+                 data-tooltip-text="Compare the rest of this loan with refinancing the remaining balance">
+            <input type="checkbox" id="compareRefinance">
+            Compare refinance
+          </label>
+        </div>
+      </div>
+
+      <!-- Points and fees (for the APR) -->
+      <div class="input-group-inline" id="cost-inputs" role="group" aria-label="Points and fees">
+        <div class="input-inline">
+          <label for="discountPoints" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-discountPoints"
+                 data-tooltip-text="Discount points, as a % of the loan amount">
+            Points:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="discountPoints" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="originationFee" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-originationFee"
+                 data-tooltip-text="Lender origination fee">
+            Origination Fee:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="originationFee" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="otherCharges" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-otherCharges"
+                 data-tooltip-text="Other prepaid finance charges included in the APR">
+            Other Charges:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="otherCharges" 
+              class="input-field-inline"
+              value="0"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Payoff quote at a period or date -->
+      <div class="input-group-inline" id="payoff-inputs" role="group" aria-label="Payoff quote">
+        <div class="input-inline">
+          <label for="quoteBy" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-quoteBy"
+                 data-tooltip-text="Quote the payoff after a number of payments or on a calendar date">
+            Quote At:
+          </label>
+          <div class="input-with-suffix-inline">
+            <select 
+              id="quoteBy" 
+              class="input-field-inline input-select-inline"
+              aria-invalid="false">
+              <option value="period" selected>Period</option>
+              <option value="date">Date</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="input-inline" id="quote-period-input">
+          <label for="quotePeriod" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-quotePeriod"
+                 data-tooltip-text="Payments made so far; a fraction such as 12.5 is part-way through the next period">
+            Quote Period:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="quotePeriod" 
+              class="input-field-inline"
+              value="5"
+              aria-invalid="false">
+          </div>
+        </div>
+
+        <div class="input-inline" id="quote-date-input" hidden>
+          <label for="quoteDate" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-quoteDate"
+                 data-tooltip-text="Date of the payoff quote">
+            Quote Date:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="date" 
+              id="quoteDate" 
+              class="input-field-inline input-text-inline"
+              value="2031-07-01"
+              aria-invalid="false">
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="marketRate" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-marketRate"
+                 data-tooltip-text="Market rate used to value the remaining payments">
+            Market Rate:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="marketRate" 
+              class="input-field-inline"
+              value="6"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Adjustable-rate inputs (shown when Rate Type is ARM) -->
+      <div class="input-group-inline" id="arm-inputs" role="group" aria-label="Adjustable-rate terms" hidden>
+        <div class="input-inline">
+          <label for="armFixedYears" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armFixedYears"
+                 data-tooltip-text="Years before the first reset, e.g. 5 for a 5/1 ARM">
+            Fixed Period:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armFixedYears" 
+              class="input-field-inline"
+              value="5"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+        <div class="input-inline">
+          <label for="armResetYears" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armResetYears"
+                 data-tooltip-text="Years between resets, e.g. 1 for a 5/1 ARM">
+            Reset Every:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armResetYears" 
+              class="input-field-inline"
+              value="1"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armIndexPath" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armIndexPath"
+                 data-tooltip-text="Index rate at each reset, e.g. 4.5, 5, 5.25 (last value repeats)">
+            Index Path:
+          </label>
+          <div class="input-with-suffix-inline input-wide-inline">
+            <input 
+              type="text" 
+              id="armIndexPath" 
+              class="input-field-inline"
+              value="4.5"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armMargin" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armMargin"
+                 data-tooltip-text="Added to the index at each reset">
+            Margin:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armMargin" 
+              class="input-field-inline"
+              value="2.75"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armInitialCap" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armInitialCap"
+                 data-tooltip-text="Largest change at the first reset (percentage points)">
+            Initial Cap:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armInitialCap" 
+              class="input-field-inline"
+              value="2"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armPeriodicCap" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armPeriodicCap"
+                 data-tooltip-text="Largest change at each later reset (percentage points)">
+            Periodic Cap:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armPeriodicCap" 
+              class="input-field-inline"
+              value="2"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armLifetimeCap" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armLifetimeCap"
+                 data-tooltip-text="Largest rise over the initial rate (percentage points)">
+            Lifetime Cap:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armLifetimeCap" 
+              class="input-field-inline"
+              value="5"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="armFloor" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-armFloor"
+                 data-tooltip-text="Lowest rate the loan can reset to">
+            Floor:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="armFloor" 
+              class="input-field-inline"
+              value="2.75"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Refinance inputs (shown when Compare refinance is checked) -->
+      <div class="input-group-inline" id="refinance-inputs" role="group" aria-label="Refinance terms" hidden>
+        <div class="input-inline">
+          <label for="refiYearsPaid" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-refiYearsPaid"
+                 data-tooltip-text="Years of the current loan already paid">
+            Years Paid:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="refiYearsPaid" 
+              class="input-field-inline"
+              value="5"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="refiRate" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-refiRate"
+                 data-tooltip-text="Annual interest rate on the new loan">
+            New Rate:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="refiRate" 
+              class="input-field-inline"
+              value="5.5"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">%</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="refiYears" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-refiYears"
+                 data-tooltip-text="Length of the new loan">
+            New Term:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="refiYears" 
+              class="input-field-inline"
+              value="25"
+              aria-invalid="false">
+            <span class="input-suffix-inline" aria-hidden="true">yrs</span>
+          </div>
+        </div>
+
+        <div class="input-inline">
+          <label for="refiClosingCosts" 
+                 class="input-label-inline"
+                 data-tooltip-id="tooltip-refiClosingCosts"
+                 data-tooltip-text="Up-front cost of refinancing">
+            Closing Costs:
+          </label>
+          <div class="input-with-suffix-inline">
+            <input 
+              type="text" inputmode="decimal"
+              id="refiClosingCosts" 
+              class="input-field-inline"
+              value="4000"
+              aria-invalid="false">
+            <span class="input-suffix-inline currency-suffix" aria-hidden="true">$</span>
+          </div>
+        </div>
+      </div>
+
+      <!-- Saved scenarios (stored in this browser) -->
+      <div class="scenario-manager" id="scenario-manager" role="group" aria-labelledby="scenario-title">
+        <h5 class="scenario-title" id="scenario-title">Saved Scenarios</h5>
+        <div class="input-group-inline">
+          <div class="input-inline">
+            <label for="scenarioName" class="input-label-inline">
+              Name:
+            </label>
+            <div class="input-with-suffix-inline input-wide-inline">
+              <input 
+                type="text" 
+                id="scenarioName" 
+                class="input-field-inline input-text-inline"
+                maxlength="40"
+                placeholder="e.g. 15-year fixed">
+            </div>
+          </div>
+          <div class="button-group" role="group" aria-label="Scenario actions">
+            <button type="button" id="save-scenario-btn" class="toggle-btn">Save Scenario</button>
+            <button type="button" id="compare-scenarios-btn" class="toggle-btn">Compare Selected</button>
+            <button type="button" id="close-comparison-btn" class="toggle-btn" hidden>Close Comparison</button>
+          </div>
+        </div>
+        <p class="scenario-empty" id="scenario-empty">No saved scenarios yet.</p>
+        <ul class="scenario-list" id="scenario-list" aria-label="Saved scenarios"></ul>
+      </div>
+
+      <!-- Validation summary -->
+      <div id="validation-summary" class="validation-summary" role="alert" style="display: none;">
+        <div class="validation-title">Please correct the following:</div>
+        <ul id="validation-list"></ul>
+      </div>
+
+      <div id="validation-warnings" class="validation-summary validation-warnings" role="status" hidden>
+        <div class="validation-title">Please check (results are still shown):</div>
+        <ul id="warning-list"></ul>
+      </div>
+    </div>
+  </div>
+</section>
+`;
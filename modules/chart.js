@@ -3,91 +3,100 @@
  * Chart rendering using Chart.js with full keyboard accessibility
  */
 
-import { formatCurrency } from './utils.js';
+import { createFormat } from './utils.js';
 
 // CFA Brand Colors (WCAG AA verified)
 const COLORS = {
   principal: '#3369FF',   // 4.55:1 contrast - Amortization
   interest: '#ea792d',    // Interest payments
+  extra: '#49b2b8',       // Extra principal (prepayments)
+  balloon: '#7e22ce',     // Balloon payment
+  balance: '#06005a',     // Remaining balance line
+  equity: '#2e7d32',      // Equity build-up
   darkText: '#06005a'     // Focus indicator
 };
 
-let chartInstance = null;
-let currentFocusIndex = 0;
-let isKeyboardMode = false;
+// Colors for compared payment streams, in series order
+export const SERIES_COLORS = [COLORS.principal, COLORS.interest, COLORS.extra, COLORS.balloon];
+
+// Chart, keyboard focus, input mode and hidden series per canvas, so several calculators can share a page
+const chartViews = new WeakMap();
+
+function getView(canvas) {
+  if (!chartViews.has(canvas)) chartViews.set(canvas, { chart: null, focusIndex: 0, keyboardMode: false, hidden: new Set() });
+  return chartViews.get(canvas);
+}
 
 /**
- * Create or update mortgage cash flow chart
+ * Create or update the chart of a mortgage schedule
  * @param {Array} rows - Array of mortgage schedule objects
  * @param {boolean} showLabels - Whether to show value labels
+ * @param {Object} options - Display options {chartType, periodLabel, cashFlowLabel, balanceLabel, showRate, propertyValue,
+ *   termPeriods, payoffLabel, crossover, periodDates, root, format}
+ *   chartType: 'cashflow' (default: stacked payments with the remaining balance), 'cumulative' (interest and
+ *   principal paid to date), 'percent' (each payment's split, stacked to 100%) or 'equity' (equity against
+ *   the remaining balance; equity is measured from propertyValue when given, else from the loan amount);
+ *   balanceLabel titles the secondary axis of the remaining-balance line;
+ *   termPeriods extends the x-axis past an early payoff; payoffLabel marks where it happened;
+ *   crossover ({index, label}) marks the period where principal overtakes interest;
+ *   periodDates (ISO payment dates for every x-axis period) switches the axis to dates;
+ *   root (default: the document) holds the canvas; format (from createFormat) sets the locale and currency
  */
-export function renderChart(rows, showLabels = true) {
-  const canvas = document.getElementById('mortgage-chart');
-  
-  if (!canvas) {
-    console.error('Chart canvas not found');
-    return;
-  }
-  
-  // Make canvas focusable and add keyboard navigation
-    // Make canvas focusable and add keyboard navigation
- canvas.setAttribute('tabindex', '0');
-canvas.setAttribute('role', 'img');
-canvas.setAttribute('aria-roledescription', 'interactive chart');
-canvas.setAttribute(
-  'aria-label',
-  'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
-);
-  // Allow Enter to activate keyboard navigation from wrapper
-const container = canvas.parentElement;
-if (container) {
-  container.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      canvas.focus();
-    }
-  });
-}
+export function renderChart(rows, showLabels = true, options = {}) {
+  const chartType = Object.hasOwn(PLOTS, options.chartType || '') ? options.chartType : 'cashflow';
+  const periodLabel = options.periodLabel || 'Year';
+  const showRate = Boolean(options.showRate);
+  const format = options.format || createFormat();
+  const crossover = options.crossover || null;
+
+  const canvas = prepareCanvas(options.root);
+  if (!canvas) return;
+  const view = getView(canvas);
   
   const ctx = canvas.getContext('2d');
   
   // Prepare data for Chart.js
-  const labels = rows.map(r => r.year);  // Just the year number, not "Year X"
-  const interest = rows.map(r => r.interest);
-  const principal = rows.map(r => r.principal);
+  const periodDates = options.periodDates || null;
+  const labels = rows.map(r => r.period);  // Just the period number, not "Year X"
+  for (let p = labels.length + 1; p <= (options.termPeriods || 0); p++) labels.push(p);
+  if (periodDates) labels.forEach((_, i) => { labels[i] = format.monthYear(periodDates[i]); });
   const totalPayment = rows.map(r => r.payment);
   
   // Destroy existing chart instance
-  if (chartInstance) {
-    chartInstance.destroy();
+  if (view.chart) {
+    view.chart.destroy();
   }
   
   // Reset focus index
-  currentFocusIndex = 0;
+  view.focusIndex = 0;
+  
+  const shown = key => !view.hidden.has(key);
+  const plot = PLOTS[chartType](rows, {
+    shown,
+    format,
+    showRate,
+    cashFlowLabel: options.cashFlowLabel || 'Annual Cash Flow ($)',
+    balanceLabel: options.balanceLabel || 'Remaining Balance ($)',
+    propertyValue: options.propertyValue || 0
+  });
+  const periodTitle = index => `${periodLabel} ${rows[index].period}` + (rows[index].date ? ` (${format.date(rows[index].date)})` : '');
+  const notes = index => (crossover && crossover.index === index ? [crossover.label] : []);
+  const announce = chartType === 'cashflow'
+    ? index => announceDataPoint(canvas, rows[index], totalPayment[index], periodLabel, showRate, format, shown, notes(index))
+    : index => announcePlotPoint(canvas, plot, index, periodTitle(index), shown, notes(index));
+  
+  // Early payoff and crossover markers
+  const markers = [
+    crossover && { index: crossover.index, label: crossover.label, dash: [2, 3] },
+    options.payoffLabel && { index: rows.length - 1, label: options.payoffLabel, dash: [4, 4], after: true }
+  ].filter(Boolean);
   
   // Create new chart with custom plugins
-  chartInstance = new Chart(ctx, {
-    type: 'bar',
+  view.chart = new Chart(ctx, {
+    type: plot.type,
     data: {
       labels: labels,
-      datasets: [
-        {
-          label: 'Amortization (Principal)',
-          data: principal,
-          backgroundColor: COLORS.principal,
-          borderColor: '#333',
-          borderWidth: 1,
-          stack: 'cash'
-        },
-        {
-          label: 'Interest',
-          data: interest,
-          backgroundColor: COLORS.interest,
-          borderColor: '#333',
-          borderWidth: 1,
-          stack: 'cash'
-        }
-      ]
+      datasets: plot.datasets
     },
     options: {
       responsive: true,
@@ -96,18 +105,7 @@ if (container) {
         mode: 'index',
         intersect: false
       },
-onHover: (event, activeElements) => {
-  // Skip if keyboard focus already active
-  if (isKeyboardMode && document.activeElement === canvas) return;
-
-  // Announce hovered data point
-  if (activeElements.length > 0) {
-    const index = activeElements[0].index;
-    announceDataPoint(rows[index], totalPayment[index]);
-  }
-}
-
-,
+      onHover: createHoverHandler(canvas, announce),
       plugins: {
         title: {
           display: false
@@ -116,19 +114,14 @@ onHover: (event, activeElements) => {
           display: false // Using custom legend in HTML
         },
         tooltip: {
+          // Footer datasets (the cash flows' balance line) go below the values they follow
+          filter: (item) => !item.dataset.inFooter,
           callbacks: {
-            title: (context) => {
-              const index = context[0].dataIndex;
-              return `Year ${rows[index].year}`;
-            },
-            label: (context) => {
-              const value = context.parsed.y;
-              return `${context.dataset.label}: ${formatCurrency(value)}`;
-            },
+            title: (context) => periodTitle(context[0].dataIndex),
+            label: (context) => `${context.dataset.label}: ${plot.valueText(context.parsed.y)}`,
             footer: (context) => {
               const index = context[0].dataIndex;
-              const payment = totalPayment[index];
-              return `Total Payment: ${formatCurrency(payment)}`;
+              return [...plot.footer(index), ...notes(index)];
             }
           }
         }
@@ -137,32 +130,29 @@ onHover: (event, activeElements) => {
         x: {
           title: {
             display: true,
-            text: 'Year'
+            text: periodDates ? 'Payment Date' : periodLabel
           },
           grid: {
             display: false
           },
-          stacked: true
+          stacked: plot.stacked
         },
         y: {
           title: {
             display: true,
-            text: 'Annual Cash Flow ($)'
+            text: plot.axisLabel
           },
+          ...(plot.max !== undefined ? { min: 0, max: plot.max } : {}),
           ticks: {
-            callback: function(value) {
-              // Format as number with commas, no $ since axis title has it
-              return new Intl.NumberFormat('en-US', {
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-              }).format(value);
-            }
+            // No currency symbol, since the axis title has it
+            callback: plot.tickText
           },
           grid: {
             color: 'rgba(0, 0, 0, 0.05)'
           },
-          stacked: true
-        }
+          stacked: plot.stacked
+        },
+        ...plot.scales
       },
       layout: {
         padding: {
@@ -175,12 +165,12 @@ onHover: (event, activeElements) => {
     },
     plugins: [
       {
-        // Custom plugin to draw labels on top of stacked bars
+        // Custom plugin to draw payment labels on top of the stacked cash flow bars
         // Only enabled for small datasets to prevent overlap
         id: 'stackedBarLabels',
         afterDatasetsDraw: (chart) => {
           // Only show labels if showLabels is true AND we have 10 or fewer bars
-          if (!showLabels || rows.length > 10) return;
+          if (!showLabels || chartType !== 'cashflow' || rows.length > 10) return;
           
           const ctx = chart.ctx;
           ctx.save();
@@ -189,125 +179,561 @@ onHover: (event, activeElements) => {
           ctx.textAlign = 'center';
           ctx.textBaseline = 'bottom';
           
-          const meta0 = chart.getDatasetMeta(0);
-          const meta1 = chart.getDatasetMeta(1);
-          
-          chart.data.labels.forEach((label, index) => {
+          rows.forEach((row, index) => {
             const payment = totalPayment[index];
             if (Math.abs(payment) < 0.01) return;
             
-            if (!meta0.data[index] || !meta1.data[index]) return;
+            const bars = getStackBars(chart, index);
+            if (!bars) return;
             
-            const bar0 = meta0.data[index];
-            const bar1 = meta1.data[index];
-            
-            const x = bar1.x;
-            const y = Math.min(bar0.y, bar1.y) - 5;
+            const x = bars[0].x;
+            const y = Math.min(...bars.map(bar => bar.y)) - 5;
             
             // Draw the payment label
-            ctx.fillText(formatCurrency(payment), x, y);
+            ctx.fillText(format.currency(payment), x, y);
           });
           
           ctx.restore();
         }
       },
+      outerBordersPlugin,
+      createFocusPlugin(canvas),
+      createMarkerPlugin(markers)
+    ]
+  });
+  
+  // Add keyboard navigation
+  setupKeyboardNavigation(canvas, rows.length, announce);
+}
+
+/* -------------------------------------------------------------
+   Chart types: the datasets, axes and value text renderChart uses for each
+------------------------------------------------------------- */
+
+// Regular principal apart from the extra principal and balloon paid with it
+function splitPrincipal(rows) {
+  const extra = rows.map(r => r.extraPrincipal || 0);
+  const balloon = rows.map(r => r.balloon || 0);
+  const principal = rows.map((r, i) => r.principal - extra[i] - balloon[i]);
+  return { principal, extra, balloon };
+}
+
+function barDataset(label, series, data, shown) {
+  return {
+    label,
+    series,
+    data,
+    backgroundColor: COLORS[series],
+    borderColor: '#333',
+    borderWidth: 1,
+    stack: 'cash',
+    hidden: !shown(series)
+  };
+}
+
+// A line filled down to `fill` ('origin', or '-1' for the dataset below when stacked)
+function areaDataset(label, series, data, shown, fill = 'origin') {
+  return {
+    type: 'line',
+    label,
+    series,
+    data,
+    borderColor: COLORS[series],
+    backgroundColor: `${COLORS[series]}59`,  // 35% opacity, so overlapping areas stay visible
+    borderWidth: 2,
+    fill,
+    pointRadius: data.length > 40 ? 0 : 3,
+    pointHoverRadius: 4,
+    tension: 0,
+    hidden: !shown(series)
+  };
+}
+
+/**
+ * Each payment as stacked bars, with the remaining balance as a line on its own axis
+ */
+function cashFlowPlot(rows, { shown, format, showRate, cashFlowLabel, balanceLabel }) {
+  const { principal, extra, balloon } = splitPrincipal(rows);
+  const balance = rows.map(r => r.endingBalance);
+  return {
+    type: 'bar',
+    stacked: true,
+    axisLabel: cashFlowLabel,
+    tickText: value => format.number(value),
+    valueText: value => format.currency(value),
+    datasets: [
+      barDataset('Amortization (Principal)', 'principal', principal, shown),
+      barDataset('Interest', 'interest', rows.map(r => r.interest), shown),
+      ...(extra.some(v => v > 0) ? [barDataset('Extra Principal', 'extra', extra, shown)] : []),
+      ...(balloon.some(v => v > 0) ? [barDataset('Balloon', 'balloon', balloon, shown)] : []),
       {
-        // Outer borders plugin
-        id: 'outerBorders',
-        afterDatasetsDraw: (chart) => {
-          const ctx = chart.ctx;
-          ctx.save();
-          ctx.strokeStyle = '#333';
-          ctx.lineWidth = 1;
-
-          chart.data.datasets.forEach((dataset, datasetIndex) => {
-            const meta = chart.getDatasetMeta(datasetIndex);
-            meta.data.forEach((bar) => {
-              const x = bar.x - bar.width / 2;
-              const y = Math.min(bar.y, bar.base);
-              const width = bar.width;
-              const height = Math.abs(bar.base - bar.y);
-
-              ctx.strokeRect(x, y, width, height);
-            });
-          });
+        // Drawn over the bars, against its own axis
+        type: 'line',
+        label: 'Remaining Balance',
+        series: 'balance',
+        data: balance,
+        yAxisID: 'balance',
+        borderColor: COLORS.balance,
+        backgroundColor: COLORS.balance,
+        borderWidth: 2,
+        pointRadius: rows.length > 40 ? 0 : 3,
+        pointHoverRadius: 4,
+        tension: 0,
+        order: -1,
+        inFooter: true,
+        hidden: !shown('balance')
+      }
+    ],
+    scales: {
+      balance: {
+        type: 'linear',
+        position: 'right',
+        display: shown('balance'),
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: balanceLabel
+        },
+        ticks: {
+          callback: function(value) {
+            return format.number(value);
+          }
+        },
+        grid: {
+          drawOnChartArea: false
+        }
+      }
+    },
+    footer: index => {
+      const row = rows[index];
+      const lines = [`Total Payment: ${format.currency(row.payment)}`];
+      if (showRate) lines.push(`Rate: ${format.percent(row.rate)}`);
+      if (row.adjusted) lines.push(`Adjusted by ${format.currency(row.paymentAdjustment)} to clear the balance`);
+      if (shown('balance')) lines.push(`Remaining Balance: ${format.currency(balance[index])}`);
+      return lines;
+    }
+  };
+}
 
-          ctx.restore();
+/**
+ * Interest and principal paid to date, as overlapping areas
+ */
+function cumulativePlot(rows, { shown, format }) {
+  const runningTotal = values => {
+    let total = 0;
+    return values.map(value => (total += value));
+  };
+  const principal = runningTotal(rows.map(r => r.principal));
+  const interest = runningTotal(rows.map(r => r.interest));
+  return {
+    type: 'line',
+    stacked: false,
+    axisLabel: `Paid to Date (${format.symbol})`,
+    tickText: value => format.number(value),
+    valueText: value => format.currency(value),
+    datasets: [
+      areaDataset('Principal Paid', 'principal', principal, shown),
+      areaDataset('Interest Paid', 'interest', interest, shown)
+    ],
+    footer: index => [`Total Paid: ${format.currency(principal[index] + interest[index])}`]
+  };
+}
+
+/**
+ * Each payment's split as a share of the payment, stacked to 100%
+ */
+function interestSharePlot(rows, { shown, format }) {
+  const { principal, extra, balloon } = splitPrincipal(rows);
+  const share = values => values.map((value, i) => (rows[i].payment > 0 ? value / rows[i].payment * 100 : 0));
+  return {
+    type: 'bar',
+    stacked: true,
+    max: 100,
+    axisLabel: 'Share of Payment (%)',
+    tickText: value => format.percent(value, 0),
+    valueText: value => format.percent(value, 1),
+    datasets: [
+      barDataset('Amortization (Principal)', 'principal', share(principal), shown),
+      barDataset('Interest', 'interest', share(rows.map(r => r.interest)), shown),
+      ...(extra.some(v => v > 0) ? [barDataset('Extra Principal', 'extra', share(extra), shown)] : []),
+      ...(balloon.some(v => v > 0) ? [barDataset('Balloon', 'balloon', share(balloon), shown)] : [])
+    ],
+    footer: index => [`Total Payment: ${format.currency(rows[index].payment)}`]
+  };
+}
+
+/**
+ * Equity stacked under the remaining balance. With a property value the two add up to it;
+ * without one, equity is the principal repaid and they add up to the loan amount.
+ */
+function equityPlot(rows, { shown, format, propertyValue }) {
+  const loanAmount = rows.length > 0 ? rows[0].endingBalance + rows[0].principal : 0;
+  const total = propertyValue > 0 ? propertyValue : loanAmount;
+  const balance = rows.map(r => r.endingBalance);
+  const equity = balance.map(value => total - value);
+  return {
+    type: 'line',
+    stacked: true,
+    axisLabel: `${propertyValue > 0 ? 'Property Value' : 'Loan Amount'} (${format.symbol})`,
+    tickText: value => format.number(value),
+    valueText: value => format.currency(value),
+    datasets: [
+      areaDataset(propertyValue > 0 ? 'Equity' : 'Equity (Principal Repaid)', 'equity', equity, shown),
+      areaDataset('Remaining Balance', 'balance', balance, shown, '-1')
+    ],
+    footer: index => (propertyValue > 0
+      ? [`Equity Share: ${format.percent(equity[index] / total * 100, 1)}`, `Property Value: ${format.currency(total)}`]
+      : [`Loan Amount: ${format.currency(total)}`])
+  };
+}
+
+// What the schedule chart can plot, by chart type
+const PLOTS = {
+  cashflow: cashFlowPlot,
+  cumulative: cumulativePlot,
+  percent: interestSharePlot,
+  equity: equityPlot
+};
+
+/**
+ * Create or update a chart comparing payment streams (e.g. current vs. refinanced loan)
+ * @param {Array} series - [{label, color, rows}] where rows are schedule rows numbered from period 1;
+ *   color defaults to SERIES_COLORS in order
+ * @param {Object} options - Display options {periodLabel, cashFlowLabel, periodDates, root, format}
+ *   periodDates (ISO payment dates, one per period of the longest stream) switches the axis to dates;
+ *   root (default: the document) holds the canvas; format as for renderChart
+ */
+export function renderComparisonChart(series, options = {}) {
+  const periodLabel = options.periodLabel || 'Year';
+  const cashFlowLabel = options.cashFlowLabel || 'Annual Cash Flow ($)';
+  const format = options.format || createFormat();
+
+  const canvas = prepareCanvas(options.root);
+  if (!canvas) return;
+  const view = getView(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  
+  // One label per period of the longest stream; shorter streams show as gaps
+  const count = Math.max(...series.map(s => s.rows.length));
+  const periodDates = options.periodDates || null;
+  const labels = Array.from({ length: count }, (_, i) => (periodDates ? format.monthYear(periodDates[i]) : i + 1));
+  const values = series.map(s => labels.map((_, i) => (s.rows[i] ? s.rows[i].payment : 0)));
+  const periodTitle = index => `${periodLabel} ${index + 1}` + (periodDates ? ` (${format.date(periodDates[index])})` : '');
+  
+  if (view.chart) {
+    view.chart.destroy();
+  }
+  view.focusIndex = 0;
+  
+  const announce = index => announceComparisonPoint(canvas, series, values, periodTitle(index), index, format);
+  
+  view.chart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: series.map((s, i) => ({
+        label: s.label,
+        data: values[i],
+        backgroundColor: s.color || SERIES_COLORS[i % SERIES_COLORS.length],
+        borderColor: '#333',
+        borderWidth: 1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: createHoverHandler(canvas, announce),
+      plugins: {
+        title: {
+          display: false
+        },
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => periodTitle(context[0].dataIndex),
+            label: (context) => `${context.dataset.label}: ${format.currency(context.parsed.y)}`,
+            footer: (context) => {
+              if (values.length !== 2) return '';
+              const index = context[0].dataIndex;
+              return `Difference: ${format.currency(values[0][index] - values[1][index])}`;
+            }
+          }
         }
       },
-      {
-        // Keyboard focus highlight plugin
-        id: 'keyboardFocus',
-        afterDatasetsDraw: (chart) => {
-          if (document.activeElement !== canvas) return;
-          
-          const ctx = chart.ctx;
-          const meta0 = chart.getDatasetMeta(0);
-          const meta1 = chart.getDatasetMeta(1);
-          
-          if (!meta0.data[currentFocusIndex] || !meta1.data[currentFocusIndex]) return;
-          
-          const bar0 = meta0.data[currentFocusIndex];
-          const bar1 = meta1.data[currentFocusIndex];
-          
-          // Find the actual top and bottom of the stacked bars
-          const allYValues = [bar0.y, bar0.base, bar1.y, bar1.base];
-          const topY = Math.min(...allYValues);
-          const bottomY = Math.max(...allYValues);
-          
-          // Draw focus indicator
-          ctx.save();
-          ctx.strokeStyle = COLORS.darkText;
-          ctx.lineWidth = 3;
-          ctx.setLineDash([5, 5]);
-          
-          const x = bar1.x - bar1.width / 2 - 4;
-          const y = topY - 4;
-          const width = bar1.width + 8;
-          const height = bottomY - topY + 8;
-          
-          ctx.strokeRect(x, y, width, height);
-          ctx.restore();
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: periodDates ? 'Payment Date' : periodLabel
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: cashFlowLabel
+          },
+          ticks: {
+            callback: function(value) {
+              return format.number(value);
+            }
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 60
         }
       }
+    },
+    plugins: [
+      outerBordersPlugin,
+      createFocusPlugin(canvas)
     ]
   });
   
-  // Add keyboard navigation
-  setupKeyboardNavigation(canvas, rows, totalPayment);
+  setupKeyboardNavigation(canvas, count, announce);
+}
+
+/**
+ * Get the chart canvas and make it focusable for keyboard navigation
+ * @param {Document|ShadowRoot} root - Where to find the canvas
+ * @returns {HTMLCanvasElement|null} The canvas, or null if missing
+ */
+function prepareCanvas(root = document) {
+  const canvas = root.getElementById('mortgage-chart');
+  
+  if (!canvas) {
+    console.error('Chart canvas not found');
+    return null;
+  }
+  
+  // Make canvas focusable and add keyboard navigation
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-roledescription', 'interactive chart');
+  canvas.setAttribute(
+    'aria-label',
+    'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
+  );
+  
+  // Allow Enter to activate keyboard navigation from wrapper
+  const container = canvas.parentElement;
+  if (container && !container._enterListener) {
+    container._enterListener = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        canvas.focus();
+      }
+    };
+    container.addEventListener('keydown', container._enterListener);
+  }
+  
+  return canvas;
+}
+
+/**
+ * Announce hovered data points unless the keyboard is driving the chart
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Function} announce - Called with the hovered index
+ */
+function createHoverHandler(canvas, announce) {
+  return (event, activeElements) => {
+    // Skip if keyboard focus already active
+    if (getView(canvas).keyboardMode && hasFocus(canvas)) return;
+    
+    // Announce hovered data point
+    if (activeElements.length > 0) {
+      announce(activeElements[0].index);
+    }
+  };
+}
+
+// Focus as seen from the canvas's own tree (document.activeElement is the host inside a shadow root)
+function hasFocus(canvas) {
+  return canvas.getRootNode().activeElement === canvas;
+}
+
+// Outer borders plugin
+const outerBordersPlugin = {
+  id: 'outerBorders',
+  afterDatasetsDraw: (chart) => {
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+
+    barDatasetIndexes(chart).forEach((datasetIndex) => {
+      const meta = chart.getDatasetMeta(datasetIndex);
+      meta.data.forEach((bar) => {
+        const x = bar.x - bar.width / 2;
+        const y = Math.min(bar.y, bar.base);
+        const width = bar.width;
+        const height = Math.abs(bar.base - bar.y);
+
+        ctx.strokeRect(x, y, width, height);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+/**
+ * Keyboard focus highlight plugin: dashed box around every bar at the focused index,
+ * or a dashed rule through it on charts without bars
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ */
+function createFocusPlugin(canvas) {
+  return {
+    id: 'keyboardFocus',
+    afterDatasetsDraw: (chart) => {
+      if (!hasFocus(canvas)) return;
+      
+      const ctx = chart.ctx;
+      const index = getView(canvas).focusIndex;
+      const bars = getStackBars(chart, index);
+      if (!bars) {
+        const x = chart.scales.x.getPixelForValue(index);
+        ctx.save();
+        ctx.strokeStyle = COLORS.darkText;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.moveTo(x, chart.chartArea.top);
+        ctx.lineTo(x, chart.chartArea.bottom);
+        ctx.stroke();
+        ctx.restore();
+        return;
+      }
+      
+      // Find the outer edges of the stacked or grouped bars
+      const allYValues = bars.flatMap(b => [b.y, b.base]);
+      const topY = Math.min(...allYValues);
+      const bottomY = Math.max(...allYValues);
+      const leftX = Math.min(...bars.map(b => b.x - b.width / 2));
+      const rightX = Math.max(...bars.map(b => b.x + b.width / 2));
+      
+      // Draw focus indicator
+      ctx.save();
+      ctx.strokeStyle = COLORS.darkText;
+      ctx.lineWidth = 3;
+      ctx.setLineDash([5, 5]);
+      
+      ctx.strokeRect(leftX - 4, topY - 4, rightX - leftX + 8, bottomY - topY + 8);
+      ctx.restore();
+    }
+  };
+}
+
+/**
+ * Labelled dashed lines marking periods on the x-axis
+ * @param {Array} markers - [{index, label, dash, after}]: the line goes through the period at index,
+ *   or just past it with after (e.g. the last payment before an early payoff); dash is the line pattern
+ */
+function createMarkerPlugin(markers) {
+  return {
+    id: 'periodMarkers',
+    afterDatasetsDraw: (chart) => {
+      if (markers.length === 0) return;
+      const scale = chart.scales.x;
+      const { top, bottom, left, right } = chart.chartArea;
+      const step = scale.getPixelForValue(1) - scale.getPixelForValue(0);
+      
+      const ctx = chart.ctx;
+      ctx.save();
+      ctx.strokeStyle = COLORS.darkText;
+      ctx.fillStyle = COLORS.darkText;
+      ctx.lineWidth = 1.5;
+      ctx.font = 'bold 11px sans-serif';
+      ctx.textBaseline = 'top';
+      markers.forEach((marker, i) => {
+        const x = scale.getPixelForValue(marker.index) + (marker.after ? step / 2 + 3 : 0);
+        ctx.setLineDash(marker.dash);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        
+        // Labels stack downwards; past the middle they are written to the left of their line
+        const flip = x > (left + right) / 2;
+        ctx.textAlign = flip ? 'right' : 'left';
+        ctx.fillText(marker.label, flip ? x - 4 : x + 4, top + 4 + i * 14);
+      });
+      ctx.restore();
+    }
+  };
+}
+
+/**
+ * Indexes of the shown bar datasets (not the balance line or series toggled off)
+ * @param {Chart} chart - Chart.js instance
+ */
+function barDatasetIndexes(chart) {
+  return chart.data.datasets
+    .map((dataset, i) => (dataset.type !== 'line' && chart.isDatasetVisible(i) ? i : -1))
+    .filter(i => i >= 0);
+}
+
+/**
+ * Bar elements of every shown bar dataset at one index (one stacked column)
+ * @param {Chart} chart - Chart.js instance
+ * @param {number} index - Data point index
+ * @returns {Array|null} Bar elements, or null if none is shown or any lacks the index
+ */
+function getStackBars(chart, index) {
+  const bars = barDatasetIndexes(chart).map(i => chart.getDatasetMeta(i).data[index]);
+  return bars.length > 0 && bars.every(Boolean) ? bars : null;
 }
 
 /**
  * Setup keyboard navigation for the chart
  * @param {HTMLCanvasElement} canvas - The chart canvas
- * @param {Array} rows - Array of mortgage schedule objects
- * @param {Array} totalPayment - Array of total payment values
+ * @param {number} count - Number of data points
+ * @param {Function} announce - Announces the data point at an index
  */
-function setupKeyboardNavigation(canvas, rows, totalPayment) {
+function setupKeyboardNavigation(canvas, count, announce) {
   // Remove existing listeners to avoid duplicates
-  const oldListener = canvas._keydownListener;
-  if (oldListener) {
-    canvas.removeEventListener('keydown', oldListener);
-  }
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(type => {
+    const key = `_${type === 'mousemove' ? 'mouseMove' : type}Listener`;
+    if (canvas[key]) canvas.removeEventListener(type, canvas[key]);
+  });
+  
+  const view = getView(canvas);
   
   // Create new listener
   const keydownListener = (e) => {
-    const maxIndex = rows.length - 1;
-    let newIndex = currentFocusIndex;
+    const maxIndex = count - 1;
+    let newIndex = view.focusIndex;
     
     // Enable keyboard mode on any arrow key press
-    isKeyboardMode = true;
+    view.keyboardMode = true;
     
     switch(e.key) {
       case 'ArrowRight':
       case 'ArrowDown':
         e.preventDefault();
-        newIndex = Math.min(currentFocusIndex + 1, maxIndex);
+        newIndex = Math.min(view.focusIndex + 1, maxIndex);
         break;
       case 'ArrowLeft':
       case 'ArrowUp':
         e.preventDefault();
-        newIndex = Math.max(currentFocusIndex - 1, 0);
+        newIndex = Math.max(view.focusIndex - 1, 0);
         break;
       case 'Home':
         e.preventDefault();
@@ -321,32 +747,32 @@ function setupKeyboardNavigation(canvas, rows, totalPayment) {
         return;
     }
     
-    if (newIndex !== currentFocusIndex) {
-      currentFocusIndex = newIndex;
-      chartInstance.update('none'); // Update without animation
-      announceDataPoint(rows[currentFocusIndex], totalPayment[currentFocusIndex]);
+    if (newIndex !== view.focusIndex) {
+      view.focusIndex = newIndex;
+      view.chart.update('none'); // Update without animation
+      announce(view.focusIndex);
       
       // Show tooltip at focused bar
-      showTooltipAtIndex(currentFocusIndex);
+      showTooltipAtIndex(view.chart, view.focusIndex);
     }
   };
   
-  // Store listener reference for cleanup
-  canvas._keydownListener = keydownListener;
   canvas.addEventListener('keydown', keydownListener);
   
   // Focus handler to redraw focus indicator and show initial tooltip
   const focusListener = () => {
-    isKeyboardMode = true;
-    showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(rows[currentFocusIndex], totalPayment[currentFocusIndex]);
+    view.keyboardMode = true;
+    showTooltipAtIndex(view.chart, view.focusIndex);
+    announce(view.focusIndex);
   };
   
   const blurListener = () => {
-    chartInstance.tooltip.setActiveElements([], {x: 0, y: 0});
-    chartInstance.update('none');
+    if (!view.chart) return;
+    view.chart.tooltip.setActiveElements([], {x: 0, y: 0});
+    view.chart.update('none');
   };
   
+  canvas._keydownListener = keydownListener;
   canvas._focusListener = focusListener;
   canvas._blurListener = blurListener;
   canvas.addEventListener('focus', focusListener);
@@ -354,7 +780,7 @@ function setupKeyboardNavigation(canvas, rows, totalPayment) {
   
   // Disable keyboard mode when mouse moves over chart
   const mouseMoveListener = () => {
-    isKeyboardMode = false;
+    view.keyboardMode = false;
   };
   
   canvas._mouseMoveListener = mouseMoveListener;
@@ -363,52 +789,108 @@ function setupKeyboardNavigation(canvas, rows, totalPayment) {
 
 /**
  * Show tooltip at a specific data index
+ * @param {Chart} chart - Chart.js instance
  * @param {number} index - Data point index
  */
-function showTooltipAtIndex(index) {
-  if (!chartInstance) return;
-  
-  const meta0 = chartInstance.getDatasetMeta(0);
-  const meta1 = chartInstance.getDatasetMeta(1);
+function showTooltipAtIndex(chart, index) {
+  if (!chart) return;
   
-  if (!meta0.data[index] || !meta1.data[index]) return;
+  // Every shown dataset with a point at this index (bars, and the balance line)
+  const active = chart.data.datasets
+    .map((_, datasetIndex) => ({ datasetIndex, index }))
+    .filter(({ datasetIndex }) => chart.isDatasetVisible(datasetIndex) && chart.getDatasetMeta(datasetIndex).data[index]);
+  if (active.length === 0) return;
   
-  // Set active elements for both datasets at this index
-  chartInstance.tooltip.setActiveElements([
-    {datasetIndex: 0, index: index},
-    {datasetIndex: 1, index: index}
-  ], {
-    x: meta1.data[index].x,
-    y: meta1.data[index].y
-  });
+  const bars = getStackBars(chart, index);
+  const anchor = bars ? bars[bars.length - 1] : chart.getDatasetMeta(active[0].datasetIndex).data[index];
+  chart.tooltip.setActiveElements(active, { x: anchor.x, y: anchor.y });
   
-  chartInstance.update('none');
+  chart.update('none');
 }
 
 /**
  * Announce data point for screen readers
+ * @param {HTMLCanvasElement} canvas - The chart canvas
  * @param {Object} row - Mortgage schedule row object
  * @param {number} payment - Total payment amount
+ * @param {string} periodLabel - Name of one period, e.g. "Month"
+ * @param {boolean} showRate - Whether to include the rate in effect
+ * @param {Object} format - From createFormat
+ * @param {Function} shown - Whether a series ('principal', 'interest', 'extra', 'balloon', 'balance') is shown
+ * @param {Array} notes - Sentences to end with (e.g. the crossover label)
  */
-function announceDataPoint(row, payment) {
-  // Create or update live region for screen reader announcements
-  let liveRegion = document.getElementById('chart-live-region');
+function announceDataPoint(canvas, row, payment, periodLabel, showRate, format, shown = () => true, notes = []) {
+  const announcement = `${periodLabel} ${row.period}. ` +
+    (row.date ? `Paid ${format.date(row.date)}. ` : '') +
+    (showRate ? `Rate: ${format.percent(row.rate)}. ` : '') +
+    (shown('interest') ? `Interest payment: ${format.currency(row.interest)}. ` : '') +
+    (shown('principal') ? `Principal payment: ${format.currency(row.principal)}. ` : '') +
+    (row.extraPrincipal > 0 && shown('extra') ? `Including extra principal: ${format.currency(row.extraPrincipal)}. ` : '') +
+    (row.balloon > 0 && shown('balloon') ? `Including balloon payment: ${format.currency(row.balloon)}. ` : '') +
+    (row.adjusted ? `Payment adjusted by ${format.currency(row.paymentAdjustment)} to clear the balance. ` : '') +
+    `Total payment: ${format.currency(payment)}. ` +
+    (shown('balance') ? `Remaining balance: ${format.currency(row.endingBalance)}. ` : '') +
+    notes.map(note => `${note}. `).join('');
+  
+  getLiveRegion(canvas).textContent = announcement.trim();
+}
+
+/**
+ * Announce one period of the cumulative, interest-share or equity chart: each shown
+ * series' value, then the tooltip footer
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Object} plot - The chart type's datasets and value text
+ * @param {number} index - Data point index
+ * @param {string} title - Period being announced, e.g. "Month 3 (Apr 1, 2026)"
+ * @param {Function} shown - Whether a series is shown
+ * @param {Array} notes - Sentences to end with
+ */
+function announcePlotPoint(canvas, plot, index, title, shown, notes = []) {
+  const values = plot.datasets
+    .filter(dataset => shown(dataset.series))
+    .map(dataset => `${dataset.label}: ${plot.valueText(dataset.data[index])}. `);
+  const lines = [...plot.footer(index), ...notes];
+  
+  const announcement = `${title}. ` + values.join('') + lines.map(line => `${line}. `).join('');
+  
+  getLiveRegion(canvas).textContent = announcement.trim();
+}
+
+/**
+ * Announce one period of a comparison chart for screen readers
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {Array} series - [{label, rows}]
+ * @param {Array} values - Payment values per series
+ * @param {string} title - Period being announced, e.g. "Month 3 (Apr 1, 2026)"
+ * @param {number} index - Data point index
+ * @param {Object} format - From createFormat
+ */
+function announceComparisonPoint(canvas, series, values, title, index, format) {
+  const parts = series.map((s, i) => s.rows[index] ?
+    `${s.label}: ${format.currency(values[i][index])}, balance ${format.currency(s.rows[index].endingBalance)}. ` :
+    `${s.label}: paid off. `);
+  
+  getLiveRegion(canvas).textContent = `${title}. ` + parts.join('');
+}
+
+/**
+ * Create or find the live region for screen reader announcements,
+ * in the same document or shadow root as the canvas
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @returns {Element} Live region element
+ */
+function getLiveRegion(canvas) {
+  const root = canvas.getRootNode();
+  let liveRegion = root.getElementById('chart-live-region');
   if (!liveRegion) {
     liveRegion = document.createElement('div');
     liveRegion.id = 'chart-live-region';
     liveRegion.setAttribute('aria-live', 'polite');
     liveRegion.setAttribute('aria-atomic', 'true');
     liveRegion.className = 'sr-only';
-    document.body.appendChild(liveRegion);
+    (root.body || root).appendChild(liveRegion);
   }
-  
-  const announcement = `Year ${row.year}. ` +
-    `Interest payment: ${formatCurrency(row.interest)}. ` +
-    `Principal payment: ${formatCurrency(row.principal)}. ` +
-    `Total payment: ${formatCurrency(payment)}. ` +
-    `Remaining balance: ${formatCurrency(row.endingBalance)}.`;
-  
-  liveRegion.textContent = announcement;
+  return liveRegion;
 }
 
 /**
@@ -419,12 +901,48 @@ export function shouldShowLabels() {
   return window.innerWidth > 860;
 }
 
+/**
+ * Show or hide one series of the schedule chart; the choice is kept when the chart is redrawn
+ * (and carries over between chart types plotting the same series)
+ * @param {string} series - 'principal', 'interest', 'extra', 'balloon', 'balance' or 'equity'
+ * @param {boolean} visible
+ * @param {Document|ShadowRoot} root - Where to find the canvas
+ */
+export function setSeriesVisible(series, visible, root = document) {
+  const canvas = root.getElementById('mortgage-chart');
+  if (!canvas) return;
+  const view = getView(canvas);
+  if (visible) view.hidden.delete(series);
+  else view.hidden.add(series);
+
+  const chart = view.chart;
+  if (!chart) return;
+  chart.data.datasets.forEach((dataset, i) => {
+    if (dataset.series === series) chart.setDatasetVisibility(i, visible);
+  });
+  if (series === 'balance' && chart.options.scales.balance) chart.options.scales.balance.display = visible;
+  chart.update();
+}
+
+/**
+ * Whether a series of the schedule chart is shown
+ * @param {string} series - As for setSeriesVisible
+ * @param {Document|ShadowRoot} root - Where to find the canvas
+ */
+export function isSeriesVisible(series, root = document) {
+  const canvas = root.getElementById('mortgage-chart');
+  return !(canvas && chartViews.has(canvas) && chartViews.get(canvas).hidden.has(series));
+}
+
 /**
  * Cleanup chart resources
+ * @param {Document|ShadowRoot} root - Where to find the canvas
  */
-export function destroyChart() {
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
+export function destroyChart(root = document) {
+  const canvas = root.getElementById('mortgage-chart');
+  const view = canvas && chartViews.get(canvas);
+  if (view && view.chart) {
+    view.chart.destroy();
+    view.chart = null;
   }
-}
\ No newline at end of file
+}
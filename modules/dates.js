@@ -0,0 +1,111 @@
+/**
+ * Date helpers – Mortgage Calculator
+ * Dates are ISO "YYYY-MM-DD" strings in inputs and state, and UTC Date objects in
+ * calculations, so a payment date never shifts with the user's time zone.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Day-count conventions for interest accrual, keyed by their input value
+export const DAY_COUNTS = {
+  '30/360':  { label: '30/360',      basis: 360 },
+  'ACT/365': { label: 'Actual/365',  basis: 365 },
+  'ACT/360': { label: 'Actual/360',  basis: 360 }
+};
+
+/**
+ * Parse an ISO "YYYY-MM-DD" date. Returns null when the text is not a real calendar date.
+ */
+export function parseDate(text){
+  const match = String(text ?? '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+export function formatDate(date){
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months, keeping the day of the month where it exists
+ * (Jan 31 + 1 month -> Feb 28/29)
+ */
+export function addMonths(date, months){
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+export function daysBetween(from, to){
+  return Math.round((to - from) / MS_PER_DAY);
+}
+
+/**
+ * Due date of a payment period, counting from the loan start date
+ * (period 1 falls one payment interval after the start)
+ */
+export function paymentDate(startDate, period, paymentsPerYear = 1){
+  return addMonths(startDate, period * (12 / paymentsPerYear));
+}
+
+const isLastDayOfFebruary = date => date.getUTCMonth() === 1 &&
+  date.getUTCDate() === new Date(Date.UTC(date.getUTCFullYear(), 2, 0)).getUTCDate();
+
+/**
+ * Days between two dates under 30/360 (US): every month counts as 30 days,
+ * with the usual end-of-month and end-of-February adjustments
+ */
+export function days360(from, to){
+  let d1 = from.getUTCDate();
+  let d2 = to.getUTCDate();
+  if (isLastDayOfFebruary(from) && isLastDayOfFebruary(to)) d2 = 30;
+  if (isLastDayOfFebruary(from)) d1 = 30;
+  if (d2 === 31 && d1 >= 30) d2 = 30;
+  if (d1 === 31) d1 = 30;
+  return 360 * (to.getUTCFullYear() - from.getUTCFullYear()) + 30 * (to.getUTCMonth() - from.getUTCMonth()) + d2 - d1;
+}
+
+/**
+ * Days of interest between two dates under a day-count convention
+ */
+export function accrualDays(from, to, convention = '30/360'){
+  return convention === '30/360' ? days360(from, to) : daysBetween(from, to);
+}
+
+/**
+ * Fraction of a year between two dates under a day-count convention
+ */
+export function yearFraction(from, to, convention = '30/360'){
+  return accrualDays(from, to, convention) / (DAY_COUNTS[convention] || DAY_COUNTS['30/360']).basis;
+}
+
+// Date formats per locale, created on first use
+const dateFormats = new Map();
+
+function dateFormat(locale, withDay){
+  const key = `${locale}|${withDay}`;
+  if (!dateFormats.has(key)) {
+    dateFormats.set(key, new Intl.DateTimeFormat(locale,
+      withDay ? { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' } : { year: 'numeric', month: 'short', timeZone: 'UTC' }));
+  }
+  return dateFormats.get(key);
+}
+
+/**
+ * "2026-02-01" -> "Feb 1, 2026" (in en-US)
+ */
+export function formatDisplayDate(text, locale = 'en-US'){
+  const date = parseDate(text);
+  return date ? dateFormat(locale, true).format(date) : '';
+}
+
+/**
+ * "2026-02-01" -> "Feb 2026" (chart axis labels, in en-US)
+ */
+export function formatMonthYear(text, locale = 'en-US'){
+  const date = parseDate(text);
+  return date ? dateFormat(locale, false).format(date) : '';
+}
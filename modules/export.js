@@ -0,0 +1,355 @@
+/**
+ * Export Module – Mortgage Calculator
+ * The amortization schedule as CSV, an XLSX workbook or JSON, built in the browser.
+ * Each export carries the input parameters alongside the rows, and follows the
+ * displayed frequency (per period or annual summary) and the locale/currency settings.
+ */
+
+import { getFrequency } from './utils.js';
+import { formatInputValue } from './url-state.js';
+import { createZip } from './zip.js';
+
+// Inputs listed with every export: [field, label, type]; ARM terms only for adjustable loans
+const METADATA_FIELDS = [
+  ['loanAmount', 'Loan amount', 'currency'],
+  ['annualRate', 'Annual interest rate', 'percent'],
+  ['years', 'Term (years)', 'number'],
+  ['paymentsPerYear', 'Payments per year', 'integer'],
+  ['loanType', 'Loan type', 'text'],
+  ['propertyValue', 'Property value', 'currency'],
+  ['startDate', 'Start date', 'date'],
+  ['dayCount', 'Day count', 'text'],
+  ['extraPayment', 'Extra payment per period', 'currency'],
+  ['lumpSums', 'Lump sums (period:amount)', 'text'],
+  ['interestOnlyYears', 'Interest-only years', 'number'],
+  ['balloonYears', 'Balloon due (years)', 'number'],
+  ['roundToCents', 'Rounded to cents', 'text'],
+  ['discountPoints', 'Discount points (%)', 'number'],
+  ['originationFee', 'Origination fee', 'currency'],
+  ['otherCharges', 'Other charges', 'currency'],
+  ['rateType', 'Rate type', 'text']
+];
+
+const ARM_FIELDS = [
+  ['armFixedYears', 'ARM fixed years', 'number'],
+  ['armResetYears', 'ARM years between resets', 'number'],
+  ['armIndexPath', 'ARM index rates (%)', 'text'],
+  ['armMargin', 'ARM margin (%)', 'number'],
+  ['armInitialCap', 'ARM initial cap (%)', 'number'],
+  ['armPeriodicCap', 'ARM periodic cap (%)', 'number'],
+  ['armLifetimeCap', 'ARM lifetime cap (%)', 'number'],
+  ['armFloor', 'ARM floor (%)', 'number']
+];
+
+// Schedule columns after the period (and payment date); optional ones only when the loan has them
+const SCHEDULE_COLUMNS = [
+  { key: 'rate', header: 'Rate', type: 'percent' },
+  { key: 'payment', header: 'Payment', type: 'currency', total: true },
+  { key: 'interest', header: 'Interest', type: 'currency', total: true },
+  { key: 'principal', header: 'Amortization', type: 'currency', total: true },
+  { key: 'extraPrincipal', header: 'of which Extra', type: 'currency', total: true, optional: true },
+  { key: 'balloon', header: 'of which Balloon', type: 'currency', total: true, optional: true },
+  { key: 'endingBalance', header: 'Ending Balance', type: 'currency' }
+];
+
+/**
+ * Describe the schedule for export
+ * @param {Array} rows - Displayed schedule rows (per period, or summarizeByYear rows)
+ * @param {Object} inputs - The inputs the schedule was computed from (solved value included)
+ * @param {Object} settings - { periodLabel, annualSummary, format }
+ * @returns {Object} { title, columns, rows, totals, metadata, settings }
+ */
+export function buildScheduleExport(rows, inputs, { periodLabel, annualSummary, format }){
+  const dated = Boolean(rows[0] && rows[0].date);
+  const columns = [
+    { key: 'period', header: periodLabel, type: 'integer' },
+    ...(dated ? [{ key: 'date', header: 'Payment Date', type: 'date' }] : []),
+    ...SCHEDULE_COLUMNS
+      .filter(col => !col.optional || rows.some(row => row[col.key] > 0))
+      .map(({ optional, ...col }) => col)
+  ];
+  const totals = {};
+  columns.filter(col => col.total).forEach(col => {
+    totals[col.key] = rows.reduce((sum, row) => sum + (row[col.key] || 0), 0);
+  });
+
+  const fields = inputs.rateType === 'arm' ? [...METADATA_FIELDS, ...ARM_FIELDS] : METADATA_FIELDS;
+  return {
+    title: 'Amortization Schedule',
+    columns,
+    rows: rows.map(row => Object.fromEntries(columns.map(col => [col.key, row[col.key] ?? null]))),
+    totals,
+    metadata: fields.map(([field, label, type]) => ({ field, label, type, value: inputs[field] })),
+    settings: {
+      frequency: getFrequency(annualSummary ? 1 : inputs.paymentsPerYear).label,
+      annualSummary: Boolean(annualSummary),
+      locale: format.locale,
+      currency: format.currencyCode
+    }
+  };
+}
+
+/* -------------------------------------------------------------
+   CSV
+------------------------------------------------------------- */
+
+// Where the locale writes decimal commas, fields are separated by semicolons (as spreadsheets there expect)
+function csvDelimiter(format){
+  return format.inputValue(1.5).includes(',') ? ';' : ',';
+}
+
+function csvField(text, delimiter){
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Amounts rounded to the currency's minor unit; numbers in the locale's notation without grouping
+function csvValue(value, type, format){
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value !== 'number') return String(value);
+  if (!Number.isFinite(value)) return '';
+  const digits = type === 'currency' ? format.currencyDigits : type === 'percent' ? 4 : 6;
+  return format.inputValue(Number(value.toFixed(digits)));
+}
+
+// Lists and settings as they are written in a link; flags as yes/no
+function metadataText(item){
+  if (typeof item.value === 'boolean') return item.value ? 'yes' : 'no';
+  if (Array.isArray(item.value) || item.type === 'text') return formatInputValue(item.field, item.value);
+  return item.value;
+}
+
+/**
+ * Schedule as CSV: the inputs first, a blank line, then the table with a totals row
+ * @param {Object} sheet - From buildScheduleExport
+ * @param {Object} format - From createFormat
+ * @returns {string}
+ */
+export function toCsv(sheet, format){
+  const delimiter = csvDelimiter(format);
+  const line = fields => fields.map(field => csvField(field, delimiter)).join(delimiter);
+  const header = col => (col.type === 'percent' ? `${col.header} (%)` : col.type === 'currency' ? `${col.header} (${format.currencyCode})` : col.header);
+
+  const lines = [
+    line([sheet.title]),
+    ...sheet.metadata.map(item => line([item.label, csvValue(metadataText(item), item.type, format)])),
+    line(['Rows', sheet.settings.frequency]),
+    line(['Currency', sheet.settings.currency]),
+    '',
+    line(sheet.columns.map(header)),
+    ...sheet.rows.map(row => line(sheet.columns.map(col => csvValue(row[col.key], col.type, format)))),
+    line(sheet.columns.map((col, i) => (i === 0 ? 'Total' : csvValue(sheet.totals[col.key], col.type, format))))
+  ];
+  return lines.join('\r\n') + '\r\n';
+}
+
+/* -------------------------------------------------------------
+   JSON
+------------------------------------------------------------- */
+
+/**
+ * Schedule as JSON. Numbers stay plain numbers; the locale and currency are recorded in settings.
+ * @param {Object} sheet - From buildScheduleExport
+ * @returns {string}
+ */
+export function toJson(sheet){
+  return JSON.stringify({
+    title: sheet.title,
+    inputs: Object.fromEntries(sheet.metadata.map(item => [item.field, item.value])),
+    settings: sheet.settings,
+    columns: sheet.columns.map(({ key, header, type }) => ({ key, header, type })),
+    rows: sheet.rows,
+    totals: sheet.totals
+  }, null, 2);
+}
+
+/* -------------------------------------------------------------
+   XLSX
+   A minimal SpreadsheetML package: two worksheets (the schedule
+   and its inputs), inline strings and a small style sheet.
+------------------------------------------------------------- */
+
+// Cell styles (indexes into cellXfs below)
+const STYLE = { plain: 0, currency: 1, percent: 2, date: 3, header: 4, totalCurrency: 5, total: 6 };
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 0 -> A, 26 -> AA
+function columnName(index){
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// Excel date serial of an ISO date (days since 1899-12-30)
+function dateSerial(iso){
+  const [y, m, d] = iso.split('-').map(Number);
+  return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// Currency number format with the chosen symbol, e.g. "$"#,##0.00 or #,##0.00 "€"
+function currencyFormatCode(format){
+  const number = format.currencyDigits > 0 ? `#,##0.${'0'.repeat(format.currencyDigits)}` : '#,##0';
+  const symbol = `"${format.symbol.replace(/"/g, '')}"`;
+  return format.symbolFirst ? `${symbol}${number}` : `${number} ${symbol}`;
+}
+
+function cellXml(ref, value, type, style){
+  if (value === null || value === undefined || value === '') return `<c r="${ref}" s="${style}"/>`;
+  if (type === 'date' && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `<c r="${ref}" s="${STYLE.date}"><v>${dateSerial(value)}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const shown = type === 'percent' ? value / 100 : value;
+    const cellStyle = style || (type === 'currency' ? STYLE.currency : type === 'percent' ? STYLE.percent : STYLE.plain);
+    return `<c r="${ref}" s="${cellStyle}"><v>${shown}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr" s="${style}"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(index, cells){
+  return `<row r="${index}">${cells.join('')}</row>`;
+}
+
+function worksheetXml(rows, widths, frozen){
+  const view = frozen
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : '';
+  const cols = `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`;
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `${view}${cols}<sheetData>${rows.join('')}</sheetData></worksheet>`;
+}
+
+function scheduleSheetXml(sheet){
+  const { columns, rows, totals } = sheet;
+  const header = rowXml(1, columns.map((col, i) => cellXml(`${columnName(i)}1`, col.header, 'text', STYLE.header)));
+  const body = rows.map((row, r) =>
+    rowXml(r + 2, columns.map((col, i) => cellXml(`${columnName(i)}${r + 2}`, row[col.key], col.type, 0))));
+  // Totals as formulas over the rows, with the computed value cached for viewers that don't recalculate
+  const last = rows.length + 1;
+  const totalRow = last + 1;
+  const totalCells = columns.map((col, i) => {
+    const ref = `${columnName(i)}${totalRow}`;
+    if (i === 0) return cellXml(ref, 'Total', 'text', STYLE.total);
+    if (!(col.key in totals)) return `<c r="${ref}" s="${STYLE.total}"/>`;
+    const range = `${columnName(i)}2:${columnName(i)}${last}`;
+    return `<c r="${ref}" s="${STYLE.totalCurrency}"><f>SUM(${range})</f><v>${totals[col.key]}</v></c>`;
+  });
+  const widths = columns.map(col => (col.type === 'currency' ? 16 : col.type === 'date' ? 12 : 10));
+  return worksheetXml([header, ...body, rowXml(totalRow, totalCells)], widths, true);
+}
+
+function inputsSheetXml(sheet){
+  const items = [
+    ...sheet.metadata.map(item => ({ ...item, value: metadataText(item) })),
+    { label: 'Rows', value: sheet.settings.frequency, type: 'text' },
+    { label: 'Currency', value: sheet.settings.currency, type: 'text' }
+  ];
+  const rows = [
+    rowXml(1, [cellXml('A1', 'Input', 'text', STYLE.header), cellXml('B1', 'Value', 'text', STYLE.header)]),
+    ...items.map((item, r) => rowXml(r + 2, [
+      cellXml(`A${r + 2}`, item.label, 'text', 0),
+      cellXml(`B${r + 2}`, item.value, item.type, 0)
+    ]))
+  ];
+  return worksheetXml(rows, [30, 18], false);
+}
+
+function stylesXml(format){
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<numFmts count="1"><numFmt numFmtId="164" formatCode="${escapeXml(currencyFormatCode(format))}"/></numFmts>` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>' +
+    '<border><left/><right/><top style="thin"/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="7">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="1" fillId="0" borderId="1" xfId="0" applyNumberFormat="1" applyFont="1" applyBorder="1"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="1" xfId="0" applyFont="1" applyBorder="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+const SHEETS = ['Schedule', 'Inputs'];
+
+/**
+ * Schedule as an XLSX workbook: a "Schedule" sheet (frozen header, currency, percent and
+ * date formats, SUM totals row) and an "Inputs" sheet
+ * @param {Object} sheet - From buildScheduleExport
+ * @param {Object} format - From createFormat (sets the currency symbol)
+ * @returns {Uint8Array} The .xlsx file
+ */
+export function toXlsx(sheet, format){
+  const relationship = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        SHEETS.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationship}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: xml + `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationship}"><sheets>` +
+        SHEETS.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        SHEETS.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${relationship}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${SHEETS.length + 1}" Type="${relationship}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: stylesXml(format) },
+    { name: 'xl/worksheets/sheet1.xml', data: scheduleSheetXml(sheet) },
+    { name: 'xl/worksheets/sheet2.xml', data: inputsSheetXml(sheet) }
+  ]);
+}
+
+/* -------------------------------------------------------------
+   Download
+------------------------------------------------------------- */
+
+// File type of each export
+export const EXPORT_TYPES = {
+  csv: { extension: 'csv', mime: 'text/csv;charset=utf-8' },
+  xlsx: { extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { extension: 'json', mime: 'application/json' }
+};
+
+/**
+ * Save content as a file through a temporary download link
+ * @param {string} filename
+ * @param {string} mime - Content type
+ * @param {string|Uint8Array} content
+ */
+export function downloadFile(filename, mime, content){
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,89 @@
+/**
+ * Input History Module – Mortgage Calculator
+ * Undo/redo over snapshots of the calculator inputs. Each snapshot is a full
+ * set of input values (as returned by getInputs). Each calculator instance
+ * keeps its own history from createHistory.
+ */
+
+// Edits to one field closer together than this are a single undo step,
+// so typing "250000" is undone in one go rather than keystroke by keystroke
+const COALESCE_MS = 1000;
+const MAX_STEPS = 100;
+
+const sameInputs = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Create an empty input history
+ * @returns {Object} { resetHistory, recordInputs, undo, redo, canUndo, canRedo }
+ */
+export function createHistory(){
+  const past = [];
+  const future = [];
+  let present = null;
+  let lastField = null;
+  let lastEdit = 0;
+
+  /**
+   * Start a fresh history from the current inputs
+   */
+  function resetHistory(inputs){
+    past.length = 0;
+    future.length = 0;
+    present = inputs;
+    lastField = null;
+  }
+
+  /**
+   * Record the inputs after an edit. Repeated edits to the same field within
+   * COALESCE_MS replace the open step instead of adding one.
+   * @param {Object} inputs - Inputs after the edit
+   * @param {string|null} field - Field that was edited (null: a change to several fields)
+   * @param {number} now - Time of the edit in ms
+   */
+  function recordInputs(inputs, field = null, now = Date.now()){
+    if (present === null) {
+      resetHistory(inputs);
+      return;
+    }
+    if (sameInputs(inputs, present)) return;
+
+    const coalesce = field !== null && field === lastField && now - lastEdit < COALESCE_MS && past.length > 0;
+    if (!coalesce) {
+      past.push(present);
+      if (past.length > MAX_STEPS) past.shift();
+    }
+    present = inputs;
+    future.length = 0;
+    lastField = field;
+    lastEdit = now;
+  }
+
+  /**
+   * Step back one edit
+   * @returns {Object|null} Inputs to restore, or null when there is nothing to undo
+   */
+  function undo(){
+    if (past.length === 0) return null;
+    future.push(present);
+    present = past.pop();
+    lastField = null;
+    return present;
+  }
+
+  /**
+   * Step forward one undone edit
+   * @returns {Object|null} Inputs to restore, or null when there is nothing to redo
+   */
+  function redo(){
+    if (future.length === 0) return null;
+    past.push(present);
+    present = future.pop();
+    lastField = null;
+    return present;
+  }
+
+  const canUndo = () => past.length > 0;
+  const canRedo = () => future.length > 0;
+
+  return { resetHistory, recordInputs, undo, redo, canUndo, canRedo };
+}
@@ -0,0 +1,183 @@
+/**
+ * PDF Module – Mortgage Calculator
+ * A small PDF writer for the printable report: pages of text, lines and filled
+ * rectangles in the standard Helvetica fonts, so no font or image data is embedded.
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for characters 32–126, from the standard AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding places in 0x80–0x9F
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Stand-ins for characters the standard fonts lack (Intl output includes several):
+// minus sign, narrow and thin spaces, fullwidth yen and the rupee sign
+const SUBSTITUTES = { '\u2212': '-', '\u202F': '\u00A0', '\u2009': ' ', '\uFFE5': '\u00A5', '\u20B9': 'Rs' };
+
+/**
+ * Character codes of some text in WinAnsiEncoding; characters it can't hold become "?"
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function encodeWinAnsi(text){
+  const codes = [];
+  for (const ch of String(text)) {
+    const sub = SUBSTITUTES[ch];
+    if (sub) {
+      codes.push(...encodeWinAnsi(sub));
+      continue;
+    }
+    const code = ch.codePointAt(0);
+    if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) codes.push(code);
+    else codes.push(WIN_ANSI[ch] || 0x3F);
+  }
+  return codes;
+}
+
+/**
+ * Width of some text in points
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} bold
+ */
+export function textWidth(text, size, bold = false){
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  return encodeWinAnsi(text).reduce((sum, code) => {
+    if (code >= 32 && code <= 126) return sum + widths[code - 32];
+    return sum + (code === 0xA0 ? 278 : 556);
+  }, 0) * size / 1000;
+}
+
+// PDF string literal, kept to printable ASCII with octal escapes
+function pdfString(text){
+  return '(' + encodeWinAnsi(text).map(code => {
+    if (code === 0x28 || code === 0x29 || code === 0x5C) return `\\${String.fromCharCode(code)}`;
+    if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+    return String.fromCharCode(code);
+  }).join('') + ')';
+}
+
+// "#3369FF" -> "0.2 0.412 1"
+function pdfColor(hex){
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [16, 8, 0].map(shift => Number((((value >> shift) & 0xFF) / 255).toFixed(3))).join(' ');
+}
+
+const num = value => Number(value.toFixed(2));
+
+// Page sizes in points
+export const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+/**
+ * Start a PDF document
+ * @param {Object} options - { size: PAGE_SIZES entry (default letter), title }
+ * @returns {Object} { width, height, addPage(), pageCount(), text(), line(), rect(), toBytes() }
+ */
+export function createPdf({ size = PAGE_SIZES.letter, title = '' } = {}){
+  const { width, height } = size;
+  const pages = [];  // content stream operators per page
+
+  function draw(page, ops){
+    pages[page].push(ops);
+  }
+
+  return {
+    width,
+    height,
+
+    /**
+     * Add a blank page
+     * @returns {number} Its index, for the drawing calls
+     */
+    addPage(){
+      pages.push([]);
+      return pages.length - 1;
+    },
+
+    pageCount(){
+      return pages.length;
+    },
+
+    /**
+     * Write one line of text with its baseline at y
+     * @param {Object} options - { size (default 10), bold, color, align: 'left' | 'right' | 'center' }
+     *   (x is the right edge for 'right' and the middle for 'center')
+     */
+    text(page, x, y, text, { size = 10, bold = false, color = '#000000', align = 'left' } = {}){
+      const w = textWidth(text, size, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      draw(page, `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${pdfColor(color)} rg ${num(left)} ${num(height - y)} Td ${pdfString(text)} Tj ET`);
+    },
+
+    line(page, x1, y1, x2, y2, { color = '#000000', width: lineWidth = 0.5 } = {}){
+      draw(page, `${pdfColor(color)} RG ${lineWidth} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+    },
+
+    /**
+     * Filled rectangle with its top-left corner at x, y
+     */
+    rect(page, x, y, w, h, { color = '#000000' } = {}){
+      draw(page, `${pdfColor(color)} rg ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re f`);
+    },
+
+    /**
+     * The finished file
+     * @returns {Uint8Array}
+     */
+    toBytes(){
+      // 1 catalog, 2 page tree, 3–4 fonts, 5 info, then a page and its contents per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 6 + i * 2);
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title ${pdfString(title)} /Producer (Mortgage Calculator) >>`;
+      pages.forEach((ops, i) => {
+        const content = ops.join('\n');
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+      });
+
+      // Everything is ASCII, so string lengths are byte offsets
+      let pdf = '%PDF-1.4\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+      const xref = pdf.length;
+      pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n` +
+        offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return new TextEncoder().encode(pdf);
+    }
+  };
+}
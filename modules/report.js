@@ -0,0 +1,541 @@
+/**
+ * Report Module – Mortgage Calculator
+ * A printable report of the current loan: the inputs, the PMT formula with the loan's
+ * values, a results summary, a static chart and the full schedule. It is laid out twice
+ * from one description: as a print-optimized page (printReport) and as a PDF built in
+ * the browser (toPdf).
+ */
+
+import { createElement, getFrequency, formatTerm } from './utils.js';
+import { summarizeByYear } from './calculations.js';
+import { formatInputValue } from './url-state.js';
+import { SERIES_COLORS } from './chart.js';
+import { createPdf, textWidth, PAGE_SIZES } from './pdf.js';
+
+// More bars than this would be unreadable on paper, so the chart rolls up to years
+const MAX_BARS = 60;
+
+// Chart series drawn from each row, bottom to top
+const CHART_SERIES = [
+  { label: 'Scheduled principal', value: row => row.principal - (row.extraPrincipal || 0) - (row.balloon || 0) },
+  { label: 'Interest', value: row => row.interest },
+  { label: 'Extra principal', value: row => row.extraPrincipal || 0, optional: true },
+  { label: 'Balloon', value: row => row.balloon || 0, optional: true }
+];
+
+// Inputs always listed; the others only when set
+const CORE_FIELDS = ['loanAmount', 'annualRate', 'years', 'paymentsPerYear'];
+
+// Regions whose paper is US Letter; everyone else prints on A4
+const LETTER_REGIONS = ['US', 'CA', 'MX', 'PH', 'CL', 'CO', 'VE'];
+
+/* -------------------------------------------------------------
+   Report contents
+------------------------------------------------------------- */
+
+function inputValueText(item, format){
+  const { value, type, field } = item;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (type === 'currency') return format.currency(value);
+  if (type === 'percent') return format.percent(value, 3);
+  if (type === 'date') return format.date(value);
+  if (field === 'paymentsPerYear') return `${value} (${getFrequency(value).label.toLowerCase()})`;
+  if (typeof value === 'number') return format.number(value, Number.isInteger(value) ? 0 : 2);
+  return formatInputValue(field, value);
+}
+
+const isSet = value => !(value === '' || value === null || value === undefined || value === 0 ||
+  value === false || (Array.isArray(value) && value.length === 0));
+
+function cellText(value, type, format){
+  if (value === null || value === undefined) return '';
+  if (type === 'currency') return format.currency(value);
+  if (type === 'percent') return format.percent(value);
+  if (type === 'date') return format.date(value);
+  return String(value);
+}
+
+/**
+ * The PMT formula in general and with this loan's values. The payment amortizes the balance
+ * left after any interest-only period, at the first amortizing period's rate (the initial rate
+ * of an ARM), over the payments left in the amortization term.
+ * Text is split into parts so exponents can be set as superscripts: [{ text } | { sup }].
+ */
+function describeFormula(result, inputs, format){
+  const m = inputs.paymentsPerYear;
+  const io = Math.round((inputs.interestOnlyYears || 0) * m);
+  const first = result.schedule[io];
+  if (!first) return null;
+  const P = io > 0 ? result.schedule[io - 1].endingBalance : inputs.loanAmount;
+  const r = first.rate / 100 / m;
+  const n = Math.round(inputs.years * m) - io;
+
+  const where = [
+    `P = ${format.currency(P)}, ${io > 0 ? 'the balance when interest-only payments end' : 'the loan amount'}`,
+    `r = ${format.percent(first.rate, 3)} / ${m} = ${format.number(r, 6)}, the ${inputs.rateType === 'arm' ? 'initial ' : ''}periodic rate`,
+    `n = ${n}, the number of ${getFrequency(m).label.toLowerCase()} payments${io > 0 ? ' after the interest-only period' : ''}`
+  ];
+  if (r === 0) {
+    return {
+      general: [{ text: 'PMT = P / n' }],
+      values: [{ text: `PMT = ${format.number(P, 2)} / ${n}` }],
+      result: `PMT = ${format.currency(result.payment)}`,
+      where
+    };
+  }
+  const growth = format.number(1 + r, 6);
+  return {
+    general: [{ text: 'PMT = P × r(1 + r)' }, { sup: 'n' }, { text: ' / [(1 + r)' }, { sup: 'n' }, { text: ' − 1]' }],
+    values: [
+      { text: `PMT = ${format.number(P, 2)} × ${format.number(r, 6)}(${growth})` }, { sup: String(n) },
+      { text: ` / [(${growth})` }, { sup: String(n) }, { text: ' − 1]' }
+    ],
+    result: `PMT = ${format.currency(result.payment)}`,
+    where
+  };
+}
+
+function describeSummary(result, inputs, format){
+  const m = inputs.paymentsPerYear;
+  const period = getFrequency(m).period.toLowerCase();
+  const items = [[`${inputs.rateType === 'arm' ? 'Initial payment' : 'Payment'} per ${period}`, format.currency(result.payment)]];
+  if (result.interestOnlyPayment !== null && result.interestOnlyPayment !== undefined) {
+    items.push([`Interest-only payment (first ${inputs.interestOnlyYears} years)`, format.currency(result.interestOnlyPayment)]);
+  }
+  if (result.balloon) items.push([`Balloon due in year ${inputs.balloonYears}`, format.currency(result.balloon)]);
+  items.push(
+    ['Total paid', format.currency(result.totals.payment)],
+    ['Total interest', format.currency(result.totals.interest)],
+    ['Interest share of total paid', format.percent((result.totals.interest / result.totals.payment) * 100, 1)],
+    ['Paid off after', formatTerm(result.schedule.length, m)]
+  );
+  if (result.prepayment) {
+    items.push(
+      ['Interest saved by prepayments', format.currency(result.prepayment.interestSaved)],
+      ['Time saved by prepayments', formatTerm(result.prepayment.periodsSaved, m)]
+    );
+  }
+  if (result.apr) {
+    items.push(['APR', format.percent(result.apr.apr, 3)], ['Effective annual rate', format.percent(result.apr.effectiveRate, 3)]);
+  }
+  return items.map(([label, value]) => ({ label, value }));
+}
+
+function describeChart(sheet, schedule){
+  const annual = sheet.rows.length > MAX_BARS;
+  const rows = annual ? summarizeByYear(schedule) : sheet.rows;
+  const series = CHART_SERIES
+    .map((item, i) => ({ label: item.label, color: SERIES_COLORS[i], optional: item.optional, values: rows.map(item.value) }))
+    .filter(item => !item.optional || item.values.some(v => v > 0))
+    .map(({ optional, ...item }) => item);
+  return {
+    periodLabel: annual ? 'Year' : sheet.columns[0].header,
+    labels: rows.map(row => String(row.period)),
+    series
+  };
+}
+
+/**
+ * Everything the report shows, as text in the chosen locale and currency
+ * @param {Object} sheet - From buildScheduleExport: the displayed schedule with its inputs
+ * @param {Object} result - The calculation { payment, totals, schedule, interestOnlyPayment, balloon, prepayment, apr }
+ * @param {Object} inputs - The inputs the result was computed from
+ * @param {Object} format - From createFormat
+ * @returns {Object} { title, subtitle, locale, pageSize, inputs, formula, summary, chart, table }
+ */
+export function buildReport(sheet, result, inputs, format){
+  const region = format.locale.split('-').find((part, i) => i > 0 && /^[A-Z]{2}$/.test(part)) || '';
+  return {
+    title: 'Mortgage Report',
+    subtitle: `${sheet.settings.frequency} schedule, amounts in ${format.currencyCode}`,
+    locale: format.locale,
+    pageSize: LETTER_REGIONS.includes(region) ? 'letter' : 'a4',
+    inputs: sheet.metadata
+      .filter(item => CORE_FIELDS.includes(item.field) || isSet(item.value))
+      .filter(item => !(item.field === 'dayCount' && !inputs.startDate))
+      .map(item => ({ label: item.label, value: inputValueText(item, format) })),
+    formula: describeFormula(result, inputs, format),
+    summary: describeSummary(result, inputs, format),
+    chart: describeChart(sheet, result.schedule),
+    table: {
+      caption: `Amortization schedule, ${sheet.settings.frequency.toLowerCase()}`,
+      columns: sheet.columns.map(col => ({ header: col.header, align: col.type === 'date' || col.key === 'period' ? 'left' : 'right' })),
+      rows: sheet.rows.map(row => sheet.columns.map(col => cellText(row[col.key], col.type, format))),
+      totals: sheet.columns.map((col, i) => (i === 0 ? 'Total' : col.key in sheet.totals ? format.currency(sheet.totals[col.key]) : ''))
+    }
+  };
+}
+
+/* -------------------------------------------------------------
+   Chart geometry (shared by the print page and the PDF)
+------------------------------------------------------------- */
+
+// A round step giving about `count` ticks up to max
+function tickStep(max, count = 5){
+  const raw = max / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 2.5, 5, 10].find(f => f * magnitude >= raw) * magnitude;
+}
+
+/**
+ * Stacked bars, axis ticks and labels for a chart drawn in a width × height box
+ * @returns {Object} { plot: {x, y, width, height}, bars: [{x, y, width, height, color}],
+ *   yTicks: [{y, label}], xLabels: [{x, label}] }
+ */
+export function chartLayout(chart, width, height, format){
+  const plot = { x: 56, y: 8, width: width - 64, height: height - 40 };
+  const totals = chart.labels.map((_, i) => chart.series.reduce((sum, s) => sum + Math.max(0, s.values[i]), 0));
+  const step = tickStep(Math.max(...totals, 1));
+  const top = Math.ceil(Math.max(...totals, 1) / step) * step;
+  const scale = v => (v / top) * plot.height;
+
+  const slot = plot.width / chart.labels.length;
+  const barWidth = Math.max(slot * 0.7, 0.5);
+  const bars = [];
+  chart.labels.forEach((_, i) => {
+    let base = plot.y + plot.height;
+    chart.series.forEach(s => {
+      const h = scale(Math.max(0, s.values[i]));
+      if (h <= 0) return;
+      base -= h;
+      bars.push({ x: plot.x + i * slot + (slot - barWidth) / 2, y: base, width: barWidth, height: h, color: s.color });
+    });
+  });
+
+  const yTicks = [];
+  for (let v = 0; v <= top + step / 2; v += step) {
+    yTicks.push({ y: plot.y + plot.height - scale(v), label: format.number(v) });
+  }
+  // At most about ten period labels, starting from the first
+  const every = Math.ceil(chart.labels.length / 10);
+  const xLabels = chart.labels
+    .map((label, i) => ({ x: plot.x + (i + 0.5) * slot, label }))
+    .filter((_, i) => i % every === 0);
+  return { plot, bars, yTicks, xLabels };
+}
+
+/* -------------------------------------------------------------
+   Print page
+------------------------------------------------------------- */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function svgElement(tag, attrs = {}, text = null){
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+function chartSvg(report, format){
+  const width = 680;
+  const height = 280;
+  const { plot, bars, yTicks, xLabels } = chartLayout(report.chart, width, height, format);
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, width: '100%', role: 'img',
+    'aria-labelledby': 'report-chart-caption' });
+  yTicks.forEach(tick => {
+    svg.appendChild(svgElement('line', { x1: plot.x, x2: plot.x + plot.width, y1: tick.y, y2: tick.y, stroke: '#dddddd' }));
+    svg.appendChild(svgElement('text', { x: plot.x - 6, y: tick.y + 4, 'text-anchor': 'end' }, tick.label));
+  });
+  bars.forEach(bar => svg.appendChild(svgElement('rect', { x: bar.x, y: bar.y, width: bar.width, height: bar.height, fill: bar.color })));
+  svg.appendChild(svgElement('line', { x1: plot.x, x2: plot.x + plot.width, y1: plot.y + plot.height, y2: plot.y + plot.height, stroke: '#333333' }));
+  xLabels.forEach(label => {
+    svg.appendChild(svgElement('text', { x: label.x, y: plot.y + plot.height + 16, 'text-anchor': 'middle' }, label.label));
+  });
+  svg.appendChild(svgElement('text', { x: plot.x + plot.width / 2, y: height - 2, 'text-anchor': 'middle' }, report.chart.periodLabel));
+  return svg;
+}
+
+function formulaLine(parts, className){
+  const line = createElement('p', { className });
+  parts.forEach(part => line.appendChild(part.sup ? createElement('sup', {}, part.sup) : document.createTextNode(part.text)));
+  return line;
+}
+
+function pairsTable(items, caption){
+  return createElement('table', { className: 'pairs' },
+    createElement('caption', { className: 'visually-hidden' }, caption),
+    createElement('tbody', {}, ...items.map(item =>
+      createElement('tr', {}, createElement('th', { scope: 'row' }, item.label), createElement('td', {}, item.value))))
+  );
+}
+
+/**
+ * The report as a page of HTML (built in the current document; append it where it should print)
+ * @param {Object} report - From buildReport
+ * @param {Object} format - From createFormat, for the chart's axis
+ * @returns {Element}
+ */
+export function renderReport(report, format){
+  const { chart, table, formula } = report;
+  const page = createElement('main', { className: 'report' },
+    createElement('h1', {}, report.title),
+    createElement('p', { className: 'subtitle' }, report.subtitle),
+    createElement('section', {}, createElement('h2', {}, 'Loan inputs'), pairsTable(report.inputs, 'Loan inputs'))
+  );
+
+  if (formula) {
+    page.appendChild(createElement('section', {},
+      createElement('h2', {}, 'Payment formula'),
+      formulaLine(formula.general, 'formula'),
+      formulaLine(formula.values, 'formula'),
+      createElement('p', { className: 'formula result' }, formula.result),
+      createElement('ul', { className: 'where' }, ...formula.where.map(text => createElement('li', {}, text)))
+    ));
+  }
+
+  page.appendChild(createElement('section', {}, createElement('h2', {}, 'Results'), pairsTable(report.summary, 'Results')));
+
+  const figure = createElement('figure', { className: 'chart' });
+  figure.appendChild(chartSvg(report, format));
+  figure.appendChild(createElement('ul', { className: 'legend' }, ...chart.series.map(s =>
+    createElement('li', {}, createElement('span', { className: 'swatch', style: { background: s.color } }), s.label))));
+  figure.appendChild(createElement('figcaption', { id: 'report-chart-caption' },
+    `Payment per ${chart.periodLabel.toLowerCase()} split into ${chart.series.map(s => s.label.toLowerCase()).join(', ')}`));
+  page.appendChild(createElement('section', {}, createElement('h2', {}, 'Cash flows'), figure));
+
+  const cell = (tag, text, align, attrs = {}) => createElement(tag, { ...(align === 'right' ? { className: 'num' } : {}), ...attrs }, text);
+  page.appendChild(createElement('section', { className: 'schedule' },
+    createElement('h2', {}, 'Amortization schedule'),
+    createElement('table', {},
+      createElement('caption', { className: 'visually-hidden' }, table.caption),
+      createElement('thead', {}, createElement('tr', {}, ...table.columns.map(col => cell('th', col.header, col.align, { scope: 'col' })))),
+      createElement('tbody', {}, ...table.rows.map(row => createElement('tr', {}, ...row.map((text, i) => cell('td', text, table.columns[i].align))))),
+      createElement('tfoot', {}, createElement('tr', {}, ...table.totals.map((text, i) =>
+        cell(i === 0 ? 'th' : 'td', text, table.columns[i].align, i === 0 ? { scope: 'row' } : {}))))
+    )
+  ));
+  return page;
+}
+
+// Print styles: the header row repeats on every printed page, rows don't split across pages
+const REPORT_CSS = `
+  @page { margin: 15mm; }
+  body { font: 10pt/1.4 Helvetica, Arial, sans-serif; color: #000; margin: 0 auto; max-width: 190mm; }
+  h1 { font-size: 18pt; margin: 0; }
+  h2 { font-size: 12pt; margin: 14pt 0 4pt; border-bottom: 1px solid #999; break-after: avoid; }
+  .subtitle { color: #555; margin: 2pt 0 0; }
+  .visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+  table { border-collapse: collapse; width: 100%; }
+  .pairs th { text-align: left; font-weight: normal; color: #333; width: 50%; }
+  .pairs th, .pairs td { padding: 1pt 4pt 1pt 0; }
+  .formula { font-family: "Times New Roman", serif; font-size: 12pt; margin: 2pt 0; }
+  .formula.result { font-weight: bold; }
+  .where { margin: 4pt 0; padding-left: 14pt; }
+  figure { margin: 0; break-inside: avoid; }
+  svg text { font-size: 10px; fill: #333; }
+  .legend { list-style: none; padding: 0; margin: 4pt 0; display: flex; gap: 12pt; }
+  .swatch { display: inline-block; width: 9pt; height: 9pt; margin-right: 4pt; vertical-align: -1pt;
+    -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  figcaption { color: #555; font-size: 9pt; }
+  .schedule { break-before: page; }
+  .schedule table { font-size: 8.5pt; }
+  .schedule th, .schedule td { padding: 1.5pt 4pt; text-align: left; }
+  .schedule .num { text-align: right; font-variant-numeric: tabular-nums; }
+  thead { display: table-header-group; }
+  thead th { border-bottom: 1px solid #000; }
+  tfoot { display: table-row-group; font-weight: bold; }
+  tfoot th, tfoot td { border-top: 1px solid #000; }
+  tr { break-inside: avoid; }
+  tbody tr:nth-child(even) { background: #f2f4f8; }
+`;
+
+/**
+ * Show the report in a new window and open the print dialog there
+ * @param {Object} report - From buildReport
+ * @param {Object} format - From createFormat
+ * @returns {boolean} false when the window couldn't be opened (e.g. a pop-up blocker)
+ */
+export function printReport(report, format){
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  const doc = win.document;
+  doc.open();
+  doc.write(`<!DOCTYPE html><html lang="${report.locale}"><head><meta charset="utf-8"><title></title>` +
+    `<style>${REPORT_CSS}</style></head><body></body></html>`);
+  doc.close();
+  doc.title = report.title;
+  doc.body.appendChild(doc.importNode(renderReport(report, format), true));
+  win.focus();
+  win.print();
+  return true;
+}
+
+/* -------------------------------------------------------------
+   PDF
+------------------------------------------------------------- */
+
+const MARGIN = 48;
+const FOOTER = 24;
+const GREY = '#555555';
+
+/**
+ * The report as a PDF: inputs, formula, results and chart first, then the schedule
+ * on as many pages as it needs, with the header row repeated on each
+ * @param {Object} report - From buildReport
+ * @param {Object} format - From createFormat
+ * @returns {Uint8Array}
+ */
+export function toPdf(report, format){
+  const pdf = createPdf({ size: PAGE_SIZES[report.pageSize], title: report.title });
+  const width = pdf.width - 2 * MARGIN;
+  const bottom = pdf.height - MARGIN - FOOTER;
+  let page = pdf.addPage();
+  let y = MARGIN;
+
+  // Start a new page unless `height` more points fit on this one
+  const fit = height => {
+    if (y + height <= bottom) return;
+    page = pdf.addPage();
+    y = MARGIN;
+  };
+  const heading = text => {
+    fit(48);
+    y += 22;
+    pdf.text(page, MARGIN, y, text, { size: 12, bold: true });
+    y += 5;
+    pdf.line(page, MARGIN, y, MARGIN + width, y, { color: '#999999' });
+    y += 4;
+  };
+  // Label/value pairs in two columns
+  const pairs = items => {
+    const column = (width - 24) / 2;
+    for (let i = 0; i < items.length; i += 2) {
+      fit(14);
+      y += 14;
+      items.slice(i, i + 2).forEach((item, k) => {
+        const x = MARGIN + k * (column + 24);
+        pdf.text(page, x, y, item.label, { size: 9, color: '#333333' });
+        pdf.text(page, x + column, y, item.value, { size: 9, bold: true, align: 'right' });
+      });
+    }
+  };
+  const formulaLine = (parts, size) => {
+    fit(size + 8);
+    y += size + 6;
+    let x = MARGIN;
+    parts.forEach(part => {
+      const text = part.sup || part.text;
+      const partSize = part.sup ? size * 0.7 : size;
+      pdf.text(page, x, part.sup ? y - size * 0.4 : y, text, { size: partSize });
+      x += textWidth(text, partSize);
+    });
+  };
+
+  function drawChart(){
+    const height = 220;
+    fit(height + 40);
+    y += 8;
+    const { plot, bars, yTicks, xLabels } = chartLayout(report.chart, width, height, format);
+    yTicks.forEach(tick => {
+      pdf.line(page, MARGIN + plot.x, y + tick.y, MARGIN + plot.x + plot.width, y + tick.y, { color: '#dddddd' });
+      pdf.text(page, MARGIN + plot.x - 6, y + tick.y + 3, tick.label, { size: 7, color: '#333333', align: 'right' });
+    });
+    bars.forEach(bar => pdf.rect(page, MARGIN + bar.x, y + bar.y, bar.width, bar.height, { color: bar.color }));
+    pdf.line(page, MARGIN + plot.x, y + plot.y + plot.height, MARGIN + plot.x + plot.width, y + plot.y + plot.height, { color: '#333333' });
+    xLabels.forEach(label => {
+      pdf.text(page, MARGIN + label.x, y + plot.y + plot.height + 12, label.label, { size: 7, color: '#333333', align: 'center' });
+    });
+    pdf.text(page, MARGIN + plot.x + plot.width / 2, y + height - 4, report.chart.periodLabel, { size: 8, align: 'center' });
+    y += height + 14;
+
+    // Legend
+    let x = MARGIN + plot.x;
+    report.chart.series.forEach(s => {
+      pdf.rect(page, x, y - 7, 8, 8, { color: s.color });
+      pdf.text(page, x + 12, y, s.label, { size: 8 });
+      x += 24 + textWidth(s.label, 8);
+    });
+  }
+
+  function drawTable(){
+    const { columns, rows, totals } = report.table;
+    const padding = 4;
+    // Columns as wide as their widest cell, scaled to the page width (font shrunk if they overflow)
+    const natural = columns.map((col, i) => Math.max(
+      textWidth(col.header, 8, true),
+      textWidth(totals[i], 8, true),
+      ...rows.map(row => textWidth(row[i], 8))
+    ) + 2 * padding);
+    const total = natural.reduce((sum, w) => sum + w, 0);
+    const size = total > width ? Math.max(5, 8 * width / total) : 8;
+    const widths = natural.map(w => w * width / total);
+    const lefts = widths.map((_, i) => MARGIN + widths.slice(0, i).reduce((sum, w) => sum + w, 0));
+    const rowHeight = size + 5;
+
+    const drawRow = (cells, bold) => {
+      cells.forEach((text, i) => {
+        const right = columns[i].align === 'right';
+        pdf.text(page, right ? lefts[i] + widths[i] - padding : lefts[i] + padding, y - 3.5, text,
+          { size, bold, align: right ? 'right' : 'left' });
+      });
+    };
+    const header = () => {
+      y += rowHeight;
+      drawRow(columns.map(col => col.header), true);
+      pdf.line(page, MARGIN, y, MARGIN + width, y, { width: 0.75 });
+    };
+
+    page = pdf.addPage();
+    y = MARGIN;
+    pdf.text(page, MARGIN, y + 12, 'Amortization schedule', { size: 12, bold: true });
+    y += 20;
+    header();
+    rows.forEach((row, r) => {
+      if (y + rowHeight > bottom) {
+        page = pdf.addPage();
+        y = MARGIN;
+        header();
+      }
+      if (r % 2 === 1) pdf.rect(page, MARGIN, y, width, rowHeight, { color: '#f2f4f8' });
+      y += rowHeight;
+      drawRow(row, false);
+    });
+    if (y + rowHeight + 2 > bottom) {
+      page = pdf.addPage();
+      y = MARGIN;
+      header();
+    }
+    pdf.line(page, MARGIN, y, MARGIN + width, y, { width: 0.75 });
+    y += rowHeight + 2;
+    drawRow(totals, true);
+  }
+
+  pdf.text(page, MARGIN, y + 18, report.title, { size: 18, bold: true });
+  y += 34;
+  pdf.text(page, MARGIN, y, report.subtitle, { size: 10, color: GREY });
+
+  heading('Loan inputs');
+  pairs(report.inputs);
+
+  if (report.formula) {
+    heading('Payment formula');
+    formulaLine(report.formula.general, 11);
+    formulaLine(report.formula.values, 11);
+    fit(18);
+    y += 17;
+    pdf.text(page, MARGIN, y, report.formula.result, { size: 11, bold: true });
+    report.formula.where.forEach(text => {
+      fit(13);
+      y += 13;
+      pdf.text(page, MARGIN + 8, y, text, { size: 9 });
+    });
+  }
+
+  heading('Results');
+  pairs(report.summary);
+
+  heading('Cash flows');
+  drawChart();
+
+  drawTable();
+
+  // Page numbers once the page count is known
+  const count = pdf.pageCount();
+  for (let i = 0; i < count; i++) {
+    const footerY = pdf.height - MARGIN;
+    pdf.text(i, MARGIN, footerY, report.title, { size: 8, color: GREY });
+    pdf.text(i, MARGIN + width, footerY, `Page ${i + 1} of ${count}`, { size: 8, color: GREY, align: 'right' });
+  }
+  return pdf.toBytes();
+}
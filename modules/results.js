@@ -3,15 +3,19 @@
  * Renders mortgage payment and analysis results
  */
 
-import { formatCurrency, createElement } from './utils.js';
+import { createFormat, createElement, getFrequency, formatTerm } from './utils.js';
 
 /**
  * Render results and analysis section
- * @param {Object} calc - Calculation results {payment, totals}
- * @param {Object} inputs - Input parameters {years}
+ * @param {Object} calc - Calculation results {payment, totals, prepayment, schedule, interestOnlyPayment, balloon, apr,
+ *   refinance, payoff}
+ * @param {Object} inputs - Input parameters {years, paymentsPerYear, annualRate, rateType, solveFor, solvedValue,
+ *   interestOnlyYears, balloonYears, quoteBy, quoteDate, marketRate}
+ * @param {Document|ShadowRoot} root - Where to find the results container
+ * @param {Object} format - From createFormat: the locale and currency to show amounts in
  */
-export function renderResults(calc, inputs) {
-  const container = document.getElementById('results-content');
+export function renderResults(calc, inputs, root = document, format = createFormat()) {
+  const container = root.getElementById('results-content');
   
   if (!container) {
     console.error('Results container not found');
@@ -22,24 +26,138 @@ export function renderResults(calc, inputs) {
   container.innerHTML = '';
   
   // Create payment result box
-  const paymentBox = createPaymentBox(calc.payment);
+  const isArm = inputs.rateType === 'arm';
+  const paymentBox = createPaymentBox(calc.payment, inputs.paymentsPerYear, isArm, format);
+  if (calc.interestOnlyPayment !== null && calc.interestOnlyPayment !== undefined) {
+    const ioText = createElement('div', { className: 'result-note' },
+      `After ${inputs.interestOnlyYears} year${inputs.interestOnlyYears === 1 ? '' : 's'} of interest-only payments of ${format.currency(calc.interestOnlyPayment)}`
+    );
+    paymentBox.appendChild(ioText);
+  }
+  if (inputs.solveFor && inputs.solveFor !== 'payment') {
+    paymentBox.appendChild(createSolvedNote(inputs.solveFor, inputs.solvedValue, inputs.paymentsPerYear, format));
+  }
   container.appendChild(paymentBox);
   
+  // Balloon due at the end of a shortened term
+  if (calc.balloon) {
+    container.appendChild(createBalloonBox(calc.balloon, inputs.balloonYears, inputs.years, inputs.paymentsPerYear, format));
+  }
+  
   // Create totals analysis box
-  const totalsBox = createTotalsBox(calc.totals, inputs.years);
+  // The totals run over the schedule, which a balloon or prepayments end early
+  // and a solved term may end part-way through a year
+  const term = inputs.balloonYears > 0 ? inputs.balloonYears : inputs.years;
+  const periods = calc.schedule ? calc.schedule.length : Math.round(term * inputs.paymentsPerYear);
+  const adjustedRow = calc.schedule ? calc.schedule.find(row => row.adjusted) : null;
+  const totalsBox = createTotalsBox(calc.totals, periods, inputs.paymentsPerYear, adjustedRow, format);
   container.appendChild(totalsBox);
+  
+  // Cost of credit: APR and effective annual rate
+  if (calc.apr) {
+    container.appendChild(createCostBox(calc.apr, inputs.annualRate, format));
+  }
+  
+  // Rate path summary for adjustable-rate loans
+  if (isArm && calc.schedule) {
+    container.appendChild(createArmBox(calc.schedule, inputs.paymentsPerYear, format));
+  }
+  
+  // Savings from prepayments (only when any are entered)
+  if (calc.prepayment) {
+    container.appendChild(createPrepaymentBox(calc.prepayment, inputs.paymentsPerYear, format));
+  }
+  
+  // Balance and payoff amount at the quoted period or date
+  if (calc.payoff) {
+    container.appendChild(createPayoffBox(calc.payoff, inputs, format));
+  }
+  
+  // Refinance comparison (only in refinance mode)
+  if (calc.refinance) {
+    container.appendChild(createRefinanceBox(calc.refinance, inputs.paymentsPerYear, Boolean(calc.prepayment), format));
+  }
+}
+
+/**
+ * Render saved scenarios side by side in the results section
+ * @param {Array} scenarios - [{name, inputs, result}] where result is a computeMortgage result
+ * @param {Document|ShadowRoot} root - Where to find the results container
+ * @param {Object} format - From createFormat
+ */
+export function renderScenarioComparison(scenarios, root = document, format = createFormat()) {
+  const container = root.getElementById('results-content');
+  
+  if (!container) {
+    console.error('Results container not found');
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  const grid = createElement('div', { className: 'comparison-grid' });
+  scenarios.forEach(scenario => grid.appendChild(createScenarioBox(scenario, format)));
+  container.appendChild(grid);
+}
+
+/**
+ * Create one scenario's summary box: payment, total interest and payoff
+ * @param {Object} scenario - {name, inputs, result}
+ * @param {Object} format - From createFormat
+ * @returns {Element} Scenario box element
+ */
+function createScenarioBox({ name, inputs, result }, format) {
+  const frequency = getFrequency(inputs.paymentsPerYear);
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, name);
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    `${format.currency(result.payment)} per ${frequency.period.toLowerCase()}`
+  );
+  content.appendChild(headerDiv);
+  
+  const breakdownDiv = createElement('div', { className: 'analysis-details' });
+  
+  const interestDiv = createElement('div');
+  interestDiv.textContent = `Total interest: ${format.currency(result.totals.interest)}`;
+  breakdownDiv.appendChild(interestDiv);
+  
+  const paidDiv = createElement('div');
+  paidDiv.textContent = `Total paid: ${format.currency(result.totals.payment)}`;
+  breakdownDiv.appendChild(paidDiv);
+  
+  const payoffDiv = createElement('div');
+  payoffDiv.textContent = `Payoff: ${formatTerm(result.schedule.length, inputs.paymentsPerYear)}`;
+  breakdownDiv.appendChild(payoffDiv);
+  
+  content.appendChild(breakdownDiv);
+  box.appendChild(content);
+  
+  return box;
 }
 
 /**
- * Create annual payment display box
- * @param {number} payment - Annual payment amount
+ * Create periodic payment display box
+ * @param {number} payment - Payment amount per period
+ * @param {number} paymentsPerYear - Payment frequency
+ * @param {boolean} isInitial - Payment only holds until the first rate reset
+ * @param {Object} format - From createFormat
  * @returns {Element} Payment box element
  */
-function createPaymentBox(payment) {
+function createPaymentBox(payment, paymentsPerYear, isInitial, format) {
+  const frequency = getFrequency(paymentsPerYear);
   const box = createElement('div', { className: 'result-box price' });
   
   const title = createElement('h5', { className: 'result-title price' }, 
-    'Annual Payment (PMT)'
+    `${isInitial ? 'Initial ' : ''}${frequency.label} Payment (PMT)`
   );
   box.appendChild(title);
   
@@ -49,12 +167,12 @@ function createPaymentBox(payment) {
   const priceValue = createElement('div', {
     'aria-live': 'polite',
     'aria-atomic': 'true'
-  }, formatCurrency(payment));
+  }, format.currency(payment));
   valueContainer.appendChild(priceValue);
   
-  // Per year text
+  // Per period text
   const parText = createElement('span', { className: 'result-value-small' }, 
-    ' per year'
+    ` per ${frequency.period.toLowerCase()}`
   );
   valueContainer.appendChild(parText);
   
@@ -63,13 +181,78 @@ function createPaymentBox(payment) {
   return box;
 }
 
+// Labels and formats for the solved-for input
+const SOLVED_FIELDS = {
+  loanAmount: { label: 'Loan amount', format: (v, paymentsPerYear, format) => format.currency(v) },
+  annualRate: { label: 'Interest rate', format: (v, paymentsPerYear, format) => format.percent(v, 4) },
+  years: { label: 'Term', format: (v, paymentsPerYear) => formatTerm(Math.round(v * paymentsPerYear), paymentsPerYear) }
+};
+
+/**
+ * Create the solve-mode note under the payment
+ * @param {string} field - Input that was solved for
+ * @param {number} value - Solved value
+ * @param {number} paymentsPerYear - Payment frequency
+ * @param {Object} format - From createFormat
+ * @returns {Element} Note element
+ */
+function createSolvedNote(field, value, paymentsPerYear, format) {
+  const { label, format: formatValue } = SOLVED_FIELDS[field];
+  return createElement('div', { className: 'result-note' },
+    `Solved: ${label} = ${formatValue(value, paymentsPerYear, format)}`
+  );
+}
+
+/**
+ * Create balloon payment display box
+ * @param {number} balloon - Balloon amount
+ * @param {number} balloonYears - Year the balloon falls due
+ * @param {number} years - Amortization basis in years
+ * @param {number} paymentsPerYear - Payments per year
+ * @param {Object} format - From createFormat
+ * @returns {Element} Balloon box element
+ */
+function createBalloonBox(balloon, balloonYears, years, paymentsPerYear, format) {
+  const box = createElement('div', { className: 'result-box price' });
+  
+  const title = createElement('h5', { className: 'result-title price' }, 
+    'Balloon Payment'
+  );
+  box.appendChild(title);
+  
+  const valueContainer = createElement('div', { className: 'result-value' });
+  
+  const balloonValue = createElement('div', {
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, format.currency(balloon));
+  valueContainer.appendChild(balloonValue);
+  
+  const dueText = createElement('span', { className: 'result-value-small' }, 
+    ` due in year ${balloonYears}`
+  );
+  valueContainer.appendChild(dueText);
+  
+  box.appendChild(valueContainer);
+  
+  const basisText = createElement('div', { className: 'result-note' },
+    `Regular payments amortize over ${formatTerm(Math.round(years * paymentsPerYear), paymentsPerYear)}`
+  );
+  box.appendChild(basisText);
+  
+  return box;
+}
+
 /**
  * Create totals analysis box
  * @param {Object} totals - Totals object {interest, principal, payment}
- * @param {number} years - Loan term in years
+ * @param {number} periods - Payment periods the totals cover
+ * @param {number} paymentsPerYear - Payments per year
+ * @param {Object|null} adjustedRow - Schedule row whose payment was adjusted, if any
+ * @param {Object} format - From createFormat
  * @returns {Element} Totals box element
  */
-function createTotalsBox(totals, years) {
+function createTotalsBox(totals, periods, paymentsPerYear, adjustedRow, format) {
   const box = createElement('div', { className: 'result-box analysis' });
   
   const title = createElement('h5', { className: 'result-title analysis' }, 
@@ -85,31 +268,305 @@ function createTotalsBox(totals, years) {
   
   // Analysis header
   const headerDiv = createElement('div', { className: 'analysis-type' }, 
-    `Over ${years} year${years === 1 ? '' : 's'}`
+    `Over ${formatTerm(periods, paymentsPerYear)}`
   );
   content.appendChild(headerDiv);
   
   // Calculate interest percentage
-  const interestPercent = ((totals.interest / totals.payment) * 100).toFixed(1);
+  const interestPercent = format.percent((totals.interest / totals.payment) * 100, 1);
   
   // Summary text
   const summaryDiv = createElement('div');
-  summaryDiv.textContent = `Total of ${formatCurrency(totals.payment)} includes ${interestPercent}% interest`;
+  summaryDiv.textContent = `Total of ${format.currency(totals.payment)} includes ${interestPercent} interest`;
   content.appendChild(summaryDiv);
   
   // Breakdown details
   const breakdownDiv = createElement('div', { className: 'analysis-details' });
   
   const totalInterestDiv = createElement('div');
-  totalInterestDiv.textContent = `Interest: ${formatCurrency(totals.interest)}`;
+  totalInterestDiv.textContent = `Interest: ${format.currency(totals.interest)}`;
   breakdownDiv.appendChild(totalInterestDiv);
   
   const totalPrincipalDiv = createElement('div');
-  totalPrincipalDiv.textContent = `Principal: ${formatCurrency(totals.principal)}`;
+  totalPrincipalDiv.textContent = `Principal: ${format.currency(totals.principal)}`;
   breakdownDiv.appendChild(totalPrincipalDiv);
   
+  if (adjustedRow) {
+    const adjustedDiv = createElement('div');
+    adjustedDiv.textContent = `Payment ${adjustedRow.period}: ${format.currency(adjustedRow.payment)} (adjusted by ${format.currency(adjustedRow.paymentAdjustment)})`;
+    breakdownDiv.appendChild(adjustedDiv);
+  }
+  
+  content.appendChild(breakdownDiv);
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create cost-of-credit box (APR and effective annual rate)
+ * @param {Object} apr - {financeCharges, amountFinanced, apr, effectiveRate, noteEffectiveRate}
+ * @param {number} noteRate - Contract (note) rate in %
+ * @param {Object} format - From createFormat
+ * @returns {Element} Cost box element
+ */
+function createCostBox(apr, noteRate, format) {
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, 
+    'Cost of Credit'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    `APR: ${format.percent(apr.apr, 3)}`
+  );
+  content.appendChild(headerDiv);
+  
+  const summaryDiv = createElement('div');
+  summaryDiv.textContent = `Effective annual rate: ${format.percent(apr.effectiveRate, 3)}`;
+  content.appendChild(summaryDiv);
+  
+  const breakdownDiv = createElement('div', { className: 'analysis-details' });
+  
+  const noteDiv = createElement('div');
+  noteDiv.textContent = `Note rate: ${format.percent(noteRate, 3)} (effective ${format.percent(apr.noteEffectiveRate, 3)})`;
+  breakdownDiv.appendChild(noteDiv);
+  
+  const chargesDiv = createElement('div');
+  chargesDiv.textContent = `Finance charges: ${format.currency(apr.financeCharges)}`;
+  breakdownDiv.appendChild(chargesDiv);
+  
+  const financedDiv = createElement('div');
+  financedDiv.textContent = `Amount financed: ${format.currency(apr.amountFinanced)}`;
+  breakdownDiv.appendChild(financedDiv);
+  
+  content.appendChild(breakdownDiv);
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create prepayment savings box
+ * @param {Object} prepayment - {interestSaved, periodsSaved, payoffPeriod, baselinePayoffPeriod}
+ * @param {number} paymentsPerYear - Payment frequency
+ * @param {Object} format - From createFormat
+ * @returns {Element} Prepayment box element
+ */
+function createPrepaymentBox(prepayment, paymentsPerYear, format) {
+  const frequency = getFrequency(paymentsPerYear);
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, 
+    'Prepayment Savings'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    `Interest saved: ${format.currency(prepayment.interestSaved)}`
+  );
+  content.appendChild(headerDiv);
+  
+  const summaryDiv = createElement('div');
+  summaryDiv.textContent = prepayment.periodsSaved > 0 ?
+    `Paid off ${formatTerm(prepayment.periodsSaved, paymentsPerYear)} early` :
+    'Payoff date unchanged';
+  content.appendChild(summaryDiv);
+  
+  const breakdownDiv = createElement('div', { className: 'analysis-details' });
+  
+  const payoffDiv = createElement('div');
+  payoffDiv.textContent = `New payoff: ${frequency.period} ${prepayment.payoffPeriod} (${formatTerm(prepayment.payoffPeriod, paymentsPerYear)})`;
+  breakdownDiv.appendChild(payoffDiv);
+  
+  const baselineDiv = createElement('div');
+  baselineDiv.textContent = `Without prepayments: ${frequency.period} ${prepayment.baselinePayoffPeriod}`;
+  breakdownDiv.appendChild(baselineDiv);
+  
+  content.appendChild(breakdownDiv);
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create adjustable-rate summary box
+ * @param {Array} schedule - Schedule rows with the rate in effect
+ * @param {number} paymentsPerYear - Payment frequency
+ * @param {Object} format - From createFormat
+ * @returns {Element} ARM box element
+ */
+function createArmBox(schedule, paymentsPerYear, format) {
+  const frequency = getFrequency(paymentsPerYear);
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, 
+    'Rate Adjustments'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const firstReset = schedule.find(row => row.rate !== schedule[0].rate);
+  const peakRate = Math.max(...schedule.map(row => row.rate));
+  // Scheduled payment excludes prepayments and the short final payment
+  const scheduled = schedule.slice(0, -1).map(row => row.payment - row.extraPrincipal);
+  const peakPayment = Math.max(...scheduled, schedule[0].payment - schedule[0].extraPrincipal);
+  
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    firstReset ? `First change: ${frequency.period} ${firstReset.period}` : 'Rate never changes on this index path'
+  );
+  content.appendChild(headerDiv);
+  
+  const breakdownDiv = createElement('div', { className: 'analysis-details' });
+  
+  const rateDiv = createElement('div');
+  rateDiv.textContent = `Rate: ${format.percent(schedule[0].rate)} initial, ${format.percent(peakRate)} highest`;
+  breakdownDiv.appendChild(rateDiv);
+  
+  const paymentDiv = createElement('div');
+  paymentDiv.textContent = `Highest payment: ${format.currency(peakPayment)}`;
+  breakdownDiv.appendChild(paymentDiv);
+  
   content.appendChild(breakdownDiv);
   box.appendChild(content);
   
   return box;
-}
\ No newline at end of file
+}
+
+/**
+ * Create payoff quote box
+ * @param {Object} payoff - computePayoffQuote result
+ * @param {Object} inputs - {paymentsPerYear, quoteBy, quoteDate, marketRate}
+ * @param {Object} format - From createFormat
+ * @returns {Element} Payoff box element
+ */
+function createPayoffBox(payoff, inputs, format) {
+  const frequency = getFrequency(inputs.paymentsPerYear);
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, 
+    'Payoff Quote'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    payoff.remainingPayments > 0 ? `Payoff amount: ${format.currency(payoff.payoffAmount)}` : 'Loan repaid'
+  );
+  content.appendChild(headerDiv);
+  
+  const summaryDiv = createElement('div');
+  const after = `after ${payoff.paymentsMade} payment${payoff.paymentsMade === 1 ? '' : 's'}`;
+  summaryDiv.textContent = inputs.quoteBy === 'date' ?
+    `On ${format.date(inputs.quoteDate)}, ${after}` + (payoff.daysAccrued ? ` and ${payoff.daysAccrued} day${payoff.daysAccrued === 1 ? '' : 's'} of interest` : '') :
+    `At ${frequency.period} ${Number((payoff.paymentsMade + payoff.fraction).toFixed(4))}, ${after}`;
+  content.appendChild(summaryDiv);
+  
+  if (payoff.remainingPayments > 0) {
+    const breakdownDiv = createElement('div', { className: 'analysis-details' });
+    
+    const balanceDiv = createElement('div');
+    balanceDiv.textContent = `Outstanding balance: ${format.currency(payoff.balance)}`;
+    breakdownDiv.appendChild(balanceDiv);
+    
+    const accruedDiv = createElement('div');
+    accruedDiv.textContent = `Accrued interest: ${format.currency(payoff.accruedInterest)}`;
+    breakdownDiv.appendChild(accruedDiv);
+    
+    const pvDiv = createElement('div');
+    pvDiv.textContent = `Value of ${payoff.remainingPayments} remaining payment${payoff.remainingPayments === 1 ? '' : 's'} at ${format.percent(inputs.marketRate)}: ${format.currency(payoff.presentValue)}`;
+    breakdownDiv.appendChild(pvDiv);
+    
+    content.appendChild(breakdownDiv);
+  }
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create refinance comparison box
+ * @param {Object} refinance - computeRefinance result
+ * @param {number} paymentsPerYear - Payment frequency
+ * @param {boolean} hasPrepayments - Whether the existing loan has extra payments or lump sums
+ * @param {Object} format - From createFormat
+ * @returns {Element} Refinance box element
+ */
+function createRefinanceBox(refinance, paymentsPerYear, hasPrepayments, format) {
+  const frequency = getFrequency(paymentsPerYear);
+  const box = createElement('div', { className: 'result-box analysis' });
+  
+  const title = createElement('h5', { className: 'result-title analysis' }, 
+    'Refinance Analysis'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { 
+    className: 'analysis-content',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  
+  const saves = refinance.savingsPerPeriod >= 0;
+  const headerDiv = createElement('div', { className: 'analysis-type' }, 
+    `New payment: ${format.currency(refinance.refinanced.payment)} per ${frequency.period.toLowerCase()}`
+  );
+  content.appendChild(headerDiv);
+  
+  const summaryDiv = createElement('div');
+  summaryDiv.textContent = `${saves ? 'Saves' : 'Costs'} ${format.currency(Math.abs(refinance.savingsPerPeriod))} per ${frequency.period.toLowerCase()}` +
+    (paymentsPerYear > 1 ? ` (${format.currency(Math.abs(refinance.annualSavings))} per year)` : '');
+  content.appendChild(summaryDiv);
+  
+  const breakdownDiv = createElement('div', { className: 'analysis-details' });
+  
+  const breakEvenDiv = createElement('div');
+  breakEvenDiv.textContent = refinance.breakEvenPeriod !== null ?
+    `Break-even: ${frequency.period} ${refinance.breakEvenPeriod} (${formatTerm(refinance.breakEvenPeriod, paymentsPerYear)})` :
+    'Break-even: never recovers the closing costs';
+  breakdownDiv.appendChild(breakEvenDiv);
+  
+  const interestDiv = createElement('div');
+  interestDiv.textContent = `Lifetime interest ${refinance.interestDifference >= 0 ? 'saved' : 'added'}: ${format.currency(Math.abs(refinance.interestDifference))}`;
+  breakdownDiv.appendChild(interestDiv);
+  
+  const balanceDiv = createElement('div');
+  balanceDiv.textContent = `Balance refinanced: ${format.currency(refinance.balance)}`;
+  breakdownDiv.appendChild(balanceDiv);
+  
+  const costsDiv = createElement('div');
+  costsDiv.textContent = `Closing costs: ${format.currency(refinance.closingCosts)}`;
+  breakdownDiv.appendChild(costsDiv);
+  
+  if (hasPrepayments) {
+    breakdownDiv.appendChild(createElement('div', {}, 'Both loans compared without extra payments or lump sums'));
+  }
+  
+  content.appendChild(breakdownDiv);
+  box.appendChild(content);
+  
+  return box;
+}
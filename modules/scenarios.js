@@ -0,0 +1,57 @@
+/**
+ * Saved Scenarios Module – Mortgage Calculator
+ * Named input sets persisted in localStorage. Stored inputs are returned as saved;
+ * the caller validates them before use, since storage can be edited by hand.
+ */
+
+const STORAGE_KEY = 'mortgage-calculator-scenarios';
+
+// Series colors run out after this many scenarios
+export const MAX_COMPARED = 4;
+
+// The given storage, else the page's; reading window.localStorage throws where storage is
+// blocked (sandboxed frames, some privacy modes), so callers do this inside their try
+function getStorage(storage){
+  return storage || window.localStorage;
+}
+
+/**
+ * Read saved scenarios, ignoring anything that is not a { name, inputs } entry
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} [{ name, inputs, savedAt }]
+ */
+export function loadScenarios(storage){
+  try {
+    const saved = JSON.parse(getStorage(storage).getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved)
+      ? saved.filter(sc => sc && typeof sc.name === 'string' && sc.inputs && typeof sc.inputs === 'object')
+      : [];
+  } catch (e) {
+    // Storage disabled or corrupt: behave as if nothing is saved
+    return [];
+  }
+}
+
+function storeScenarios(scenarios, storage){
+  try {
+    getStorage(storage).setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch (e) {
+    console.error('Could not save scenarios', e);
+    return false;
+  }
+}
+
+/**
+ * Save inputs under a name, replacing any scenario with the same name
+ * @returns {boolean} false when storage is unavailable or full
+ */
+export function saveScenario(name, inputs, storage){
+  const scenarios = loadScenarios(storage).filter(sc => sc.name !== name);
+  scenarios.push({ name, inputs, savedAt: new Date().toISOString() });
+  return storeScenarios(scenarios, storage);
+}
+
+export function deleteScenario(name, storage){
+  return storeScenarios(loadScenarios(storage).filter(sc => sc.name !== name), storage);
+}
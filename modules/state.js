@@ -1,29 +1,159 @@
-// Observable state (reusable)
-export const state = {
+// Starting state of every calculator; createStore gives each instance its own copy
+const INITIAL_STATE = {
   loanAmount: 300000,
   annualRate: 6.5, // %
   years: 30,
+  paymentsPerYear: 1, // 1 = annual, 2 = semi-annual, 4 = quarterly, 12 = monthly
+  propertyValue: 0,    // for the loan-to-value checks; 0 = not given
+  loanType: 'general', // loan program setting the term and loan-to-value limits (LOAN_TYPES)
+  extraPayment: 0,     // added to every payment
+  lumpSums: [],        // one-off prepayments [{ period, amount }]
+  interestOnlyYears: 0, // initial interest-only period
+  balloonYears: 0,     // balloon due date; 0 = fully amortizing
+  roundToCents: false, // cent-rounded servicing schedule
+  startDate: '2026-01-01', // loan start (ISO date); period 1 falls due one interval later
+  dayCount: '30/360',  // interest accrual: '30/360', 'ACT/365' or 'ACT/360'
+
+  // Finance charges for the APR
+  discountPoints: 0,   // % of the loan amount
+  originationFee: 0,
+  otherCharges: 0,
+
+  // Refinance analysis (used when compareRefinance is on)
+  compareRefinance: false,
+  refiYearsPaid: 5,    // years already paid on the current loan
+  refiRate: 5.5,       // %
+  refiYears: 25,
+  refiClosingCosts: 4000,
+
+  // Payoff quote at a period or calendar date
+  quoteBy: 'period',   // 'period' or 'date'
+  quotePeriod: 5,      // payments made; a fraction accrues part-way into the next period
+  quoteDate: '2031-07-01',
+  marketRate: 6,       // % used to discount the remaining payments
+
+  // Solve-for mode: 'payment' (normal), or the input backed out of targetPayment
+  solveFor: 'payment',
+  targetPayment: 2000,
+
+  // Adjustable-rate mortgage (used when rateType is 'arm'); rates and caps in %
+  rateType: 'fixed',
+  armFixedYears: 5,    // initial fixed period, e.g. the 5 in a 5/1 ARM
+  armResetYears: 1,    // years between resets, e.g. the 1 in a 5/1 ARM
+  armIndexPath: [4.5], // index rate at each reset; the last value repeats
+  armMargin: 2.75,
+  armInitialCap: 2,
+  armPeriodicCap: 2,
+  armLifetimeCap: 5,
+  armFloor: 2.75,
 
   // UI
   viewMode: 'chart',
+  annualSummary: false, // roll sub-annual rows up into one row per year
+  chartType: 'cashflow', // what the schedule chart plots: 'cashflow', 'cumulative', 'percent' or 'equity'
+  locale: 'en-US',      // number and date formats, shown and typed (BCP 47 tag)
+  currency: 'USD',      // ISO 4217 code amounts are shown in
+  comparison: null,     // [{ name, inputs, result }] while comparing saved scenarios
 
   // Derived
-  schedule: null,       // rows per year
-  payment: null,        // annual
+  schedule: null,       // rows per payment period
+  payment: null,        // per period
   totals: null,         // totals object
+  prepayment: null,     // savings vs. the schedule without prepayments
+  interestOnlyPayment: null,
+  balloon: null,        // amount due at balloonYears
+  apr: null,            // { financeCharges, amountFinanced, apr, effectiveRate, noteEffectiveRate }
+  refinance: null,      // computeRefinance result when compareRefinance is on
+  payoff: null,         // computePayoffQuote result
 
   // Validation
   errors: {},
-
-  listeners: []
+  warnings: {}          // non-blocking advice, shown apart from errors
 };
 
-export function setState(updates){
-  Object.assign(state, updates);
-  state.listeners.forEach(cb => { try{ cb(state); } catch(e){ console.error(e); } });
+// Fields that feed computeMortgage / validation
+export const INPUT_FIELDS = [
+  'loanAmount', 'annualRate', 'years', 'paymentsPerYear', 'propertyValue', 'loanType', 'extraPayment', 'lumpSums',
+  'interestOnlyYears', 'balloonYears', 'roundToCents', 'startDate', 'dayCount', 'solveFor', 'targetPayment',
+  'discountPoints', 'originationFee', 'otherCharges',
+  'compareRefinance', 'refiYearsPaid', 'refiRate', 'refiYears', 'refiClosingCosts',
+  'quoteBy', 'quotePeriod', 'quoteDate', 'marketRate',
+  'rateType', 'armFixedYears', 'armResetYears', 'armIndexPath', 'armMargin',
+  'armInitialCap', 'armPeriodicCap', 'armLifetimeCap', 'armFloor'
+];
+
+/**
+ * Shallow equality: identical values, or objects/arrays whose own entries are identical
+ */
+export function shallowEqual(a, b){
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
 }
-export function subscribe(cb){
-  state.listeners.push(cb);
-  return () => { const i = state.listeners.indexOf(cb); if(i>-1) state.listeners.splice(i,1); };
+
+// Selector for a list of fields: picks them into a fresh object for shallow comparison
+const pickFields = fields => s => fields.reduce((acc, key) => { acc[key] = s[key]; return acc; }, {});
+
+const selectAll = s => s;
+
+/**
+ * Create an observable store
+ * @returns {Object} { state, setState, subscribe, getState } for one calculator
+ */
+export function createStore(){
+  const state = { ...structuredClone(INITIAL_STATE), listeners: [] };
+  let flushQueued = false;
+
+  // Run once per batch of setState calls: each listener whose selection changed gets the latest state
+  function notify(){
+    flushQueued = false;
+    state.listeners.slice().forEach(listener => {
+      const next = listener.select(state);
+      if (listener.select !== selectAll && shallowEqual(listener.last, next)) return;
+      listener.last = next;
+      try{ listener.cb(state); } catch(e){ console.error(e); }
+    });
+  }
+
+  /**
+   * Update the state. The state changes at once; listeners are notified together
+   * once the running code finishes, so several setState calls in a row render once.
+   */
+  function setState(updates){
+    Object.assign(state, updates);
+    if (!flushQueued) {
+      flushQueued = true;
+      queueMicrotask(notify);
+    }
+  }
+
+  /**
+   * Listen for state changes
+   * @param {Function} cb - Called with the state
+   * @param {Array|Function} select - Optional field names, or a function of the state; cb then only
+   *   runs when the selection changes (compared shallowly)
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(cb, select = null){
+    const selector = Array.isArray(select) ? pickFields(select) : select || selectAll;
+    const listener = { cb, select: selector, last: selector(state) };
+    state.listeners.push(listener);
+    return () => { const i = state.listeners.indexOf(listener); if(i>-1) state.listeners.splice(i,1); };
+  }
+
+  function getState(){ return {...state}; }
+
+  return { state, setState, subscribe, getState };
 }
-export function getState(){ return {...state}; }
+
+// The standalone page's store
+export const { state, setState, subscribe, getState } = createStore();
+
+export function getInputs(s = state){
+  return INPUT_FIELDS.reduce((acc, key) => { acc[key] = s[key]; return acc; }, {});
+}
+
+// Starting input values, e.g. to leave defaults out of a shared link
+export const DEFAULT_INPUTS = getInputs(INITIAL_STATE);
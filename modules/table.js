@@ -1,67 +1,84 @@
 /**
  * Reusable semantic table (from CFA toolkit).
- * Pass data + config to render.
+ * Pass data + config to render; the table is looked up in root (the document or a shadow root).
+ * A column's optional flag(row) returns a note for that cell; the cell gets a
+ * visible asterisk and the note as screen-reader text.
+ *
+ * Optional config, each leaving a plain table when omitted:
+ *   sortable: column headers become buttons that sort the rows (state in aria-sort)
+ *   details(row): rows to drill into below a row; the row header becomes a disclosure button
+ *   detailLabel(row): row header text of a detail row (default: the first column's format)
+ *   expanded: detail rows start shown rather than hidden
+ *   filter: { label, value(row), text(row) } with toolsId: a select in that element showing the
+ *     rows with one value only (text labels each value from its first row)
+ * Sort, filter and expanded rows are kept per table across re-renders, until the default expansion changes.
  */
 import { formatCurrency, createElement } from './utils.js';
 
+// View state per table element, so several calculators can share a page
+const tableViews = new WeakMap();
 
-export function renderTable(data, config) {
-  const tableElement = document.getElementById(config.tableId);
+function getView(tableElement) {
+  if (!tableElement) return null;
+  if (!tableViews.has(tableElement)) {
+    // toggled: keys of the rows opened or closed away from config.expanded
+    tableViews.set(tableElement, { sort: null, filter: '', toggled: new Set(), expandedByDefault: false, entries: [], bodies: [] });
+  }
+  return tableViews.get(tableElement);
+}
+
+export function renderTable(data, config, root = document) {
+  const tableElement = root.getElementById(config.tableId);
   if (!tableElement) {
     console.error('Table element not found');
     return;
   }
 
+  const view = getView(tableElement);
+  view.data = data;
+  view.config = config;
+  // A sort or filter the new content can't apply is dropped
+  if (view.sort && !(config.sortable && config.columns.some(col => col.key === view.sort.key))) view.sort = null;
+  if (!config.filter || !data.some(row => String(config.filter.value(row)) === view.filter)) view.filter = '';
+  // Rows opened or closed by hand only count against the default they were toggled from
+  if (Boolean(config.expanded) !== view.expandedByDefault) {
+    view.expandedByDefault = Boolean(config.expanded);
+    view.toggled.clear();
+  }
+
   tableElement.innerHTML = '';
+  view.bodies = [];
 
   // Caption for screen readers
-  const caption = createElement('caption', { className: 'sr-only' }, config.caption);
-  tableElement.appendChild(caption);
+  view.caption = createElement('caption', { className: 'sr-only' }, config.caption);
+  tableElement.appendChild(view.caption);
 
   // Header
   const thead = createElement('thead');
   const headerRow = createElement('tr');
 
-  config.columns.forEach(col => {
+  view.headers = config.columns.map(col => {
     const th = createElement('th', {
       scope: 'col',
       className: col.align === 'right' ? 'text-right' : 'text-left'
-    }, col.header);
+    });
+    if (config.sortable) {
+      const button = createElement('button', { type: 'button', className: 'sort-btn' }, col.header);
+      button.addEventListener('click', () => sortBy(tableElement, col.key));
+      th.appendChild(button);
+      if (view.sort && view.sort.key === col.key) th.setAttribute('aria-sort', view.sort.direction);
+    } else {
+      th.textContent = col.header;
+    }
     headerRow.appendChild(th);
+    return th;
   });
 
   thead.appendChild(headerRow);
   tableElement.appendChild(thead);
 
-  // Body
-  const tbody = createElement('tbody');
-
-  data.forEach(row => {
-    const tr = createElement('tr');
-
-    config.columns.forEach((col, idx) => {
-      const cellElement = idx === 0 ?
-        createElement('th', { scope: 'row', className: 'text-left' }) :
-        createElement('td', { className: col.align === 'right' ? 'text-right' : 'text-left' });
-
-      const value = row[col.key];
-
-      if (value === 0 || value === null || value === undefined) {
-        const span = createElement('span', { 'aria-label': 'No value' }, '—');
-        cellElement.appendChild(span);
-      } else {
-        cellElement.textContent = col.format ? col.format(value) : value;
-      }
-
-      tr.appendChild(cellElement);
-    });
-
-    tbody.appendChild(tr);
-  });
-
-  tableElement.appendChild(tbody);
-
   // Footer totals
+  view.footer = null;
   if (config.totals) {
     const tfoot = createElement('tfoot');
     const footerRow = createElement('tr');
@@ -82,5 +99,191 @@ export function renderTable(data, config) {
 
     tfoot.appendChild(footerRow);
     tableElement.appendChild(tfoot);
+    view.footer = tfoot;
   }
-}
\ No newline at end of file
+
+  // A table without a filter still clears the tools an earlier render filled
+  if (config.toolsId) view.tools = root.getElementById(config.toolsId);
+  renderFilter(view, view.tools);
+  renderBody(tableElement, view);
+}
+
+/* -------------------------------------------------------------
+   Body rows
+------------------------------------------------------------- */
+
+function createCell(row, col, idx) {
+  const cellElement = idx === 0 ?
+    createElement('th', { scope: 'row', className: 'text-left' }) :
+    createElement('td', { className: col.align === 'right' ? 'text-right' : 'text-left' });
+
+  const value = row[col.key];
+
+  if (value === 0 || value === null || value === undefined) {
+    const span = createElement('span', { 'aria-label': 'No value' }, '—');
+    cellElement.appendChild(span);
+  } else {
+    cellElement.textContent = col.format ? col.format(value) : value;
+  }
+
+  const flag = col.flag ? col.flag(row) : null;
+  if (flag) {
+    cellElement.appendChild(createElement('span', { className: 'cell-flag', 'aria-hidden': 'true' }, '*'));
+    cellElement.appendChild(createElement('span', { className: 'sr-only' }, ` (${flag})`));
+  }
+
+  return cellElement;
+}
+
+function createRow(row, columns) {
+  const tr = createElement('tr');
+  columns.forEach((col, idx) => tr.appendChild(createCell(row, col, idx)));
+  return tr;
+}
+
+// Numbers by value, text (dates, labels) alphabetically; blanks count as zero
+function compareValues(a, b) {
+  const x = a ?? 0;
+  const y = b ?? 0;
+  if (typeof x === 'number' && typeof y === 'number') return x - y;
+  return String(x).localeCompare(String(y));
+}
+
+function sortRows(rows, sort) {
+  if (!sort) return rows;
+  const sign = sort.direction === 'descending' ? -1 : 1;
+  return [...rows].sort((a, b) => sign * compareValues(a[sort.key], b[sort.key]));
+}
+
+/**
+ * (Re)build the body in the current sort order: one tbody, or one per row with details
+ * so each expandable row and its detail rows stay together
+ */
+function renderBody(tableElement, view) {
+  const { config } = view;
+  const columns = config.columns;
+  view.bodies.forEach(body => tableElement.removeChild(body));
+  view.bodies = [];
+  view.entries = [];
+
+  const append = body => {
+    if (view.footer) tableElement.insertBefore(body, view.footer);
+    else tableElement.appendChild(body);
+    view.bodies.push(body);
+  };
+
+  let tbody = null;
+  sortRows(view.data, view.sort).forEach(row => {
+    const details = config.details ? config.details(row) || [] : [];
+    const tr = createRow(row, columns);
+    const entry = { row, tr, key: String(row[columns[0].key]), detailRows: [], button: null };
+
+    if (details.length > 0) {
+      const group = createElement('tbody', { className: 'row-group' });
+      const header = tr.children[0];
+      entry.button = createElement('button', { type: 'button', className: 'expand-btn', 'aria-expanded': 'false' });
+      [...header.childNodes].forEach(node => entry.button.appendChild(node));
+      entry.button.appendChild(createElement('span', { className: 'sr-only' }, ` (${details.length} rows)`));
+      entry.button.addEventListener('click', () => toggleRow(view, entry));
+      header.appendChild(entry.button);
+      group.appendChild(tr);
+
+      entry.detailRows = sortRows(details, view.sort).map(detail => {
+        const detailRow = createRow(detail, columns);
+        detailRow.className = 'detail-row';
+        if (config.detailLabel) detailRow.children[0].textContent = config.detailLabel(detail);
+        group.appendChild(detailRow);
+        return detailRow;
+      });
+      append(group);
+      tbody = null;
+    } else {
+      if (!tbody) {
+        tbody = createElement('tbody');
+        append(tbody);
+      }
+      tbody.appendChild(tr);
+    }
+    view.entries.push(entry);
+  });
+  if (view.bodies.length === 0) append(createElement('tbody'));
+
+  updateRows(view);
+}
+
+/**
+ * Show the rows passing the filter, and the detail rows of expanded rows
+ */
+function updateRows(view) {
+  const { filter } = view.config;
+  view.entries.forEach(entry => {
+    const shown = !view.filter || String(filter.value(entry.row)) === view.filter;
+    const expanded = isExpanded(view, entry);
+    entry.tr.hidden = !shown;
+    entry.detailRows.forEach(tr => { tr.hidden = !shown || !expanded; });
+    if (entry.button) entry.button.setAttribute('aria-expanded', String(expanded));
+  });
+
+  const chosen = view.filter && view.entries.find(entry => !entry.tr.hidden);
+  view.caption.textContent = chosen
+    ? `${view.config.caption} Showing ${filter.text(chosen.row)} only.`
+    : view.config.caption;
+}
+
+const isExpanded = (view, entry) => view.toggled.has(entry.key) !== view.expandedByDefault;
+
+function toggleRow(view, entry) {
+  if (view.toggled.has(entry.key)) view.toggled.delete(entry.key);
+  else view.toggled.add(entry.key);
+  updateRows(view);
+}
+
+/* -------------------------------------------------------------
+   Sorting and filtering
+------------------------------------------------------------- */
+
+/**
+ * Sort by a column: ascending first, then toggling direction
+ */
+function sortBy(tableElement, key) {
+  const view = getView(tableElement);
+  const direction = view.sort && view.sort.key === key && view.sort.direction === 'ascending' ? 'descending' : 'ascending';
+  view.sort = { key, direction };
+  view.config.columns.forEach((col, idx) => {
+    if (col.key === key) view.headers[idx].setAttribute('aria-sort', direction);
+    else view.headers[idx].removeAttribute('aria-sort');
+  });
+  renderBody(tableElement, view);
+}
+
+/**
+ * The filter select, in the tools element (emptied when the table has no filter)
+ */
+function renderFilter(view, tools) {
+  if (!tools) return;
+  tools.innerHTML = '';
+  const { filter, tableId } = view.config;
+  if (!filter) return;
+
+  const firstRows = new Map();
+  view.data.forEach(row => {
+    const value = String(filter.value(row));
+    if (!firstRows.has(value)) firstRows.set(value, row);
+  });
+
+  const id = `${tableId}-filter`;
+  const select = createElement('select', { id, className: 'input-field-inline input-select-inline' },
+    createElement('option', { value: '' }, 'All'),
+    ...[...firstRows].map(([value, row]) => createElement('option', { value }, filter.text(row)))
+  );
+  select.value = view.filter;
+  select.addEventListener('change', () => {
+    view.filter = select.value;
+    // Jumping to a row shows its details too
+    const entry = view.entries.find(item => String(filter.value(item.row)) === view.filter);
+    if (entry && entry.button && !isExpanded(view, entry)) toggleRow(view, entry);
+    else updateRows(view);
+  });
+  tools.appendChild(createElement('label', { htmlFor: id, className: 'input-label-inline' }, filter.label));
+  tools.appendChild(select);
+}
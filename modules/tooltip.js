@@ -1,11 +1,13 @@
 /**
  * Accessible Tooltip Module (auto-placement)
  * Keyboard + mouse; SR-friendly with aria-describedby & role="tooltip"
+ * root is the document, or a shadow root: tooltips live beside their triggers
+ * so aria-describedby can reach them.
  */
 import { createElement, listen } from './utils.js';
 
-export function initTooltips() {
-  const triggers = document.querySelectorAll('[data-tooltip-id]');
+export function initTooltips(root = document) {
+  const triggers = root.querySelectorAll('[data-tooltip-id]');
   
   triggers.forEach(trigger => {
     const id = trigger.getAttribute('data-tooltip-id');
@@ -13,7 +15,7 @@ export function initTooltips() {
     if (!id || !text) return;
 
     // Create tooltip if not present
-    let tooltip = document.getElementById(id);
+    let tooltip = root.getElementById(id);
     if (!tooltip) {
       // Your createElement signature: (tag, attrs, ...children)
       tooltip = createElement('div', { 
@@ -21,7 +23,7 @@ export function initTooltips() {
         role: 'tooltip', 
         className: 'tooltip hidden' 
       }, text);
-      document.body.appendChild(tooltip);
+      (root.body || root).appendChild(tooltip);
     }
 
     trigger.setAttribute('aria-describedby', id);
@@ -58,6 +60,14 @@ function positionAndShow(trigger, tooltip) {
   let left = rect.left + scrollX + rect.width/2 - ttRect.width/2;
   left = Math.max(8, Math.min(left, window.innerWidth - ttRect.width - 8));
 
+  // Inside a positioned container (e.g. an embedding page's layout), place relative to it
+  const parent = tooltip.offsetParent;
+  if (parent && parent !== document.body && parent !== document.documentElement) {
+    const parentRect = parent.getBoundingClientRect();
+    top -= parentRect.top + scrollY;
+    left -= parentRect.left + scrollX;
+  }
+
   tooltip.style.top = `${top}px`;
   tooltip.style.left = `${left}px`;
   tooltip.dataset.placement = placement;
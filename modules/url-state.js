@@ -0,0 +1,105 @@
+/**
+ * URL State Module – Mortgage Calculator
+ * Mirrors the calculator inputs and view settings in the page URL so a scenario
+ * can be shared as a link. Only values that differ from the defaults are written.
+ * Values read back are returned as-is for validation.js to check.
+ */
+
+import { INPUT_FIELDS, DEFAULT_INPUTS } from './state.js';
+import { parseLumpSums, parseRateList, DEFAULT_LOCALE, DEFAULT_CURRENCY } from './utils.js';
+
+// View settings carried in the link alongside the inputs
+export const VIEW_FIELDS = ['viewMode', 'annualSummary', 'chartType', 'locale', 'currency'];
+const VIEW_DEFAULTS = { viewMode: 'chart', annualSummary: false, chartType: 'cashflow', locale: DEFAULT_LOCALE, currency: DEFAULT_CURRENCY };
+
+// List inputs: written as comma-separated text and parsed back like the input fields
+const LIST_FORMATS = {
+  lumpSums: { write: list => list.map(l => `${l.period}:${l.amount}`).join(','), read: parseLumpSums },
+  armIndexPath: { write: list => list.join(','), read: parseRateList }
+};
+
+const FLAG_VALUES = { true: true, '1': true, false: false, '0': false };
+
+function writeValue(field, value) {
+  if (LIST_FORMATS[field]) return Array.isArray(value) ? LIST_FORMATS[field].write(value) : '';
+  return String(value);
+}
+
+/**
+ * Parse one input's text (from a link or the command line) into the type of the
+ * field's default. Anything that does not parse is passed through so validation reports it.
+ */
+export function parseFieldValue(field, text, defaultValue = DEFAULT_INPUTS[field]) {
+  if (LIST_FORMATS[field]) return LIST_FORMATS[field].read(text);
+  if (typeof defaultValue === 'boolean') return text in FLAG_VALUES ? FLAG_VALUES[text] : text;
+  if (typeof defaultValue === 'number') return text.trim() === '' ? NaN : Number(text);
+  return text;
+}
+
+/**
+ * Read inputs and view settings from the query string and hash
+ * (hash parameters win, so "#years=15" can be appended to any link)
+ * @param {Location} location - Defaults to window.location
+ * @returns {Object} { inputs, view, raw } holding only the fields present in the URL;
+ *   raw keeps each input's text as it appeared, for refilling the form
+ */
+export function readUrlState(location = window.location) {
+  const params = new URLSearchParams(location.search);
+  new URLSearchParams(location.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+  return readSettings(params);
+}
+
+/**
+ * Read inputs and view settings from named text values (link parameters, element attributes)
+ * @param {URLSearchParams|Map} params - Field name -> text
+ * @returns {Object} { inputs, view, raw } holding only the fields present
+ */
+export function readSettings(params) {
+  const inputs = {};
+  const raw = {};
+  INPUT_FIELDS.forEach(field => {
+    if (!params.has(field)) return;
+    raw[field] = params.get(field);
+    inputs[field] = parseFieldValue(field, raw[field], DEFAULT_INPUTS[field]);
+  });
+  const view = {};
+  VIEW_FIELDS.forEach(field => {
+    if (params.has(field)) view[field] = parseFieldValue(field, params.get(field), VIEW_DEFAULTS[field]);
+  });
+  return { inputs, view, raw };
+}
+
+/**
+ * Query string for a state: every input and view setting that differs from its default
+ * @param {Object} s - Calculator state
+ * @returns {string} e.g. "?loanAmount=250000&years=15" ('' when all defaults)
+ */
+export function buildQuery(s) {
+  const params = new URLSearchParams();
+  INPUT_FIELDS.forEach(field => {
+    const value = writeValue(field, s[field]);
+    if (value !== writeValue(field, DEFAULT_INPUTS[field])) params.set(field, value);
+  });
+  VIEW_FIELDS.forEach(field => {
+    if (s[field] !== VIEW_DEFAULTS[field]) params.set(field, String(s[field]));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Replace the current URL with one for this state (no new history entry)
+ * @param {Object} s - Calculator state
+ */
+export function writeUrlState(s) {
+  const query = buildQuery(s);
+  if (query === window.location.search && !window.location.hash) return;
+  window.history.replaceState(null, '', `${window.location.pathname}${query}`);
+}
+
+/**
+ * Format an input value for its form field (list inputs become their typed text)
+ */
+export function formatInputValue(field, value) {
+  return writeValue(field, value);
+}
@@ -1,18 +1,203 @@
-export function $(sel){ return document.querySelector(sel); }
-export function $$(sel){ return Array.from(document.querySelectorAll(sel)); }
+import { formatDisplayDate, formatMonthYear } from './dates.js';
+
+// Queries run in the page, or in one calculator's shadow root
+export function $(sel, root=document){ return root.querySelector(sel); }
+export function $$(sel, root=document){ return Array.from(root.querySelectorAll(sel)); }
 
 export function listen(el, ev, fn){ if(!el) return ()=>{}; el.addEventListener(ev, fn); return ()=>el.removeEventListener(ev, fn); }
 
 export function debounce(fn, wait=300){
-  let t; return (...args)=>{ clearTimeout(t); t=setTimeout(()=>fn(...args), wait); };
+  let t;
+  const debounced = (...args)=>{ clearTimeout(t); t=setTimeout(()=>fn(...args), wait); };
+  // Drop a call that is still waiting to run
+  debounced.cancel = ()=> clearTimeout(t);
+  return debounced;
+}
+
+// Display settings where none are chosen (the command-line tool, validation messages)
+export const DEFAULT_LOCALE = 'en-US';
+export const DEFAULT_CURRENCY = 'USD';
+
+const formats = new Map();
+
+/**
+ * Number, currency and date formatting for one locale and currency, plus parsing of
+ * numbers typed in that locale. Formats are cached, so this is cheap to call per render.
+ * @param {Object} settings - { locale, currency }: a BCP 47 locale tag and an ISO 4217 currency code
+ * @returns {Object} { locale, currencyCode, symbol, symbolFirst, currencyDigits, currency(n, parens), wholeCurrency(n),
+ *   percent(n, digits), number(n, digits), date(iso), monthYear(iso), inputValue(n), parseNumber(text) }
+ */
+export function createFormat({ locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY } = {}){
+  const key = `${locale}|${currency}`;
+  if (!formats.has(key)) formats.set(key, buildFormat(locale, currency));
+  return formats.get(key);
+}
+
+function buildFormat(locale, currencyCode){
+  // Fraction digits follow the currency (2 for dollars, 0 for yen)
+  const money = new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode });
+  // Round amounts such as limits: "$1,000" rather than "$1,000.00"
+  const wholeMoney = new Intl.NumberFormat(locale, { style: 'currency', currency: currencyCode, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  const decimals = new Map();
+  const decimal = digits => {
+    if (!decimals.has(digits)) {
+      decimals.set(digits, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return decimals.get(digits);
+  };
+  // Where the number sits in a percentage, e.g. "1%" or "1 %"; filled with the number itself to avoid dividing by 100
+  const percentParts = new Intl.NumberFormat(locale, { style: 'percent' }).formatToParts(0.01);
+  // Plain digits for form fields: no grouping, Latin digits so they parse back
+  const input = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 10, numberingSystem: 'latn' });
+  const point = new Intl.NumberFormat(locale).formatToParts(1.5).find(part => part.type === 'decimal').value;
+
+  const currency = (n, parens = false) => {
+    const s = money.format(isNaN(n) ? 0 : Math.abs(n));
+    if (n < 0) return parens ? `(${s})` : `-${s}`;
+    return s;
+  };
+  const percent = (n, digits = 2) => {
+    const number = isNaN(n) ? decimal(0).format(0) : decimal(digits).format(n);
+    return percentParts.map(part => (part.type === 'integer' ? number : part.value)).join('');
+  };
+
+  const moneyParts = money.formatToParts(0);
+  const currencies = currencyMarks(locale, currencyCode);
+
+  return {
+    locale,
+    currencyCode,
+    symbol: moneyParts.find(part => part.type === 'currency').value,
+    symbolFirst: moneyParts.findIndex(part => part.type === 'currency') < moneyParts.findIndex(part => part.type === 'integer'),
+    currencyDigits: money.resolvedOptions().maximumFractionDigits,
+    currency,
+    wholeCurrency: n => wholeMoney.format(n),
+    percent,
+    number: (n, digits = 0) => decimal(digits).format(n),
+    date: iso => formatDisplayDate(iso, locale),
+    monthYear: iso => formatMonthYear(iso, locale),
+    inputValue: n => input.format(n),
+    parseNumber: text => parseNumber(text, point, currencies)
+  };
 }
 
 export function formatCurrency(n, parens=false){
-  if (isNaN(n)) return '$0.00';
-  const f = new Intl.NumberFormat('en-US',{style:'currency',currency:'USD',minimumFractionDigits:2,maximumFractionDigits:2});
-  const s = f.format(Math.abs(n));
-  if (n < 0) return parens ? `(${s})` : `-${s}`;
-  return s;
+  return createFormat().currency(n, parens);
+}
+
+export function formatPercent(n, digits=2){
+  return createFormat().percent(n, digits);
+}
+
+// Optional sign, leading mark, digits with separators, k/m shorthand, and a trailing mark or %;
+// a mark is any run of non-digit text, checked against the currency's own marks
+const NUMBER_TEXT = /^\(?\s*([-−+])?\s*([^\d\s()+\-−.,%]+)?\s*([-−])?\s*(\d[\d.,'’\s]*?)\s*([kKmM])?\s*([^\d\s()+\-−.,%]+|%)?\s*\)?$/u;
+const SHORTHAND = { k: 1e3, m: 1e6 };
+
+/**
+ * How a currency may be written beside a typed amount: its code and its symbols in the
+ * locale and in the default locale (e.g. "CAD", "CA$" and "$"; "￥" and "¥"), upper-cased for comparison
+ * @returns {Set<string>}
+ */
+function currencyMarks(locale, currencyCode){
+  const symbol = (tag, currencyDisplay) => new Intl.NumberFormat(tag, { style: 'currency', currency: currencyCode, currencyDisplay })
+    .formatToParts(0).find(part => part.type === 'currency').value;
+  const symbols = [locale, DEFAULT_LOCALE].flatMap(tag => [symbol(tag, 'symbol'), symbol(tag, 'narrowSymbol')]);
+  return new Set([currencyCode, ...symbols].map(mark => mark.toUpperCase()));
+}
+
+/**
+ * Parse a typed number the way people write them: "300,000.50", "300.000,50",
+ * "300 000,50", "$250k", "1.2m", "6,5 %". Blank or unreadable text gives NaN,
+ * as does a currency mark other than the currency's own ("£12" when amounts are in dollars).
+ * @param {string} text - As typed
+ * @param {string} point - The locale's decimal separator, which settles "1.500" and "1,500"
+ * @param {Set<string>} currencies - Accepted currency marks, upper-cased (default: those of US dollars)
+ * @returns {number}
+ */
+export function parseNumber(text, point = '.', currencies = currencyMarks(DEFAULT_LOCALE, DEFAULT_CURRENCY)){
+  const trimmed = String(text ?? '').trim();
+  const match = trimmed.match(NUMBER_TEXT);
+  if (!match) return NaN;
+  const [, sign, prefix, innerSign, digits, suffix, mark] = match;
+  const marks = [prefix, mark].filter(m => m && m !== '%');
+  if (marks.length > 1 || marks.some(m => !currencies.has(m.toUpperCase()))) return NaN;
+  const negative = /[-−]/.test(sign || innerSign || '') || (trimmed.startsWith('(') && trimmed.endsWith(')'));
+  const value = Number(normalizeSeparators(digits.replace(/[\s'’]/g, ''), point));
+  return (negative ? -value : value) * (suffix ? SHORTHAND[suffix.toLowerCase()] : 1);
+}
+
+// Reduce grouping and decimal separators to plain "1234.5"
+function normalizeSeparators(digits, point){
+  const dot = digits.lastIndexOf('.');
+  const comma = digits.lastIndexOf(',');
+  if (dot >= 0 && comma >= 0) {
+    // Both used: whichever comes last is the decimal point
+    const [group, decimal] = dot > comma ? [',', '.'] : ['.', ','];
+    return digits.split(group).join('').replace(decimal, '.');
+  }
+  const separator = dot >= 0 ? '.' : comma >= 0 ? ',' : null;
+  if (!separator) return digits;
+  const parts = digits.split(separator);
+  // Repeated, or three digits after a separator that isn't this locale's decimal point: grouping
+  if (parts.length > 2 || (separator !== point && parts[1].length === 3)) return parts.join('');
+  return parts.join('.');
+}
+
+// Payment frequencies offered in the calculator, keyed by payments per year
+export const FREQUENCIES = {
+  1:  { label: 'Annual',      period: 'Year' },
+  2:  { label: 'Semi-annual', period: 'Half-year' },
+  4:  { label: 'Quarterly',   period: 'Quarter' },
+  12: { label: 'Monthly',     period: 'Month' }
+};
+
+export function getFrequency(paymentsPerYear){
+  return FREQUENCIES[paymentsPerYear] || FREQUENCIES[1];
+}
+
+/**
+ * Describe a number of payment periods in years and remaining periods,
+ * e.g. 295 monthly periods -> "24 years 7 months"
+ */
+export function formatTerm(periods, paymentsPerYear = 1){
+  const years = Math.floor(periods / paymentsPerYear);
+  const rest = periods % paymentsPerYear;
+  const unit = getFrequency(paymentsPerYear).period.toLowerCase();
+  const parts = [];
+  if (years > 0) parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  if (rest > 0) parts.push(`${rest} ${unit}${rest === 1 ? '' : 's'}`);
+  return parts.join(' ') || '0 years';
+}
+
+/**
+ * Parse lump-sum prepayments typed as "period:amount" pairs, e.g. "12:10000, 60:5000".
+ * A comma only separates pairs when the next period follows it, so amounts may be
+ * grouped: "12:10,000, 60:5,000".
+ * Returns [] for blank input and null when any entry is malformed.
+ * @param {string} text - As typed
+ * @param {Function} parseAmount - Reads an amount (default: parseNumber, US style)
+ */
+export function parseLumpSums(text, parseAmount = parseNumber){
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return [];
+  const entries = trimmed.split(/[;\n]+|,(?=\s*\d+\s*:)/).map(e => e.trim()).filter(Boolean);
+  const parsed = entries.map(entry => {
+    const match = entry.match(/^(\d+)\s*:\s*(.+)$/);
+    const amount = match ? parseAmount(match[2]) : NaN;
+    return Number.isFinite(amount) ? { period: Number(match[1]), amount } : null;
+  });
+  return parsed.includes(null) ? null : parsed;
+}
+
+/**
+ * Parse a comma-separated list of rates, e.g. "4.5, 5, 5.25".
+ * Returns null when any entry is not a number.
+ */
+export function parseRateList(text){
+  const entries = String(text ?? '').split(/[,;\s]+/).filter(Boolean);
+  const rates = entries.map(Number);
+  return rates.some(isNaN) ? null : rates;
 }
 
 export function createElement(tag, attrs = {}, ...children) {
@@ -0,0 +1,552 @@
+/**
+ * Validation Rules – CFA Standard Pattern
+ * Field and cross-field rules with no DOM access, shared by the page
+ * (through validation.js) and the command-line tool.
+ */
+
+import { createFormat } from './utils.js';
+import { solveUnknown, resolveInputs, computeMortgage } from './calculations.js';
+import { parseDate, DAY_COUNTS } from './dates.js';
+
+/* -------------------------------------------------------------
+   Loan Types
+   Term and loan-to-value limits of each loan program (typical program
+   limits for illustration). General applies only the field ranges.
+------------------------------------------------------------- */
+export const LOAN_TYPES = {
+  general: { label: 'General', minYears: 1, maxYears: 40, maxLtv: 100 },
+  conventional: { label: 'Conventional', minYears: 10, maxYears: 30, maxLtv: 97 },
+  fha: { label: 'FHA', minYears: 10, maxYears: 30, maxLtv: 96.5 },
+  va: { label: 'VA', minYears: 10, maxYears: 30, maxLtv: 100 },
+  jumbo: { label: 'Jumbo', minYears: 10, maxYears: 30, maxLtv: 90 }
+};
+
+/* -------------------------------------------------------------
+   Validation Rules (customize these per calculator)
+   Messages that quote amounts or rates are functions of the calculator's
+   format (see createFormat), so limits read in the chosen locale and currency.
+------------------------------------------------------------- */
+// Round limits in the format's notation, e.g. "$1,000", "25%", "96.5%"
+const money = (format, n) => format.wholeCurrency(n);
+const percent = (format, n) => format.percent(n, Number.isInteger(n) ? 0 : 1);
+
+const validationRules = {
+  loanAmount: {
+    min: 1000,
+    max: 10000000,
+    label: 'Loan Amount',
+    errorMessage: f => `Loan amount must be between ${money(f, 1000)} and ${money(f, 10000000)}`
+  },
+  propertyValue: {
+    min: 0,
+    max: 100000000,
+    label: 'Property Value',
+    errorMessage: f => `Property value must be between ${money(f, 0)} (none) and ${money(f, 100000000)}`
+  },
+  annualRate: {
+    min: 0,
+    max: 25,
+    label: 'Annual Interest Rate (%)',
+    errorMessage: f => `Rate must be between ${percent(f, 0)} and ${percent(f, 25)}`
+  },
+  years: {
+    min: 1,
+    max: 40,
+    label: 'Loan Term (Years)',
+    errorMessage: 'Term must be between 1 and 40 years'
+  },
+  loanType: {
+    oneOf: Object.keys(LOAN_TYPES),
+    label: 'Loan Type',
+    errorMessage: 'Loan type must be general, conventional, FHA, VA or jumbo'
+  },
+  paymentsPerYear: {
+    oneOf: [1, 2, 4, 12],
+    label: 'Payment Frequency',
+    errorMessage: 'Payment frequency must be annual, semi-annual, quarterly or monthly'
+  },
+  extraPayment: {
+    min: 0,
+    max: 1000000,
+    label: 'Extra Payment',
+    errorMessage: f => `Extra payment must be between ${money(f, 0)} and ${money(f, 1000000)}`
+  },
+  lumpSums: {
+    label: 'Lump Sums',
+    errorMessage: 'Lump sums must be entered as period:amount pairs, e.g. 12:10000, 60:5000',
+    validate: (value, inputs, format) => {
+      if (!Array.isArray(value)) return validationRules.lumpSums.errorMessage;
+      const bad = value.find(l => l.period < 1 || l.amount <= 0);
+      if (bad) return `Each lump sum needs a period of 1 or more and an amount above ${money(format, 0)}`;
+      // Payments end at the balloon, if any; a solved term is checked once it is known
+      if (inputs.solveFor === 'years') return null;
+      const lastPeriod = Math.round((inputs.balloonYears > 0 ? inputs.balloonYears : inputs.years) * (inputs.paymentsPerYear || 1));
+      const late = value.find(l => l.period > lastPeriod);
+      return late ? `Lump sum at period ${late.period} falls after the last payment (period ${lastPeriod})` : null;
+    }
+  },
+  interestOnlyYears: {
+    min: 0,
+    max: 10,
+    label: 'Interest-Only Period',
+    errorMessage: 'Interest-only period must be between 0 and 10 years',
+    validate: (value, inputs) => {
+      if (value > 0 && value >= inputs.years) return 'Interest-only period must be shorter than the loan term';
+      if (value > 0 && inputs.balloonYears > 0 && value >= inputs.balloonYears) {
+        return 'Interest-only period must end before the balloon is due';
+      }
+      return null;
+    }
+  },
+  balloonYears: {
+    min: 0,
+    max: 40,
+    label: 'Balloon Due',
+    errorMessage: 'Balloon due date must be between 0 (none) and 40 years',
+    validate: (value, inputs) => value > 0 && value >= inputs.years
+      ? 'Balloon must fall due before the end of the amortization term' : null
+  },
+  roundToCents: {
+    oneOf: [true, false],
+    label: 'Round to Cents',
+    errorMessage: 'Round to cents must be on or off'
+  },
+  discountPoints: {
+    min: 0,
+    max: 10,
+    label: 'Discount Points',
+    errorMessage: f => `Discount points must be between ${percent(f, 0)} and ${percent(f, 10)} of the loan`
+  },
+  originationFee: {
+    min: 0,
+    max: 1000000,
+    label: 'Origination Fee',
+    errorMessage: f => `Origination fee must be between ${money(f, 0)} and ${money(f, 1000000)}`
+  },
+  otherCharges: {
+    min: 0,
+    max: 1000000,
+    label: 'Other Finance Charges',
+    errorMessage: f => `Other finance charges must be between ${money(f, 0)} and ${money(f, 1000000)}`,
+    // checked here once for all three fee inputs
+    validate: (value, inputs, format) => {
+      const charges = inputs.loanAmount * (inputs.discountPoints || 0) / 100 + (inputs.originationFee || 0) + value;
+      return charges >= inputs.loanAmount
+        ? `Points and fees (${format.currency(charges)}) cannot exceed the loan amount` : null;
+    }
+  },
+  compareRefinance: {
+    oneOf: [true, false],
+    label: 'Compare Refinance',
+    errorMessage: 'Refinance comparison must be on or off'
+  },
+
+  // Refinance fields are only checked when compareRefinance is on
+  refiYearsPaid: {
+    when: isRefinancing,
+    min: 0,
+    max: 39,
+    label: 'Years Already Paid',
+    errorMessage: 'Years already paid must be between 0 and 39'
+  },
+  refiRate: {
+    when: isRefinancing,
+    min: 0,
+    max: 25,
+    label: 'New Rate',
+    errorMessage: f => `New rate must be between ${percent(f, 0)} and ${percent(f, 25)}`
+  },
+  refiYears: {
+    when: isRefinancing,
+    min: 1,
+    max: 40,
+    label: 'New Term',
+    errorMessage: 'New term must be between 1 and 40 years'
+  },
+  refiClosingCosts: {
+    when: isRefinancing,
+    min: 0,
+    max: 1000000,
+    label: 'Closing Costs',
+    errorMessage: f => `Closing costs must be between ${money(f, 0)} and ${money(f, 1000000)}`
+  },
+  startDate: {
+    label: 'Loan Start Date',
+    errorMessage: 'Loan start date must be a valid date',
+    validate: value => (parseDate(value) ? null : validationRules.startDate.errorMessage)
+  },
+  dayCount: {
+    oneOf: Object.keys(DAY_COUNTS),
+    label: 'Day Count',
+    errorMessage: 'Day count must be 30/360, Actual/365 or Actual/360'
+  },
+  quoteBy: {
+    oneOf: ['period', 'date'],
+    label: 'Quote At',
+    errorMessage: 'Payoff quote must be at a period or a date'
+  },
+  quotePeriod: {
+    when: inputs => inputs.quoteBy !== 'date',
+    min: 0,
+    max: 480,
+    label: 'Quote Period',
+    errorMessage: 'Quote period must be between 0 and 480 payments'
+  },
+  quoteDate: {
+    when: inputs => inputs.quoteBy === 'date',
+    label: 'Quote Date',
+    errorMessage: 'Quote date must be a valid date',
+    validate: (value, inputs) => {
+      const date = parseDate(value);
+      if (!date) return validationRules.quoteDate.errorMessage;
+      const start = parseDate(inputs.startDate);
+      return start && date < start ? 'Quote date cannot be before the loan start date' : null;
+    }
+  },
+  marketRate: {
+    min: 0,
+    max: 25,
+    label: 'Market Rate',
+    errorMessage: f => `Market rate must be between ${percent(f, 0)} and ${percent(f, 25)}`
+  },
+  solveFor: {
+    oneOf: ['payment', 'loanAmount', 'annualRate', 'years'],
+    label: 'Solve For',
+    errorMessage: 'Choose payment, loan amount, rate or term to solve for'
+  },
+  targetPayment: {
+    when: isSolving,
+    min: 1,
+    max: 1000000,
+    label: 'Target Payment',
+    errorMessage: f => `Target payment must be between ${money(f, 1)} and ${money(f, 1000000)}`
+  },
+  rateType: {
+    oneOf: ['fixed', 'arm'],
+    label: 'Rate Type',
+    errorMessage: 'Rate type must be fixed or adjustable'
+  },
+
+  // ARM fields are only checked when rateType is 'arm'
+  armFixedYears: {
+    when: isArm,
+    min: 1,
+    max: 10,
+    label: 'Initial Fixed Period',
+    errorMessage: 'Initial fixed period must be between 1 and 10 years',
+    validate: (value, inputs) => value >= inputs.years ? 'Initial fixed period must be shorter than the loan term' : null
+  },
+  armResetYears: {
+    when: isArm,
+    min: 1,
+    max: 5,
+    label: 'Reset Interval',
+    errorMessage: 'Reset interval must be between 1 and 5 years'
+  },
+  armIndexPath: {
+    when: isArm,
+    label: 'Index Path',
+    errorMessage: f => `Index path must be a list of rates between ${percent(f, 0)} and ${percent(f, 25)}, e.g. 4.5, 5, 5.25`,
+    validate: (value, inputs, format) => (Array.isArray(value) && value.length > 0 && value.every(v => v >= 0 && v <= 25))
+      ? null : validationRules.armIndexPath.errorMessage(format)
+  },
+  armMargin: {
+    when: isArm,
+    min: 0,
+    max: 10,
+    label: 'Margin',
+    errorMessage: f => `Margin must be between ${percent(f, 0)} and ${percent(f, 10)}`
+  },
+  armInitialCap: {
+    when: isArm,
+    min: 0,
+    max: 10,
+    label: 'Initial Cap',
+    errorMessage: f => `Initial adjustment cap must be between ${percent(f, 0)} and ${percent(f, 10)}`
+  },
+  armPeriodicCap: {
+    when: isArm,
+    min: 0,
+    max: 10,
+    label: 'Periodic Cap',
+    errorMessage: f => `Periodic adjustment cap must be between ${percent(f, 0)} and ${percent(f, 10)}`
+  },
+  armLifetimeCap: {
+    when: isArm,
+    min: 0,
+    max: 15,
+    label: 'Lifetime Cap',
+    errorMessage: f => `Lifetime cap must be between ${percent(f, 0)} and ${percent(f, 15)}`
+  },
+  armFloor: {
+    when: isArm,
+    min: 0,
+    max: 25,
+    label: 'Rate Floor',
+    errorMessage: f => `Rate floor must be between ${percent(f, 0)} and ${percent(f, 25)}`,
+    validate: (value, inputs) => value > inputs.annualRate + inputs.armLifetimeCap
+      ? 'Rate floor cannot exceed the lifetime rate ceiling' : null
+  }
+};
+
+function isArm(inputs) {
+  return inputs.rateType === 'arm';
+}
+
+function isRefinancing(inputs) {
+  return inputs.compareRefinance === true;
+}
+
+function isSolving(inputs) {
+  return Boolean(inputs.solveFor) && inputs.solveFor !== 'payment';
+}
+
+// Why a target payment has no solution (reasons from solveUnknown)
+const noSolutionMessages = {
+  'rate-below-zero': (_, format) => `Payment is too low to repay the loan even at a ${percent(format, 0)} rate`,
+  'rate-above-max': (_, format) => `Payment is too high: it implies a rate above ${percent(format, 25)}`,
+  'interest-not-covered': (interest, format) => `Payment does not cover the first period's interest of ${format.currency(interest)}`,
+  'term-too-long': () => 'Payment is too low to repay the loan within 40 years'
+};
+
+const messageOf = (rules, format) => (typeof rules.errorMessage === 'function' ? rules.errorMessage(format) : rules.errorMessage);
+
+/* -------------------------------------------------------------
+   Field-level Validation
+   format (from createFormat) sets how amounts and rates read in the messages
+------------------------------------------------------------- */
+export function validateField(field, value, inputs = {}, format = createFormat()) {
+  const rules = validationRules[field];
+  if (!rules) return null;
+
+  if (rules.when && !rules.when(inputs)) return null;
+
+  if (rules.oneOf) {
+    return rules.oneOf.includes(value) ? null : messageOf(rules, format);
+  }
+
+  // Non-numeric fields (lists) are checked entirely by their own validator
+  if (rules.validate && rules.min === undefined) return rules.validate(value, inputs, format);
+
+  if (isNaN(value) || value === '') {
+    return `${rules.label} is required`;
+  }
+
+  if (value < rules.min || value > rules.max) {
+    return messageOf(rules, format);
+  }
+
+  return rules.validate ? rules.validate(value, inputs, format) : null;
+}
+
+/* -------------------------------------------------------------
+   Full-form Validation
+   Field rules first; cross-field rules only once every field is valid.
+   The first cross-field error stops the rest, as later rules may build
+   on earlier ones (the refinance check needs a solvable loan).
+------------------------------------------------------------- */
+export function validateAllInputs(inputs, rules = DEFAULT_RULES, format = createFormat()) {
+  const errors = {};
+  Object.keys(validationRules).forEach(field => {
+    // The unknown in solve mode is an output, not an input
+    if (isSolving(inputs) && field === inputs.solveFor) return;
+    const error = validateField(field, inputs[field], inputs, format);
+    if (error) errors[field] = error;
+  });
+
+  for (const rule of rules.filter(rule => !isWarning(rule))) {
+    if (hasErrors(errors)) break;
+    const error = applyRule(rule, inputs, rules, format);
+    if (error) errors[rule.field] = error;
+  }
+  return errors;
+}
+
+/* -------------------------------------------------------------
+   Warnings
+   Non-blocking advice about valid inputs: one message per field,
+   from the first warning rule that applies.
+------------------------------------------------------------- */
+export function findWarnings(inputs, rules = DEFAULT_RULES, format = createFormat()) {
+  const warnings = {};
+  rules.filter(isWarning).forEach(rule => {
+    if (warnings[rule.field]) return;
+    const warning = applyRule(rule, inputs, rules, format);
+    if (warning) warnings[rule.field] = warning;
+  });
+  return warnings;
+}
+
+/* -------------------------------------------------------------
+   Refinance Validation
+   The current loan must still have payments left at the refinance date.
+------------------------------------------------------------- */
+export function validateRefinance(inputs) {
+  const { schedule } = computeMortgage(resolveInputs(inputs));
+  const paid = Math.round(inputs.refiYearsPaid * (inputs.paymentsPerYear || 1));
+  return paid >= schedule.length ? 'The current loan is already repaid by the refinance date' : null;
+}
+
+/* -------------------------------------------------------------
+   Solve-mode Validation
+   Reports when no value of the unknown produces the target payment,
+   or the solution breaks a rule: the inputs are validated again with the
+   solved value in place, as if it had been typed, so its own range and the
+   cross-field rules (loan-type term, balloon before the term) apply to it.
+------------------------------------------------------------- */
+export function validateSolution(inputs, rules = DEFAULT_RULES, format = createFormat()) {
+  const { value, reason, detail } = solveUnknown(inputs);
+  if (reason) return noSolutionMessages[reason](detail, format);
+
+  const field = inputs.solveFor;
+  const errors = validateAllInputs({ ...inputs, [field]: value, solveFor: 'payment' }, rules, format);
+  const error = errors[field] || Object.values(errors)[0];
+  return error ? `No ${validationRules[field].label} in range gives this payment: ${error}` : null;
+}
+
+/* -------------------------------------------------------------
+   Cross-field Rules
+   Each rule reads the whole set of inputs and reports against one field:
+   { field, level, when(inputs), check(inputs, rules, format) -> message | null }
+   (check also gets the calculator's full rule list, for rules that validate again,
+   and its format, for amounts and rates in the message)
+   level 'error' (the default) blocks the calculation; 'warning' only advises.
+   A calculator lists the rules it applies (DEFAULT_RULES unless configured),
+   so these factories take the limits a course page may want to change.
+------------------------------------------------------------- */
+const isWarning = rule => rule.level === 'warning';
+
+function applyRule(rule, inputs, rules, format) {
+  // The unknown in solve mode is an output, not an input; validateSolution checks its value
+  if (isSolving(inputs) && rule.field === inputs.solveFor) return null;
+  if (rule.when && !rule.when(inputs)) return null;
+  return rule.check(inputs, rules, format);
+}
+
+/**
+ * Loan-to-value ratio in %, or null when no property value is given
+ */
+export function loanToValue(inputs) {
+  return inputs.propertyValue > 0 ? inputs.loanAmount / inputs.propertyValue * 100 : null;
+}
+
+const hasPropertyValue = inputs => inputs.propertyValue > 0;
+
+// Minimum payment feasibility: some value of the unknown must give the target payment
+export function paymentFeasibility() {
+  return { field: 'targetPayment', level: 'error', when: isSolving, check: validateSolution };
+}
+
+export function refinanceTiming() {
+  return { field: 'refiYearsPaid', level: 'error', when: isRefinancing, check: validateRefinance };
+}
+
+export function loanTypeTerm(types = LOAN_TYPES) {
+  return {
+    field: 'years',
+    level: 'error',
+    check: inputs => {
+      const type = types[inputs.loanType];
+      if (!type || (inputs.years >= type.minYears && inputs.years <= type.maxYears)) return null;
+      return `${type.label} loans must have a term between ${type.minYears} and ${type.maxYears} years`;
+    }
+  };
+}
+
+export function maxLoanToValue(types = LOAN_TYPES) {
+  return {
+    field: 'loanAmount',
+    level: 'error',
+    when: hasPropertyValue,
+    check: (inputs, rules, format) => {
+      const type = types[inputs.loanType];
+      const ltv = loanToValue(inputs);
+      if (!type || ltv <= type.maxLtv) return null;
+      return `Loan-to-value of ${format.percent(ltv, 1)} is above the ${percent(format, type.maxLtv)} allowed for ${type.label.toLowerCase()} loans`;
+    }
+  };
+}
+
+export function highRateWarning(threshold = 12) {
+  return {
+    field: 'annualRate',
+    level: 'warning',
+    check: (inputs, rules, format) => inputs.annualRate > threshold
+      ? `A rate of ${format.percent(inputs.annualRate)} is unusually high for a mortgage` : null
+  };
+}
+
+export function mortgageInsuranceWarning(threshold = 80) {
+  return {
+    field: 'loanAmount',
+    level: 'warning',
+    when: hasPropertyValue,
+    check: (inputs, rules, format) => loanToValue(inputs) > threshold
+      ? `Loan-to-value of ${format.percent(loanToValue(inputs), 1)} is above ${percent(format, threshold)}; lenders usually require mortgage insurance` : null
+  };
+}
+
+// Rules of the standard calculator, in the order they are checked
+export const DEFAULT_RULES = [
+  loanTypeTerm(),
+  maxLoanToValue(),
+  paymentFeasibility(),
+  refinanceTiming(),
+  highRateWarning(),
+  mortgageInsuranceWarning()
+];
+
+/* -------------------------------------------------------------
+   View Settings Validation
+   View settings restored from a shared link are not form fields,
+   so they are checked here rather than in validationRules.
+------------------------------------------------------------- */
+const viewRules = {
+  viewMode: {
+    oneOf: ['chart', 'table'],
+    errorMessage: 'Link view must be chart or table; showing the chart'
+  },
+  annualSummary: {
+    oneOf: [true, false],
+    errorMessage: 'Link annual summary setting must be on or off; showing every period'
+  },
+  chartType: {
+    oneOf: ['cashflow', 'cumulative', 'percent', 'equity'],
+    errorMessage: 'Link chart type must be cashflow, cumulative, percent or equity; showing cash flows'
+  },
+  locale: {
+    validate: isSupportedLocale,
+    errorMessage: 'Link locale is not recognized; showing US English formats'
+  },
+  currency: {
+    validate: value => /^[A-Z]{3}$/.test(value),
+    errorMessage: 'Link currency must be a three-letter code such as USD; showing US dollars'
+  }
+};
+
+// Locale tags this browser can format numbers in
+function isSupportedLocale(value) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(value).length > 0;
+  } catch (e) {
+    return false;  // not a well-formed tag
+  }
+}
+
+export function validateViewSettings(view) {
+  const errors = {};
+  Object.keys(view).forEach(field => {
+    const rules = viewRules[field];
+    if (!rules) return;
+    const valid = rules.validate ? rules.validate(view[field]) : rules.oneOf.includes(view[field]);
+    if (!valid) errors[field] = rules.errorMessage;
+  });
+  return errors;
+}
+
+/* -------------------------------------------------------------
+   Helper
+------------------------------------------------------------- */
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
@@ -1,70 +1,38 @@
 /**
  * Validation Module – CFA Standard Pattern
  * Used for inline field validation and error summary rendering.
+ * The rules themselves live in validation-rules.js so they also run outside the browser.
  */
 
 import { $, announceToScreenReader } from './utils.js';
+import { hasErrors } from './validation-rules.js';
 
-/* -------------------------------------------------------------
-   Validation Rules (customize these per calculator)
-------------------------------------------------------------- */
-const validationRules = {
-  loanAmount: {
-    min: 1000,
-    max: 10000000,
-    label: 'Loan Amount',
-    errorMessage: 'Loan amount must be between $1,000 and $10,000,000'
-  },
-  annualRate: {
-    min: 0,
-    max: 25,
-    label: 'Annual Interest Rate (%)',
-    errorMessage: 'Rate must be between 0% and 25%'
-  },
-  years: {
-    min: 1,
-    max: 40,
-    label: 'Loan Term (Years)',
-    errorMessage: 'Term must be between 1 and 40 years'
-  }
-};
-
-/* -------------------------------------------------------------
-   Field-level Validation
-------------------------------------------------------------- */
-export function validateField(field, value) {
-  const rules = validationRules[field];
-  if (!rules) return null;
-
-  if (isNaN(value) || value === '') {
-    return `${rules.label} is required`;
-  }
-
-  if (value < rules.min || value > rules.max) {
-    return rules.errorMessage;
-  }
-
-  return null;
-}
-
-/* -------------------------------------------------------------
-   Full-form Validation
-------------------------------------------------------------- */
-export function validateAllInputs(inputs) {
-  const errors = {};
-  Object.keys(validationRules).forEach(field => {
-    const error = validateField(field, inputs[field]);
-    if (error) errors[field] = error;
-  });
-  return errors;
-}
+export {
+  validateField,
+  validateAllInputs,
+  validateRefinance,
+  validateSolution,
+  validateViewSettings,
+  findWarnings,
+  hasErrors,
+  loanToValue,
+  LOAN_TYPES,
+  DEFAULT_RULES,
+  loanTypeTerm,
+  maxLoanToValue,
+  paymentFeasibility,
+  refinanceTiming,
+  highRateWarning,
+  mortgageInsuranceWarning
+} from './validation-rules.js';
 
 /* -------------------------------------------------------------
    Inline Field Error Updater
+   root is the document, or a calculator's shadow root
 ------------------------------------------------------------- */
-export function updateFieldError(fieldId, errorMessage) {
-  const input = document.getElementById(fieldId);
-  const errorElement = document.getElementById(`${fieldId}-error`);
+export function updateFieldError(fieldId, errorMessage, root = document) {
+  const input = root.getElementById(fieldId);
+  const errorElement = root.getElementById(`${fieldId}-error`);
   if (!input || !errorElement) return;
 
   if (errorMessage) {
@@ -80,10 +48,14 @@ export function updateFieldError(fieldId, errorMessage) {
 
 /* -------------------------------------------------------------
    Validation Summary
+   Errors block the results; warnings (e.g. an unusually high rate) sit in
+   their own box beside them. warnings null leaves the shown warnings as they are.
 ------------------------------------------------------------- */
-export function updateValidationSummary(errors) {
-  const summary = $('#validation-summary');
-  const list = $('#validation-list');
+export function updateValidationSummary(errors, root = document, warnings = null) {
+  if (warnings) updateWarnings(warnings, root);
+
+  const summary = $('#validation-summary', root);
+  const list = $('#validation-list', root);
   if (!summary || !list) return;
 
   if (hasErrors(errors)) {
@@ -94,16 +66,28 @@ export function updateValidationSummary(errors) {
       list.appendChild(li);
     });
     summary.style.display = 'block';
-    announceToScreenReader('Validation errors found.');
+    announceToScreenReader('Validation errors found.', $('#view-announcement', root));
   } else {
     summary.style.display = 'none';
     list.innerHTML = '';
   }
 }
 
-/* -------------------------------------------------------------
-   Helper
-------------------------------------------------------------- */
-export function hasErrors(errors) {
-  return Object.keys(errors).length > 0;
+// The warning box is a polite status region, so it is only rebuilt when the messages change
+function updateWarnings(warnings, root) {
+  const box = $('#validation-warnings', root);
+  const list = $('#warning-list', root);
+  if (!box || !list) return;
+
+  const messages = Object.values(warnings);
+  const shown = Array.from(list.children, li => li.textContent);
+  if (messages.join('\n') !== shown.join('\n')) {
+    list.innerHTML = '';
+    messages.forEach(message => {
+      const li = document.createElement('li');
+      li.textContent = message;
+      list.appendChild(li);
+    });
+  }
+  box.hidden = messages.length === 0;
 }
@@ -0,0 +1,94 @@
+/**
+ * Zip Module – Mortgage Calculator
+ * Just enough of the zip format to package an XLSX workbook in the browser:
+ * files are stored uncompressed, so no deflate implementation is needed.
+ */
+
+// CRC-32 lookup table (IEEE polynomial, as zip requires)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes){
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Fixed modification time (1980-01-01 00:00, the earliest zip can hold) so the same files give the same archive
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Build a zip archive
+ * @param {Array} files - [{ name, data }] where data is a string (written as UTF-8) or a Uint8Array
+ * @returns {Uint8Array} The archive
+ */
+export function createZip(files){
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);   // local file header signature
+    local.setUint16(4, 20, true);           // version needed: 2.0
+    local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+    local.setUint16(8, 0, true);            // method: stored
+    local.setUint16(10, DOS_TIME, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true); // compressed size
+    local.setUint32(22, bytes.length, true); // uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);           // extra field length
+    locals.push(new Uint8Array(local.buffer), nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // central directory header signature
+    central.setUint16(4, 20, true);         // version made by
+    central.setUint16(6, 20, true);         // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, DOS_TIME, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    // extra, comment, disk number, internal and external attributes stay 0
+    central.setUint32(42, offset, true);    // where the local header starts
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  });
+
+  const directorySize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);       // end of central directory signature
+  end.setUint16(8, files.length, true);     // entries on this disk
+  end.setUint16(10, files.length, true);    // entries in total
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);          // where the central directory starts
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
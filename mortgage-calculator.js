@@ -0,0 +1,126 @@
+/**
+ * <mortgage-calculator> – embeddable Mortgage Calculator
+ * The whole calculator in a shadow root, so several independent instances can share
+ * a page. The host page loads Chart.js and this module:
+ *
+ *   <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
+ *   <script type="module" src="mortgage-calculator.js"></script>
+ *   <mortgage-calculator loan-amount="250000" annual-rate="5.5" payments-per-year="12"
+ *     locked="loan-amount" view="table"></mortgage-calculator>
+ *
+ * Attributes
+ *   any input in kebab case (loan-amount, annual-rate, years, round-to-cents, ...): starting value,
+ *     written as in a shared link; a flag attribute with no value means on
+ *   locked: inputs (kebab or camel case, separated by spaces or commas) the reader cannot change
+ *   view: "chart" (default) or "table"; annual-summary: start with annual rows
+ *   chart-type: what the chart plots, "cashflow" (default), "cumulative", "percent" or "equity"
+ *   locale, currency: number format and currency to show, e.g. locale="de-DE" currency="EUR"
+ *     (default en-US and USD); typed amounts are read in the locale's notation
+ * Input attributes changed later update the calculator; the others are read when it connects.
+ *
+ * Properties
+ *   rules: the cross-field rules and warnings to check (default DEFAULT_RULES from
+ *     validation-rules.js); set before the element connects
+ *
+ * Events
+ *   mortgage-calculated: after each recalculation, detail { inputs, errors, warnings, result }
+ *     (result null while the inputs are invalid). Bubbles out of the shadow root.
+ */
+
+import { INPUT_FIELDS, DEFAULT_INPUTS } from './modules/state.js';
+import { readSettings, VIEW_FIELDS } from './modules/url-state.js';
+import { mountCalculator } from './modules/calculator-app.js';
+import { CALCULATOR_TEMPLATE } from './modules/calculator-template.js';
+
+const STYLES_URL = new URL('./styles.css', import.meta.url).href;
+
+// loanAmount <-> loan-amount
+const toAttribute = field => field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+const toField = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+// Attribute carrying each setting: inputs and annual-summary by name, viewMode as "view"
+const ATTRIBUTES = Object.fromEntries([...INPUT_FIELDS, ...VIEW_FIELDS]
+  .map(field => [field, field === 'viewMode' ? 'view' : toAttribute(field)]));
+
+const isFlag = field => field === 'annualSummary' || typeof DEFAULT_INPUTS[field] === 'boolean';
+
+/**
+ * Settings given by an element's attributes, parsed like a shared link
+ * @param {Element} el - The <mortgage-calculator>
+ * @param {string[]} fields - Settings to read (default: all)
+ * @returns {Object} { inputs, view, raw }
+ */
+function readAttributes(el, fields = Object.keys(ATTRIBUTES)){
+  const params = new Map();
+  fields.forEach(field => {
+    const name = ATTRIBUTES[field];
+    if (!el.hasAttribute(name)) return;
+    const value = el.getAttribute(name);
+    params.set(field, value === '' && isFlag(field) ? 'true' : value);
+  });
+  return readSettings(params);
+}
+
+/**
+ * Input ids named in the locked attribute
+ */
+function readLocked(el){
+  return (el.getAttribute('locked') || '')
+    .split(/[\s,]+/)
+    .map(toField)
+    .filter(field => INPUT_FIELDS.includes(field));
+}
+
+export class MortgageCalculator extends HTMLElement {
+  static get observedAttributes(){
+    return INPUT_FIELDS.map(field => ATTRIBUTES[field]);
+  }
+
+  constructor(){
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.app = null;
+    this.rules = null;
+  }
+
+  connectedCallback(){
+    // Each connection starts a fresh calculator from the attributes
+    this.shadowRoot.innerHTML = `<link rel="stylesheet" href="${STYLES_URL}">` +
+      `<div class="container"><div class="content">${CALCULATOR_TEMPLATE}</div></div>`;
+    this.app = mountCalculator(this.shadowRoot, {
+      settings: readAttributes(this),
+      locked: readLocked(this),
+      rules: this.rules,
+      onCalculate: detail => {
+        this.dispatchEvent(new CustomEvent('mortgage-calculated', { detail, bubbles: true, composed: true }));
+      }
+    });
+  }
+
+  disconnectedCallback(){
+    if (this.app) this.app.destroy();
+    this.app = null;
+  }
+
+  attributeChangedCallback(name, oldValue, newValue){
+    if (!this.app || oldValue === newValue) return;
+    const field = toField(name);
+    if (newValue === null) {
+      this.app.setInputs({ [field]: DEFAULT_INPUTS[field] });
+      return;
+    }
+    const { inputs, raw } = readAttributes(this, [field]);
+    this.app.setInputs(inputs, raw);
+  }
+
+  /**
+   * The calculator's current state (inputs, results and errors)
+   */
+  get state(){
+    return this.app ? this.app.state : null;
+  }
+}
+
+if (!customElements.get('mortgage-calculator')) {
+  customElements.define('mortgage-calculator', MortgageCalculator);
+}
@@ -0,0 +1,104 @@
+/**
+ * Calculation service tests – Mortgage Calculator
+ * The worker is replaced by a stand-in that answers when the test says so.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCalcService } from '../modules/calc-service.js';
+import { computeResults } from '../modules/calculations.js';
+import { DEFAULT_INPUTS } from '../modules/state.js';
+
+class FakeWorker {
+  constructor() {
+    this.sent = [];
+    this.handlers = { message: [], error: [] };
+    this.terminated = false;
+  }
+
+  addEventListener(type, handler) { this.handlers[type].push(handler); }
+  postMessage(message) { this.sent.push(message); }
+  terminate() { this.terminated = true; }
+
+  // Answer the oldest unanswered message the way calc-worker.js would
+  respond() {
+    const { id, inputs } = this.sent.shift();
+    this.handlers.message.forEach(handler => handler({ data: { id, result: computeResults(inputs) } }));
+  }
+
+  fail() {
+    this.handlers.error.forEach(handler => handler({ preventDefault() {} }));
+  }
+}
+
+const inputsFor = years => ({ ...DEFAULT_INPUTS, years });
+
+test('without a worker results are computed on the main thread', async () => {
+  const service = createCalcService({ worker: null });
+  const result = await service.calculate(inputsFor(15));
+  assert.equal(result.schedule.length, 15);
+  assert.ok(result.apr);
+  assert.ok(result.payoff);
+});
+
+test('solve mode returns the solved input with the results', async () => {
+  const service = createCalcService({ worker: null });
+  const result = await service.calculate({ ...DEFAULT_INPUTS, solveFor: 'loanAmount', targetPayment: 22973.23 });
+  assert.ok(Math.abs(result.loanAmount - 300000) < 1);
+});
+
+test('requests made while the worker is busy replace each other', async () => {
+  const worker = new FakeWorker();
+  const service = createCalcService({ worker });
+  const first = service.calculate(inputsFor(10));
+  const second = service.calculate(inputsFor(20));
+  const third = service.calculate(inputsFor(30));
+
+  // Only the first request was sent; the second never is
+  assert.equal(worker.sent.length, 1);
+  assert.equal(await first, null);
+  assert.equal(await second, null);
+
+  worker.respond();
+  assert.deepEqual(worker.sent.map(message => message.inputs.years), [30]);
+  worker.respond();
+  assert.equal((await third).schedule.length, 30);
+});
+
+test('cancel drops the request in flight', async () => {
+  const worker = new FakeWorker();
+  const service = createCalcService({ worker });
+  const pending = service.calculate(inputsFor(10));
+  service.cancel();
+  assert.equal(await pending, null);
+  worker.respond();
+
+  // The worker is free again for the next request
+  const next = service.calculate(inputsFor(12));
+  worker.respond();
+  assert.equal((await next).schedule.length, 12);
+});
+
+test('a failing worker hands the newest request to the main thread', async () => {
+  const worker = new FakeWorker();
+  const service = createCalcService({ worker });
+  const pending = service.calculate(inputsFor(25));
+  worker.fail();
+  assert.equal(worker.terminated, true);
+  assert.equal((await pending).schedule.length, 25);
+
+  // and stays there
+  const next = await service.calculate(inputsFor(5));
+  assert.equal(next.schedule.length, 5);
+  assert.equal(worker.sent.length, 1);
+});
+
+test('calculation errors reject the request', async () => {
+  const worker = new FakeWorker();
+  const service = createCalcService({ worker });
+  const pending = service.calculate(inputsFor(10));
+  const { id } = worker.sent.shift();
+  worker.handlers.message.forEach(handler => handler({ data: { id, error: 'Bad inputs' } }));
+  await assert.rejects(pending, /Bad inputs/);
+});
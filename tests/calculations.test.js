@@ -0,0 +1,267 @@
+/**
+ * Calculation tests – Mortgage Calculator
+ * Golden schedules checked against independently computed values.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeMortgage, computeApr, computeRefinance, computePayoffQuote,
+  solveUnknown, levelPayment, summarizeByYear, findCrossover
+} from '../modules/calculations.js';
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+const near = (actual, expected, tolerance = 0.005, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, message || `expected ${expected}, got ${actual}`);
+
+function assertTotalsMatchRows({ schedule, totals }) {
+  near(totals.payment, sum(schedule, 'payment'), 1e-6, 'total payment equals the sum of payments');
+  near(totals.interest, sum(schedule, 'interest'), 1e-6, 'total interest equals the sum of interest');
+  near(totals.principal, sum(schedule, 'principal'), 1e-6, 'total principal equals the sum of principal');
+}
+
+test('zero-rate loan repays equal principal with no interest', () => {
+  const result = computeMortgage({ loanAmount: 120000, annualRate: 0, years: 10 });
+  assert.equal(result.payment, 12000);
+  assert.equal(result.schedule.length, 10);
+  assert.deepEqual(result.schedule.map(row => row.interest), new Array(10).fill(0));
+  assert.deepEqual(result.schedule.map(row => row.endingBalance),
+    [108000, 96000, 84000, 72000, 60000, 48000, 36000, 24000, 12000, 0]);
+  assert.equal(result.totals.interest, 0);
+  assert.equal(result.totals.payment, 120000);
+  assertTotalsMatchRows(result);
+});
+
+test('one-year monthly loan in cents matches the golden schedule', () => {
+  // $12,000 at 12% for 12 months: 1% a month, payment 1,066.19
+  const golden = [
+    [1066.19, 120.00, 946.19, 11053.81],
+    [1066.19, 110.54, 955.65, 10098.16],
+    [1066.19, 100.98, 965.21, 9132.95],
+    [1066.19, 91.33, 974.86, 8158.09],
+    [1066.19, 81.58, 984.61, 7173.48],
+    [1066.19, 71.73, 994.46, 6179.02],
+    [1066.19, 61.79, 1004.40, 5174.62],
+    [1066.19, 51.75, 1014.44, 4160.18],
+    [1066.19, 41.60, 1024.59, 3135.59],
+    [1066.19, 31.36, 1034.83, 2100.76],
+    [1066.19, 21.01, 1045.18, 1055.58],
+    [1066.14, 10.56, 1055.58, 0]
+  ];
+  const result = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 1, paymentsPerYear: 12, roundToCents: true });
+  assert.equal(result.payment, 1066.19);
+  assert.deepEqual(result.schedule.map(row => [row.payment, row.interest, row.principal, row.endingBalance]), golden);
+
+  // The short final payment is flagged with its adjustment
+  const last = result.schedule[11];
+  assert.equal(last.adjusted, true);
+  near(last.paymentAdjustment, -0.05);
+
+  // Cent-rounded totals are exact sums of the rows
+  assert.deepEqual(result.totals, { payment: 12794.23, interest: 794.23, principal: 12000 });
+  assertTotalsMatchRows(result);
+});
+
+test('forty-year monthly loan amortizes to zero', () => {
+  const result = computeMortgage({ loanAmount: 200000, annualRate: 5, years: 40, paymentsPerYear: 12 });
+  near(result.payment, 964.39);
+  assert.equal(result.schedule.length, 480);
+  near(result.schedule[0].interest, 833.33);
+  near(result.schedule[0].principal, 131.06);
+  near(result.schedule[479].interest, 4.00);
+  assert.equal(result.schedule[479].endingBalance, 0);
+  near(result.totals.interest, 262908.74);
+  near(result.totals.principal, 200000, 1e-6);
+  assertTotalsMatchRows(result);
+});
+
+test('thirty-year annual loan matches the textbook payment', () => {
+  const result = computeMortgage({ loanAmount: 300000, annualRate: 6.5, years: 30 });
+  near(result.payment, 22973.23);
+  near(levelPayment(300000, 0.065, 30), 22973.23);
+  assertTotalsMatchRows(result);
+});
+
+test('totals equal row sums with prepayments, interest-only and balloon structures', () => {
+  const cases = [
+    { loanAmount: 250000, annualRate: 7, years: 30, paymentsPerYear: 12, extraPayment: 200, lumpSums: [{ period: 24, amount: 10000 }] },
+    { loanAmount: 250000, annualRate: 7, years: 30, paymentsPerYear: 12, interestOnlyYears: 5, roundToCents: true },
+    { loanAmount: 250000, annualRate: 7, years: 30, paymentsPerYear: 4, balloonYears: 7 },
+    { loanAmount: 250000, annualRate: 5, years: 30, paymentsPerYear: 12, rateType: 'arm', armFixedYears: 5, armResetYears: 1,
+      armIndexPath: [4.5, 6], armMargin: 2.75, armInitialCap: 2, armPeriodicCap: 2, armLifetimeCap: 5, armFloor: 2.75 }
+  ];
+  cases.forEach(inputs => {
+    const result = computeMortgage(inputs);
+    assertTotalsMatchRows(result);
+    assert.equal(result.schedule[result.schedule.length - 1].endingBalance, 0);
+  });
+});
+
+test('prepayments shorten the loan and report the interest saved', () => {
+  const base = { loanAmount: 250000, annualRate: 7, years: 30, paymentsPerYear: 12 };
+  const plain = computeMortgage(base);
+  const prepaid = computeMortgage({ ...base, extraPayment: 200 });
+  assert.equal(plain.prepayment, null);
+  assert.ok(prepaid.schedule.length < 360);
+  assert.equal(prepaid.prepayment.payoffPeriod, prepaid.schedule.length);
+  assert.equal(prepaid.prepayment.baselinePayoffPeriod, 360);
+  near(prepaid.prepayment.interestSaved, plain.totals.interest - prepaid.totals.interest, 1e-6);
+});
+
+test('interest-only period and balloon are reported separately', () => {
+  const io = computeMortgage({ loanAmount: 100000, annualRate: 6, years: 10, interestOnlyYears: 2 });
+  assert.equal(io.interestOnlyPayment, 6000);
+  assert.equal(io.schedule[1].principal, 0);
+  near(io.payment, levelPayment(100000, 0.06, 8), 1e-6);
+
+  const balloon = computeMortgage({ loanAmount: 100000, annualRate: 6, years: 30, balloonYears: 5 });
+  assert.equal(balloon.schedule.length, 5);
+  assert.ok(balloon.balloon > 0);
+  near(balloon.schedule[4].balloon, balloon.balloon, 1e-6);
+});
+
+test('adjustable rate resets within the caps', () => {
+  const result = computeMortgage({
+    loanAmount: 200000, annualRate: 4, years: 30, paymentsPerYear: 12, rateType: 'arm',
+    armFixedYears: 5, armResetYears: 1, armIndexPath: [8], armMargin: 2.75,
+    armInitialCap: 2, armPeriodicCap: 1, armLifetimeCap: 5, armFloor: 2
+  });
+  assert.equal(result.schedule[59].rate, 4);
+  assert.equal(result.schedule[60].rate, 6);
+  assert.equal(result.schedule[72].rate, 7);
+  assert.equal(result.schedule[84].rate, 8);
+  assert.equal(result.schedule[96].rate, 9);
+  assert.equal(Math.max(...result.schedule.map(row => row.rate)), 9);
+});
+
+test('day-count conventions change interest on dated schedules', () => {
+  const base = { loanAmount: 100000, annualRate: 6, years: 1, paymentsPerYear: 12, startDate: '2026-01-01' };
+  const thirty = computeMortgage({ ...base, dayCount: '30/360' });
+  const act365 = computeMortgage({ ...base, dayCount: 'ACT/365' });
+  assert.equal(thirty.schedule[0].date, '2026-02-01');
+  near(thirty.schedule[0].interest, 500);
+  // January has 31 days
+  near(act365.schedule[0].interest, 100000 * 0.06 * 31 / 365);
+  assertTotalsMatchRows(act365);
+});
+
+test('summarizeByYear rolls periods up into years', () => {
+  const { schedule } = computeMortgage({ loanAmount: 100000, annualRate: 6, years: 3, paymentsPerYear: 12 });
+  const years = summarizeByYear(schedule);
+  assert.equal(years.length, 3);
+  near(years[0].interest, sum(schedule.slice(0, 12), 'interest'), 1e-6);
+  assert.equal(years[0].endingBalance, schedule[11].endingBalance);
+  assert.equal(years[2].endingBalance, 0);
+});
+
+test('the crossover is the first payment with more principal than interest', () => {
+  const { schedule } = computeMortgage({ loanAmount: 200000, annualRate: 6, years: 30, paymentsPerYear: 12 });
+  const crossover = findCrossover(schedule);
+  assert.equal(crossover.period, 223);
+  assert.ok(schedule[221].principal < schedule[221].interest);
+  // Extra payments bring it forward, though the extra principal itself doesn't count
+  const prepaid = computeMortgage({ loanAmount: 200000, annualRate: 6, years: 30, paymentsPerYear: 12, extraPayment: 500 });
+  const early = findCrossover(prepaid.schedule);
+  assert.equal(early.period, 92);
+  assert.ok(early.principal - early.extraPrincipal > early.interest);
+  // Nor does a balloon
+  assert.equal(findCrossover(computeMortgage({ loanAmount: 100000, annualRate: 12, years: 30, paymentsPerYear: 1, balloonYears: 5 }).schedule), null);
+});
+
+test('APR equals the note rate without charges and rises with them', () => {
+  const base = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12 };
+  near(computeApr(base).apr, 6.5, 1e-6);
+  const withCharges = computeApr({ ...base, discountPoints: 1, originationFee: 1000 });
+  near(withCharges.financeCharges, 4000);
+  near(withCharges.amountFinanced, 296000);
+  assert.ok(withCharges.apr > 6.5);
+});
+
+test('solving for each unknown reproduces the target payment', () => {
+  const base = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12 };
+  const target = computeMortgage(base).payment;
+
+  near(solveUnknown({ ...base, solveFor: 'loanAmount', targetPayment: target }).value, 300000, 0.01);
+  near(solveUnknown({ ...base, solveFor: 'annualRate', targetPayment: target }).value, 6.5, 1e-6);
+  assert.equal(solveUnknown({ ...base, solveFor: 'years', targetPayment: target }).value, 30);
+  assert.equal(solveUnknown({ ...base, solveFor: 'annualRate', targetPayment: 100 }).reason, 'rate-below-zero');
+  assert.equal(solveUnknown({ ...base, solveFor: 'years', targetPayment: 1000 }).reason, 'interest-not-covered');
+});
+
+test('solving for the term counts from the end of an interest-only period', () => {
+  const base = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12, interestOnlyYears: 5 };
+  const target = computeMortgage(base).payment;
+  assert.equal(solveUnknown({ ...base, solveFor: 'years', targetPayment: target }).value, 30);
+  // Only an amortizing term can repay a payment above the interest-only one
+  assert.ok(solveUnknown({ ...base, solveFor: 'years', targetPayment: 100000 }).value > 5);
+});
+
+test('solving for the loan amount in cents mode round-trips a known loan', () => {
+  const base = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12, roundToCents: true };
+  const target = computeMortgage(base).payment;
+  assert.equal(target, 1896.2);
+  const solved = solveUnknown({ ...base, solveFor: 'loanAmount', targetPayment: target }).value;
+  near(solved, 300000, 5);
+  assert.equal(computeMortgage({ ...base, loanAmount: solved }).payment, target);
+  near(solveUnknown({ ...base, solveFor: 'loanAmount', targetPayment: 2000 }).value, 316421.64, 0.01);
+});
+
+test('refinance compares the remaining loan with the new one', () => {
+  const refinance = computeRefinance({
+    loanAmount: 300000, annualRate: 7, years: 30, paymentsPerYear: 12,
+    refiYearsPaid: 5, refiRate: 5, refiYears: 25, refiClosingCosts: 4000
+  });
+  const current = computeMortgage({ loanAmount: 300000, annualRate: 7, years: 30, paymentsPerYear: 12 });
+  near(refinance.balance, current.schedule[59].endingBalance, 1e-6);
+  assert.equal(refinance.existing.schedule.length, 300);
+  assert.equal(refinance.existing.schedule[0].period, 1);
+  assert.ok(refinance.savingsPerPeriod > 0);
+  assert.ok(refinance.breakEvenPeriod > 0);
+});
+
+test('refinance compares the loans without the existing loan\'s prepayments', () => {
+  const terms = { refiYearsPaid: 5, refiRate: 5, refiYears: 25, refiClosingCosts: 4000 };
+  const loan = { loanAmount: 300000, annualRate: 7, years: 30, paymentsPerYear: 12 };
+  const plain = computeRefinance({ ...loan, ...terms });
+  const prepaying = computeRefinance({ ...loan, ...terms, extraPayment: 500, lumpSums: [{ period: 12, amount: 10000 }, { period: 80, amount: 10000 }] });
+  near(prepaying.existing.payment, computeMortgage(loan).payment, 1e-6);
+  near(prepaying.balance, plain.balance, 1e-6);
+  near(prepaying.savingsPerPeriod, plain.savingsPerPeriod, 1e-6);
+  near(prepaying.interestDifference, plain.interestDifference, 1e-6);
+  assert.equal(prepaying.breakEvenPeriod, plain.breakEvenPeriod);
+  assert.ok(prepaying.existing.schedule.every(row => row.extraPrincipal === 0));
+});
+
+test('refinance does not count the existing loan\'s balloon as a saving', () => {
+  const loan = { loanAmount: 300000, annualRate: 7, years: 30, paymentsPerYear: 12, balloonYears: 10 };
+  const refinance = computeRefinance({ ...loan, refiYearsPaid: 5, refiRate: 8, refiYears: 25, refiClosingCosts: 4000 });
+  const existing = refinance.existing.schedule;
+  assert.equal(existing.length, 60);
+  assert.ok(existing[59].balloon > 0);
+  // A dearer new loan never pays back its closing costs, balloon or not
+  assert.ok(refinance.savingsPerPeriod < 0);
+  assert.equal(refinance.breakEvenPeriod, null);
+  const interest = existing.reduce((total, row) => total + row.interest, 0);
+  near(refinance.interestDifference, interest - refinance.refinanced.totals.interest, 1e-6);
+
+  const cheaper = computeRefinance({ ...loan, refiYearsPaid: 5, refiRate: 5, refiYears: 25, refiClosingCosts: 4000 });
+  const perPeriod = cheaper.existing.payment - cheaper.refinanced.payment;
+  assert.equal(cheaper.breakEvenPeriod, Math.ceil(4000 / perPeriod));
+});
+
+test('payoff quote adds accrued interest and values the remaining payments', () => {
+  const inputs = { loanAmount: 100000, annualRate: 6, years: 10, paymentsPerYear: 12 };
+  const { schedule } = computeMortgage(inputs);
+
+  const atPeriod = computePayoffQuote({ ...inputs, quoteBy: 'period', quotePeriod: 24, marketRate: 6 });
+  assert.equal(atPeriod.paymentsMade, 24);
+  near(atPeriod.balance, schedule[23].endingBalance, 1e-6);
+  assert.equal(atPeriod.remainingPayments, 96);
+  // Discounting at the note rate gives back the balance
+  near(atPeriod.presentValue, atPeriod.balance, 0.01);
+
+  const midPeriod = computePayoffQuote({ ...inputs, quoteBy: 'period', quotePeriod: 24.5, marketRate: 6 });
+  near(midPeriod.accruedInterest, schedule[23].endingBalance * 0.005 * 0.5, 0.01);
+  near(midPeriod.payoffAmount, midPeriod.balance + midPeriod.accruedInterest, 1e-6);
+});
@@ -0,0 +1,68 @@
+/**
+ * Command-line schedule tests – Mortgage Calculator
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../bin/mortgage-schedule.js', import.meta.url));
+
+// Run the script and collect what it printed
+function run(...args){
+  const { status, stdout, stderr } = spawnSync(process.execPath, [SCRIPT, ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+const LOAN = ['--loan-amount', '120000', '--annual-rate', '6', '--years', '1', '--payments-per-year', '12'];
+
+test('CSV output has a header and one line per period', () => {
+  const { status, stdout, stderr } = run(...LOAN, '--format', 'csv');
+  assert.equal(status, 0);
+  assert.equal(stderr, '');
+  const lines = stdout.trimEnd().split('\n');
+  assert.equal(lines[0], 'period,date,rate,payment,interest,principal,extraPrincipal,balloon,endingBalance');
+  assert.equal(lines.length, 13);
+  assert.equal(lines[1], '1,2026-02-01,6.0000,10327.97,600.00,9727.97,0.00,0.00,110272.03');
+  assert.match(lines[12], /^12,.*,0\.00$/);
+});
+
+test('JSON output carries the inputs, payment and schedule', () => {
+  const { status, stdout } = run(...LOAN, '-f', 'json', '--annual-summary');
+  assert.equal(status, 0);
+  const output = JSON.parse(stdout);
+  assert.equal(output.inputs.loanAmount, 120000);
+  assert.equal(output.annualSummary, true);
+  assert.ok(Math.abs(output.payment - 10327.97) < 0.01);
+  assert.equal(output.schedule.length, 1);
+  assert.ok(Math.abs(output.schedule[0].endingBalance) < 1e-6);
+});
+
+test('--help prints the usage and succeeds', () => {
+  const { status, stdout } = run('--help');
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: node bin\/mortgage-schedule\.js/);
+  assert.match(stdout, /--loan-amount <value> +\[300000\]/);
+});
+
+test('invalid input exits with 1 and names the options', () => {
+  const { status, stdout, stderr } = run('--years', '0', '--annual-rate', '200');
+  assert.equal(status, 1);
+  assert.equal(stdout, '');
+  assert.match(stderr, /--annual-rate: Rate must be between/);
+  assert.match(stderr, /--years: Term must be between/);
+});
+
+test('bad usage exits with 2', () => {
+  const unknown = run('--bogus');
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown option '--bogus'/);
+  assert.match(unknown.stderr, /Usage:/);
+
+  const format = run('--format', 'xml');
+  assert.equal(format.status, 2);
+  assert.match(format.stderr, /Unknown format "xml"/);
+  assert.equal(format.stdout, '');
+});
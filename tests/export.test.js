@@ -0,0 +1,94 @@
+/**
+ * Export tests – Mortgage Calculator
+ * The schedule exported as CSV, JSON and an XLSX (zip) package.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScheduleExport, toCsv, toJson, toXlsx } from '../modules/export.js';
+import { crc32, createZip } from '../modules/zip.js';
+import { computeMortgage, summarizeByYear } from '../modules/calculations.js';
+import { DEFAULT_INPUTS } from '../modules/state.js';
+import { createFormat } from '../modules/utils.js';
+
+const inputs = { ...DEFAULT_INPUTS, loanAmount: 12000, annualRate: 12, years: 2, paymentsPerYear: 12, extraPayment: 100 };
+const { schedule } = computeMortgage(inputs);
+const usd = createFormat();
+
+const sheetFor = (rows, format = usd, annualSummary = false) =>
+  buildScheduleExport(rows, inputs, { periodLabel: annualSummary ? 'Year' : 'Month', annualSummary, format });
+
+// Names of the files in a zip, read from its central directory
+function zipEntries(zip){
+  const view = new DataView(zip.buffer);
+  const end = zip.length - 22;
+  let offset = view.getUint32(end + 16, true);
+  const names = [];
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014B50);
+    const length = view.getUint16(offset + 28, true);
+    names.push(new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + length)));
+    offset += 46 + length;
+  }
+  return names;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('createZip stores each file after a local header', () => {
+  const zip = createZip([{ name: 'a.txt', data: 'hello' }, { name: 'b/c.xml', data: '<x/>' }]);
+  assert.equal(new DataView(zip.buffer).getUint32(0, true), 0x04034B50);
+  assert.deepEqual(zipEntries(zip), ['a.txt', 'b/c.xml']);
+  assert.equal(new TextDecoder().decode(zip.subarray(35, 40)), 'hello');
+});
+
+test('the export lists the inputs and totals the amount columns', () => {
+  const sheet = sheetFor(schedule);
+  assert.deepEqual(sheet.columns.map(col => col.key),
+    ['period', 'date', 'rate', 'payment', 'interest', 'principal', 'extraPrincipal', 'endingBalance']);
+  assert.equal(sheet.rows.length, schedule.length);
+  assert.ok(Math.abs(sheet.totals.principal - 12000) < 0.01);
+  assert.equal(sheet.metadata.find(item => item.field === 'loanAmount').value, 12000);
+  assert.equal(sheet.settings.frequency, 'Monthly');
+
+  const annual = sheetFor(summarizeByYear(schedule), usd, true);
+  assert.equal(annual.rows.length, 2);
+  assert.equal(annual.settings.frequency, 'Annual');
+});
+
+test('CSV follows the locale\'s separators and ends with a totals row', () => {
+  const lines = toCsv(sheetFor(schedule), usd).trim().split('\r\n');
+  assert.equal(lines[1], 'Loan amount,12000');
+  assert.ok(lines.includes('Month,Payment Date,Rate (%),Payment (USD),Interest (USD),Amortization (USD),of which Extra (USD),Ending Balance (USD)'));
+  assert.match(lines[lines.length - 1], /^Total,,,\d+\.\d{1,2},/);
+
+  const euro = createFormat({ locale: 'de-DE', currency: 'EUR' });
+  const german = toCsv(sheetFor(schedule, euro), euro).split('\r\n');
+  assert.equal(german[2], 'Annual interest rate;12');
+  assert.match(german.find(line => line.startsWith('1;')), /^1;2026-02-01;12;\d+,\d{1,2};120;/);
+});
+
+test('JSON keeps numbers as numbers with the settings alongside', () => {
+  const data = JSON.parse(toJson(sheetFor(schedule, createFormat({ locale: 'en-GB', currency: 'GBP' }))));
+  assert.equal(data.inputs.annualRate, 12);
+  assert.deepEqual(data.settings, { frequency: 'Monthly', annualSummary: false, locale: 'en-GB', currency: 'GBP' });
+  assert.equal(data.rows[0].interest, 120);
+  assert.equal(typeof data.totals.payment, 'number');
+});
+
+test('XLSX packages a schedule sheet with number formats and SUM totals', () => {
+  const zip = toXlsx(sheetFor(schedule), usd);
+  assert.deepEqual(zipEntries(zip), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+  ]);
+  const text = new TextDecoder().decode(zip);
+  assert.ok(text.includes('formatCode="&quot;$&quot;#,##0.00"'));
+  assert.ok(text.includes(`<f>SUM(D2:D${schedule.length + 1})</f>`));
+  assert.ok(text.includes('<sheet name="Inputs"'));
+  // Rates are stored as fractions under a percent format
+  assert.ok(text.includes('<c r="C2" s="2"><v>0.12</v></c>'));
+});
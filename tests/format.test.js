@@ -0,0 +1,80 @@
+/**
+ * Formatting and parsing tests – Mortgage Calculator
+ * Amounts shown and typed in different locales and currencies.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFormat, formatCurrency, formatPercent, parseNumber, parseLumpSums } from '../modules/utils.js';
+
+test('the default format keeps US dollars', () => {
+  assert.equal(formatCurrency(1234567.891), '$1,234,567.89');
+  assert.equal(formatCurrency(-50, true), '($50.00)');
+  assert.equal(formatPercent(6.5), '6.50%');
+  assert.equal(formatPercent(NaN), '0%');
+});
+
+test('formats follow the locale and the currency', () => {
+  // Intl separates symbols with no-break spaces
+  const euro = createFormat({ locale: 'de-DE', currency: 'EUR' });
+  assert.equal(euro.currency(1234567.891), '1.234.567,89\u00a0€');
+  assert.equal(euro.percent(6.5), '6,50\u00a0%');
+  assert.equal(euro.number(1234567), '1.234.567');
+  assert.equal(euro.date('2026-02-01'), '1. Feb. 2026');
+  assert.equal(euro.symbol, '€');
+  assert.equal(euro.inputValue(300000.5), '300000,5');
+
+  // Yen have no minor unit
+  assert.equal(createFormat({ locale: 'ja-JP', currency: 'JPY' }).currency(1234567.891), '￥1,234,568');
+  assert.equal(createFormat({ locale: 'en-GB', currency: 'GBP' }).currency(-250), '-£250.00');
+  assert.equal(createFormat(), createFormat({ locale: 'en-US', currency: 'USD' }));
+});
+
+test('parseNumber reads grouped numbers, symbols and shorthand', () => {
+  assert.equal(parseNumber('300,000.50'), 300000.5);
+  assert.equal(parseNumber('300.000,50'), 300000.5);
+  assert.equal(parseNumber('300 000,50'), 300000.5);
+  assert.equal(parseNumber('$250k'), 250000);
+  assert.equal(parseNumber('1.2m'), 1200000);
+  assert.equal(parseNumber('USD 1,500'), 1500);
+  assert.equal(parseNumber('6,5 %', ','), 6.5);
+  assert.equal(parseNumber('-1,000'), -1000);
+  assert.ok(Number.isNaN(parseNumber('')));
+  assert.ok(Number.isNaN(parseNumber('twelve')));
+});
+
+test('parseNumber only accepts the currency\'s own code and symbols', () => {
+  assert.ok(Number.isNaN(parseNumber('abc12')));
+  assert.ok(Number.isNaN(parseNumber('12 foo')));
+  assert.ok(Number.isNaN(parseNumber('£250k')));
+  assert.ok(Number.isNaN(parseNumber('EUR 12')));
+  assert.equal(parseNumber('usd 12'), 12);
+  const pounds = createFormat({ locale: 'en-GB', currency: 'GBP' });
+  assert.equal(pounds.parseNumber('£250k'), 250000);
+  assert.equal(pounds.parseNumber('250,000 GBP'), 250000);
+  assert.ok(Number.isNaN(pounds.parseNumber('$250k')));
+  const yen = createFormat({ locale: 'ja-JP', currency: 'JPY' });
+  assert.equal(yen.parseNumber('￥1,000'), 1000);
+  assert.equal(yen.parseNumber('¥1,000'), 1000);
+});
+
+test('a lone separator is read with the locale\'s decimal point', () => {
+  assert.equal(parseNumber('1.500'), 1.5);
+  assert.equal(parseNumber('1,500'), 1500);
+  assert.equal(parseNumber('1.500', ','), 1500);
+  assert.equal(createFormat({ locale: 'de-DE' }).parseNumber('1,5'), 1.5);
+  assert.equal(createFormat({ locale: 'fr-FR' }).parseNumber('250 000'), 250000);
+});
+
+test('lump sums may be typed with grouped amounts', () => {
+  assert.deepEqual(parseLumpSums('12:10000, 60:5000'), [{ period: 12, amount: 10000 }, { period: 60, amount: 5000 }]);
+  assert.deepEqual(parseLumpSums('12:10,000, 60:5,000.50; 72:$1k'),
+    [{ period: 12, amount: 10000 }, { period: 60, amount: 5000.5 }, { period: 72, amount: 1000 }]);
+  const euros = createFormat({ locale: 'de-DE', currency: 'EUR' });
+  assert.deepEqual(parseLumpSums('12:10.000,50 €, 60:5000', euros.parseNumber),
+    [{ period: 12, amount: 10000.5 }, { period: 60, amount: 5000 }]);
+  assert.deepEqual(parseLumpSums('  '), []);
+  assert.equal(parseLumpSums('12:ten'), null);
+  assert.equal(parseLumpSums('12-10000'), null);
+});
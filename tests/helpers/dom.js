@@ -0,0 +1,155 @@
+/**
+ * Minimal DOM for rendering tests
+ * Just enough of Node/Element/Document for the render modules: building elements,
+ * text content, attributes, event listeners with click(), getElementById and simple
+ * querySelectorAll (tag, .class, #id and [attr] selectors joined by spaces).
+ */
+
+class Node {
+  constructor() {
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  insertBefore(child, reference) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    const index = this.childNodes.indexOf(reference);
+    this.childNodes.splice(index < 0 ? this.childNodes.length : index, 0, child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.childNodes = this.childNodes.filter(node => node !== child);
+    child.parentNode = null;
+    return child;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes.forEach(node => { node.parentNode = null; });
+    this.childNodes = [];
+    if (text !== '' && text != null) this.appendChild(new Text(String(text)));
+  }
+}
+
+class Text extends Node {
+  constructor(data) {
+    super();
+    this.data = data;
+  }
+
+  get textContent() { return this.data; }
+  set textContent(text) { this.data = String(text); }
+}
+
+class Element extends Node {
+  constructor(tagName) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.style = {};
+    this.listeners = [];
+  }
+
+  get children() { return this.childNodes.filter(node => node instanceof Element); }
+
+  get id() { return this.getAttribute('id') || ''; }
+  set id(value) { this.setAttribute('id', value); }
+
+  get className() { return this.getAttribute('class') || ''; }
+  set className(value) { this.setAttribute('class', value); }
+
+  get scope() { return this.getAttribute('scope') || ''; }
+  set scope(value) { this.setAttribute('scope', value); }
+
+  get classList() {
+    return { contains: name => this.className.split(/\s+/).includes(name) };
+  }
+
+  // Only clearing is supported; the render modules never parse markup
+  set innerHTML(html) {
+    if (html !== '') throw new Error('The test DOM cannot parse HTML');
+    this.textContent = '';
+  }
+
+  addEventListener(type, listener) { this.listeners.push({ type, listener }); }
+  dispatchEvent(event) {
+    this.listeners.filter(item => item.type === event.type).forEach(item => item.listener(event));
+  }
+  click() { this.dispatchEvent({ type: 'click', target: this }); }
+
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  hasAttribute(name) { return this.attributes.has(name); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  matches(selector) {
+    return selector.match(/[#.]?[\w-]+|\[[\w-]+\]/g).every(part => {
+      if (part.startsWith('#')) return this.id === part.slice(1);
+      if (part.startsWith('.')) return this.classList.contains(part.slice(1));
+      if (part.startsWith('[')) return this.hasAttribute(part.slice(1, -1));
+      return this.tagName === part.toUpperCase();
+    });
+  }
+
+  querySelectorAll(selector) {
+    const steps = selector.trim().split(/\s+/);
+    let found = [this];
+    steps.forEach(step => {
+      found = [...new Set(found.flatMap(root => descendants(root).filter(el => el.matches(step))))];
+    });
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function descendants(root) {
+  return root.children.flatMap(child => [child, ...descendants(child)]);
+}
+
+class Document {
+  constructor() {
+    this.body = new Element('body');
+  }
+
+  createElement(tagName) { return new Element(tagName); }
+  createTextNode(data) { return new Text(data); }
+
+  getElementById(id) {
+    return descendants(this.body).find(el => el.id === id) || null;
+  }
+
+  querySelectorAll(selector) { return this.body.querySelectorAll(selector); }
+  querySelector(selector) { return this.body.querySelector(selector); }
+}
+
+/**
+ * Install a fresh document (with the given element ids in its body) as the global DOM
+ * @param {Object} ids - Element id -> tag name, e.g. { 'results-content': 'div' }
+ * @returns {Document} The installed document
+ */
+export function installDom(ids = {}) {
+  const document = new Document();
+  Object.entries(ids).forEach(([id, tagName]) => {
+    const el = document.createElement(tagName);
+    el.id = id;
+    document.body.appendChild(el);
+  });
+  globalThis.document = document;
+  globalThis.Element = Element;
+  return document;
+}
@@ -0,0 +1,84 @@
+/**
+ * Input history tests – Mortgage Calculator
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory } from '../modules/history.js';
+
+test('quick edits to one field are undone as one step', () => {
+  const history = createHistory();
+  history.recordInputs({ loanAmount: 0, years: 30 });
+  history.recordInputs({ loanAmount: 2, years: 30 }, 'loanAmount', 1000);
+  history.recordInputs({ loanAmount: 25, years: 30 }, 'loanAmount', 1500);
+  history.recordInputs({ loanAmount: 250, years: 30 }, 'loanAmount', 2400);
+  assert.deepEqual(history.undo(), { loanAmount: 0, years: 30 });
+  assert.equal(history.canUndo(), false);
+});
+
+test('edits further apart, or to another field, are separate steps', () => {
+  const history = createHistory();
+  history.recordInputs({ loanAmount: 0, years: 30 });
+  history.recordInputs({ loanAmount: 1, years: 30 }, 'loanAmount', 1000);
+  history.recordInputs({ loanAmount: 2, years: 30 }, 'loanAmount', 2000);
+  history.recordInputs({ loanAmount: 2, years: 15 }, 'years', 2100);
+  history.recordInputs({ loanAmount: 2, years: 20 }, null, 2200);
+  history.recordInputs({ loanAmount: 2, years: 25 }, null, 2300);
+  assert.deepEqual(history.undo(), { loanAmount: 2, years: 20 });
+  assert.deepEqual(history.undo(), { loanAmount: 2, years: 15 });
+  assert.deepEqual(history.undo(), { loanAmount: 2, years: 30 });
+  assert.deepEqual(history.undo(), { loanAmount: 1, years: 30 });
+  assert.deepEqual(history.undo(), { loanAmount: 0, years: 30 });
+  assert.equal(history.undo(), null);
+});
+
+test('an edit after undo clears the redo steps', () => {
+  const history = createHistory();
+  history.recordInputs({ years: 30 });
+  history.recordInputs({ years: 15 }, 'years', 1000);
+  history.recordInputs({ years: 20 }, 'years', 5000);
+  assert.deepEqual(history.undo(), { years: 15 });
+  assert.ok(history.canRedo());
+  assert.deepEqual(history.redo(), { years: 20 });
+  assert.deepEqual(history.undo(), { years: 15 });
+
+  // Typing right after an undo starts a new step rather than joining the undone one
+  history.recordInputs({ years: 10 }, 'years', 5100);
+  assert.equal(history.canRedo(), false);
+  assert.equal(history.redo(), null);
+  assert.deepEqual(history.undo(), { years: 15 });
+});
+
+test('unchanged inputs are not recorded', () => {
+  const history = createHistory();
+  history.recordInputs({ years: 30 });
+  history.recordInputs({ years: 30 }, 'years', 1000);
+  assert.equal(history.canUndo(), false);
+});
+
+test('only the last 100 steps are kept', () => {
+  const history = createHistory();
+  history.recordInputs({ step: 0 });
+  for (let step = 1; step <= 150; step++) history.recordInputs({ step }, null, step * 10000);
+  let undone = 0;
+  let last = null;
+  while (history.canUndo()) {
+    last = history.undo();
+    undone++;
+  }
+  assert.equal(undone, 100);
+  assert.deepEqual(last, { step: 50 });
+});
+
+test('resetHistory starts over from the given inputs', () => {
+  const history = createHistory();
+  history.recordInputs({ years: 30 });
+  history.recordInputs({ years: 15 }, 'years', 1000);
+  history.undo();
+  history.resetHistory({ years: 20 });
+  assert.equal(history.canUndo(), false);
+  assert.equal(history.canRedo(), false);
+  history.recordInputs({ years: 25 }, 'years', 2000);
+  assert.deepEqual(history.undo(), { years: 20 });
+});
@@ -0,0 +1,241 @@
+/**
+ * Rendering tests – Mortgage Calculator
+ * The table and results modules rendered into a minimal DOM (see helpers/dom.js).
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom } from './helpers/dom.js';
+import { renderTable } from '../modules/table.js';
+import { renderResults } from '../modules/results.js';
+import { computeMortgage, computeApr, computeRefinance, solveUnknown, summarizeByYear } from '../modules/calculations.js';
+import { formatCurrency, createFormat, formatTerm } from '../modules/utils.js';
+
+let document;
+
+beforeEach(() => {
+  document = installDom({ 'data-table-element': 'table', 'table-tools': 'div', 'results-content': 'div' });
+});
+
+const COLUMNS = [
+  { key: 'period', header: 'Year', align: 'left' },
+  { key: 'interest', header: 'Interest', align: 'right', format: formatCurrency },
+  { key: 'extraPrincipal', header: 'Extra', align: 'right', format: formatCurrency,
+    flag: row => (row.adjusted ? 'final payment adjusted' : null) },
+  { key: 'endingBalance', header: 'Ending Balance', align: 'right', format: formatCurrency }
+];
+
+const cellText = row => row.children.map(cell => cell.textContent);
+
+test('renderTable builds a captioned table with scoped headers', () => {
+  const { schedule } = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 2 });
+  renderTable(schedule, { tableId: 'data-table-element', caption: 'Schedule', columns: COLUMNS });
+
+  const table = document.getElementById('data-table-element');
+  assert.equal(table.querySelector('caption').textContent, 'Schedule');
+  assert.deepEqual(cellText(table.querySelector('thead tr')), ['Year', 'Interest', 'Extra', 'Ending Balance']);
+  table.querySelectorAll('thead th').forEach(th => assert.equal(th.getAttribute('scope'), 'col'));
+
+  const rows = table.querySelectorAll('tbody tr');
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].children[0].tagName, 'TH');
+  assert.equal(rows[0].children[0].getAttribute('scope'), 'row');
+  assert.equal(rows[0].children[1].textContent, '$1,440.00');
+  assert.equal(rows[0].children[1].className, 'text-right');
+  assert.equal(table.querySelector('tfoot'), null);
+});
+
+test('renderTable shows empty values as dashes and flags cells with screen-reader notes', () => {
+  const { schedule } = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 2, roundToCents: true });
+  renderTable(schedule, { tableId: 'data-table-element', caption: 'Schedule', columns: COLUMNS });
+
+  const [first, last] = document.querySelectorAll('tbody tr');
+  const emptyExtra = first.children[2];
+  assert.equal(emptyExtra.textContent, '—');
+  assert.equal(emptyExtra.querySelector('span').getAttribute('aria-label'), 'No value');
+  // The cent-rounded final payment is adjusted and flagged; its zero balance is a dash
+  assert.equal(last.children[2].querySelector('.cell-flag').textContent, '*');
+  assert.equal(last.children[2].querySelector('.cell-flag').getAttribute('aria-hidden'), 'true');
+  assert.equal(last.children[2].querySelector('.sr-only').textContent, ' (final payment adjusted)');
+  assert.equal(last.children[3].textContent, '—');
+});
+
+test('renderTable adds a totals footer and replaces earlier content', () => {
+  const result = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 2 });
+  const config = { tableId: 'data-table-element', caption: 'Schedule', columns: COLUMNS, totals: result.totals };
+  renderTable(result.schedule, config);
+  renderTable(result.schedule, config);
+
+  const table = document.getElementById('data-table-element');
+  assert.equal(table.querySelectorAll('tbody').length, 1);
+  assert.deepEqual(cellText(table.querySelector('tfoot tr')),
+    ['Total', formatCurrency(result.totals.interest), '', '']);
+});
+
+test('sortable columns reorder the rows and report the order in aria-sort', () => {
+  const { schedule } = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 3 });
+  renderTable(schedule, { tableId: 'data-table-element', caption: 'Schedule', columns: COLUMNS, sortable: true });
+
+  const table = document.getElementById('data-table-element');
+  const headers = table.querySelectorAll('thead th');
+  const periods = () => table.querySelectorAll('tbody tr').map(row => row.children[0].textContent);
+  headers[1].querySelector('button').click();
+  assert.equal(headers[1].getAttribute('aria-sort'), 'ascending');
+  assert.deepEqual(periods(), ['3', '2', '1']);
+  headers[1].querySelector('button').click();
+  assert.equal(headers[1].getAttribute('aria-sort'), 'descending');
+  assert.deepEqual(periods(), ['1', '2', '3']);
+
+  // The order survives a re-render; another column takes over the sort
+  renderTable(schedule, { tableId: 'data-table-element', caption: 'Schedule', columns: COLUMNS, sortable: true });
+  assert.deepEqual(periods(), ['1', '2', '3']);
+  const newHeaders = table.querySelectorAll('thead th');
+  newHeaders[3].querySelector('button').click();
+  assert.equal(newHeaders[1].getAttribute('aria-sort'), null);
+  assert.deepEqual(periods(), ['3', '2', '1']);
+});
+
+test('rows with details expand into their own tbody, and the filter jumps to one year', () => {
+  const { schedule } = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 3, paymentsPerYear: 12 });
+  const years = [1, 2, 3].map(year => ({ period: year, year, interest: 1, extraPrincipal: 0, endingBalance: 1 }));
+  renderTable(years, {
+    tableId: 'data-table-element',
+    caption: 'Schedule.',
+    columns: COLUMNS,
+    details: row => schedule.filter(period => period.year === row.year),
+    detailLabel: row => `Month ${row.period}`,
+    filter: { label: 'Jump to year:', value: row => row.year, text: row => `Year ${row.year}` },
+    toolsId: 'table-tools'
+  });
+
+  const table = document.getElementById('data-table-element');
+  const groups = table.querySelectorAll('tbody');
+  assert.equal(groups.length, 3);
+  const button = groups[1].querySelector('.expand-btn');
+  const details = groups[1].querySelectorAll('.detail-row');
+  assert.equal(details.length, 12);
+  assert.equal(details[0].children[0].textContent, 'Month 13');
+  assert.ok(details.every(row => row.hidden));
+  button.click();
+  assert.equal(button.getAttribute('aria-expanded'), 'true');
+  assert.ok(details.every(row => !row.hidden));
+
+  const select = document.getElementById('table-tools').querySelector('select');
+  assert.deepEqual(select.children.map(option => option.textContent), ['All', 'Year 1', 'Year 2', 'Year 3']);
+  select.value = '3';
+  select.dispatchEvent({ type: 'change' });
+  const rows = table.querySelectorAll('tbody tr');
+  assert.equal(rows.filter(row => !row.hidden).length, 13);
+  assert.equal(table.querySelector('caption').textContent, 'Schedule. Showing Year 3 only.');
+});
+
+test('every payment period sits open under its year row, and the default can be closed', () => {
+  const { schedule } = computeMortgage({ loanAmount: 12000, annualRate: 12, years: 3, paymentsPerYear: 12 });
+  const config = expanded => ({
+    tableId: 'data-table-element',
+    caption: 'Schedule.',
+    columns: COLUMNS,
+    details: row => schedule.filter(period => period.year === row.year),
+    detailLabel: row => `Month ${row.period}`,
+    expanded,
+    filter: { label: 'Jump to year:', value: row => row.year, text: row => `Year ${row.year}` },
+    toolsId: 'table-tools'
+  });
+  const table = document.getElementById('data-table-element');
+  const shown = () => table.querySelectorAll('tbody tr').filter(row => !row.hidden);
+
+  renderTable(summarizeByYear(schedule), config(true));
+  assert.equal(table.querySelectorAll('tbody').length, 3);
+  assert.equal(shown().length, 39);
+  assert.deepEqual(shown().slice(0, 3).map(row => row.children[0].textContent), ['1 (12 rows)', 'Month 1', 'Month 2']);
+  const button = table.querySelector('.expand-btn');
+  assert.equal(button.getAttribute('aria-expanded'), 'true');
+
+  // Closing a year keeps it closed across re-renders
+  button.click();
+  assert.equal(shown().length, 27);
+  renderTable(summarizeByYear(schedule), config(true));
+  assert.equal(shown().length, 27);
+
+  // Annual summaries: every year starts closed again, and jumping to one opens it
+  renderTable(summarizeByYear(schedule), config(false));
+  assert.equal(shown().length, 3);
+  const select = document.getElementById('table-tools').querySelector('select');
+  select.value = '2';
+  select.dispatchEvent({ type: 'change' });
+  assert.equal(shown().length, 13);
+});
+
+test('renderResults shows the payment, breakdown and cost of credit', () => {
+  const inputs = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 1 };
+  const result = computeMortgage(inputs);
+  renderResults({ ...result, apr: computeApr(inputs) }, { ...inputs, rateType: 'fixed', solveFor: 'payment' });
+
+  const container = document.getElementById('results-content');
+  const titles = container.querySelectorAll('h5').map(h => h.textContent);
+  assert.deepEqual(titles, ['Annual Payment (PMT)', 'Payment Breakdown', 'Cost of Credit']);
+
+  const payment = container.querySelector('.result-value');
+  assert.equal(payment.textContent, '$22,973.23 per year');
+  assert.equal(payment.querySelector('[aria-live]').getAttribute('aria-live'), 'polite');
+  assert.match(container.querySelector('.analysis-content').textContent, /^Over 30 years/);
+  assert.match(container.textContent, /APR: 6\.500%/);
+});
+
+test('renderResults adds boxes for balloons, prepayments and refinancing', () => {
+  const inputs = {
+    loanAmount: 300000, annualRate: 7, years: 30, paymentsPerYear: 12,
+    balloonYears: 10, extraPayment: 100
+  };
+  const result = computeMortgage(inputs);
+  const refinance = computeRefinance({ ...inputs, balloonYears: 0, extraPayment: 0,
+    refiYearsPaid: 5, refiRate: 5.5, refiYears: 25, refiClosingCosts: 4000 });
+  renderResults({ ...result, refinance }, { ...inputs, rateType: 'fixed', solveFor: 'payment' });
+
+  const container = document.getElementById('results-content');
+  const titles = container.querySelectorAll('h5').map(h => h.textContent);
+  assert.deepEqual(titles, ['Monthly Payment (PMT)', 'Balloon Payment', 'Payment Breakdown', 'Prepayment Savings', 'Refinance Analysis']);
+  assert.match(container.textContent, /due in year 10/);
+  assert.match(container.textContent, /Over 10 years/);
+  assert.match(container.textContent, /compared without extra payments or lump sums/);
+});
+
+test('renderResults notes the solved input', () => {
+  const inputs = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12 };
+  renderResults(computeMortgage(inputs),
+    { ...inputs, rateType: 'fixed', solveFor: 'annualRate', solvedValue: 6.5 });
+
+  const note = document.getElementById('results-content').querySelector('.result-note');
+  assert.equal(note.textContent, 'Solved: Interest rate = 6.5000%');
+});
+
+test('renderResults shows a solved term in years and periods', () => {
+  const inputs = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 12, solveFor: 'years', targetPayment: 2000 };
+  const years = solveUnknown(inputs).value;
+  const solved = { ...inputs, years, solveFor: 'payment' };
+  renderResults(computeMortgage(solved), { ...solved, rateType: 'fixed', solveFor: 'years', solvedValue: years });
+
+  const container = document.getElementById('results-content');
+  const term = formatTerm(computeMortgage(solved).schedule.length, 12);
+  assert.match(term, /^\d+ years \d+ months$/);
+  assert.equal(container.querySelector('.result-note').textContent, `Solved: Term = ${term}`);
+  assert.match(container.querySelector('.analysis-content').textContent, new RegExp(`^Over ${term}`));
+
+  const balloon = { ...solved, balloonYears: 10 };
+  renderResults(computeMortgage(balloon), { ...balloon, rateType: 'fixed', solveFor: 'years', solvedValue: years });
+  assert.match(container.textContent, new RegExp(`Regular payments amortize over ${term}`));
+  assert.match(container.textContent, /Over 10 years/);
+  assert.doesNotMatch(container.textContent, /\d\.\d{3,}/);
+});
+
+test('renderResults shows amounts in the chosen locale and currency', () => {
+  const inputs = { loanAmount: 300000, annualRate: 6.5, years: 30, paymentsPerYear: 1 };
+  const result = computeMortgage(inputs);
+  renderResults({ ...result, apr: computeApr(inputs) }, { ...inputs, rateType: 'fixed', solveFor: 'payment' },
+    document, createFormat({ locale: 'de-DE', currency: 'EUR' }));
+
+  const container = document.getElementById('results-content');
+  assert.equal(container.querySelector('.result-value').textContent, '22.973,23\u00a0€ per year');
+  assert.match(container.textContent, /APR: 6,500\s%/);
+});
@@ -0,0 +1,94 @@
+/**
+ * Report tests – Mortgage Calculator
+ * The printable report's contents, its chart layout and the PDF built from it.
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, chartLayout, toPdf } from '../modules/report.js';
+import { createPdf, encodeWinAnsi, textWidth } from '../modules/pdf.js';
+import { buildScheduleExport } from '../modules/export.js';
+import { computeMortgage } from '../modules/calculations.js';
+import { DEFAULT_INPUTS } from '../modules/state.js';
+import { createFormat } from '../modules/utils.js';
+
+const usd = createFormat();
+
+function reportFor(overrides = {}, format = usd){
+  const inputs = { ...DEFAULT_INPUTS, loanAmount: 200000, annualRate: 6, years: 30, paymentsPerYear: 12, ...overrides };
+  const result = computeMortgage(inputs);
+  const sheet = buildScheduleExport(result.schedule, inputs, { periodLabel: 'Month', annualSummary: false, format });
+  return { inputs, result, report: buildReport(sheet, result, inputs, format) };
+}
+
+test('the formula shows the general form and the loan\'s values', () => {
+  const { report, result } = reportFor();
+  const text = parts => parts.map(part => part.text || `^${part.sup}`).join('');
+  assert.equal(text(report.formula.general), 'PMT = P × r(1 + r)^n / [(1 + r)^n − 1]');
+  assert.equal(text(report.formula.values), 'PMT = 200,000.00 × 0.005000(1.005000)^360 / [(1.005000)^360 − 1]');
+  assert.equal(report.formula.result, `PMT = ${usd.currency(result.payment)}`);
+  assert.equal(report.formula.where[2], 'n = 360, the number of monthly payments');
+});
+
+test('after an interest-only period the formula amortizes the remaining term', () => {
+  const { report } = reportFor({ interestOnlyYears: 5 });
+  assert.match(report.formula.where[0], /^P = \$200,000\.00, the balance when interest-only payments end/);
+  assert.equal(report.formula.where[2], 'n = 300, the number of monthly payments after the interest-only period');
+  assert.ok(report.summary.some(item => item.label.startsWith('Interest-only payment')));
+});
+
+test('the report lists set inputs and follows the locale\'s paper size', () => {
+  const { report } = reportFor();
+  const labels = report.inputs.map(item => item.label);
+  assert.ok(labels.includes('Loan amount'));
+  assert.ok(!labels.includes('Extra payment per period'));
+  assert.equal(report.inputs.find(item => item.label === 'Annual interest rate').value, '6.000%');
+  assert.equal(report.pageSize, 'letter');
+  assert.equal(reportFor({}, createFormat({ locale: 'de-DE', currency: 'EUR' })).report.pageSize, 'a4');
+});
+
+test('the table has every row with a totals row; long schedules chart by year', () => {
+  const { report, result } = reportFor({ extraPayment: 100 });
+  assert.equal(report.table.rows.length, result.schedule.length);
+  assert.equal(report.table.totals[0], 'Total');
+  assert.equal(report.chart.periodLabel, 'Year');
+  assert.deepEqual(report.chart.series.map(s => s.label), ['Scheduled principal', 'Interest', 'Extra principal']);
+
+  const layout = chartLayout(report.chart, 500, 220, usd);
+  assert.ok(layout.xLabels.length <= 10);
+  assert.ok(layout.bars.every(bar => bar.y >= layout.plot.y - 0.001));
+});
+
+test('text is encoded for the standard fonts and measured with their widths', () => {
+  assert.deepEqual(encodeWinAnsi('€1 £'), [0x80, 0x31, 0xA0, 0xA3]);
+  assert.deepEqual(encodeWinAnsi('−₹'), [0x2D, 0x52, 0x73]);
+  assert.equal(textWidth('Hi', 10), 9.44);
+  assert.ok(textWidth('Hi', 10, true) > textWidth('Hi', 10));
+});
+
+test('createPdf writes a valid file structure', () => {
+  const pdf = createPdf({ title: 'Test (1)' });
+  const page = pdf.addPage();
+  pdf.text(page, 10, 20, 'Total: €5');
+  const text = new TextDecoder().decode(pdf.toBytes());
+  assert.ok(text.startsWith('%PDF-1.4'));
+  assert.ok(text.includes('(Total: \\2005) Tj'));
+  assert.ok(text.includes('/Title (Test \\(1\\))'));
+  // The cross-reference table points at each object
+  const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+  assert.ok(text.startsWith('xref', xref));
+  const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj`, offset)));
+});
+
+test('the PDF report paginates the schedule with page numbers', () => {
+  const { report } = reportFor();
+  const text = new TextDecoder().decode(toPdf(report, usd));
+  const pages = Number(text.match(/\/Count (\d+)/)[1]);
+  assert.ok(pages > 5);
+  assert.ok(text.includes(`(Page ${pages} of ${pages}) Tj`));
+  // The header row starts every schedule page
+  assert.equal(text.split('(Ending Balance) Tj').length - 1, pages - 1);
+  assert.ok(text.includes('(Total) Tj'));
+});
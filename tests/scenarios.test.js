@@ -0,0 +1,41 @@
+/**
+ * Saved scenario tests – Mortgage Calculator
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScenarios, saveScenario, deleteScenario } from '../modules/scenarios.js';
+
+// In-memory stand-in for localStorage
+function memoryStorage(){
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); }
+  };
+}
+
+test('scenarios are saved, replaced by name and deleted', () => {
+  const storage = memoryStorage();
+  assert.ok(saveScenario('A', { years: 30 }, storage));
+  assert.ok(saveScenario('B', { years: 15 }, storage));
+  assert.ok(saveScenario('A', { years: 20 }, storage));
+  assert.deepEqual(loadScenarios(storage).map(sc => [sc.name, sc.inputs.years]), [['B', 15], ['A', 20]]);
+  assert.ok(deleteScenario('B', storage));
+  assert.deepEqual(loadScenarios(storage).map(sc => sc.name), ['A']);
+});
+
+test('blocked storage reads as no scenarios and fails to save', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const previous = globalThis.window;
+  // Sandboxed frames throw a SecurityError as soon as localStorage is read
+  globalThis.window = { get localStorage(){ throw new Error('SecurityError'); } };
+  try {
+    assert.deepEqual(loadScenarios(), []);
+    assert.equal(saveScenario('A', { years: 30 }), false);
+    assert.equal(deleteScenario('A'), false);
+  } finally {
+    globalThis.window = previous;
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * State store tests – Mortgage Calculator
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { state, setState, subscribe, shallowEqual, createStore } from '../modules/state.js';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('shallowEqual compares values and one level of entries', () => {
+  const rows = [1, 2];
+  assert.ok(shallowEqual(1, 1));
+  assert.ok(shallowEqual(NaN, NaN));
+  assert.ok(shallowEqual({ a: 1, rows }, { a: 1, rows }));
+  assert.ok(shallowEqual([1, rows], [1, rows]));
+  assert.ok(!shallowEqual({ a: 1, rows }, { a: 1, rows: [1, 2] }));
+  assert.ok(!shallowEqual({ a: 1 }, { a: 1, b: undefined }));
+  assert.ok(!shallowEqual([1], { 0: 1 }));
+  assert.ok(!shallowEqual(null, {}));
+});
+
+test('setState updates at once and notifies once per batch', async () => {
+  const seen = [];
+  const unsubscribe = subscribe(s => seen.push(s.years));
+  setState({ years: 10 });
+  setState({ years: 20 });
+  assert.equal(state.years, 20);
+  assert.deepEqual(seen, []);
+  await settle();
+  assert.deepEqual(seen, [20]);
+  unsubscribe();
+});
+
+test('field subscriptions only run when one of their fields changes', async () => {
+  let calls = 0;
+  const unsubscribe = subscribe(() => { calls += 1; }, ['loanAmount', 'annualRate']);
+  setState({ viewMode: 'table' });
+  await settle();
+  assert.equal(calls, 0);
+
+  setState({ annualRate: 7 });
+  await settle();
+  assert.equal(calls, 1);
+
+  // Setting the same value again is not a change
+  setState({ annualRate: 7, viewMode: 'chart' });
+  await settle();
+  assert.equal(calls, 1);
+  unsubscribe();
+});
+
+test('selector subscriptions compare the selection shallowly', async () => {
+  let calls = 0;
+  const unsubscribe = subscribe(() => { calls += 1; }, s => ({ term: s.years * s.paymentsPerYear }));
+  setState({ years: 15, paymentsPerYear: 2 });
+  await settle();
+  assert.equal(calls, 1);
+  setState({ years: 30, paymentsPerYear: 1 });
+  await settle();
+  assert.equal(calls, 1);
+  unsubscribe();
+});
+
+test('unsubscribed listeners are not called', async () => {
+  let calls = 0;
+  const unsubscribe = subscribe(() => { calls += 1; });
+  unsubscribe();
+  setState({ years: 5 });
+  await settle();
+  assert.equal(calls, 0);
+});
+
+test('each store from createStore keeps its own state and listeners', async () => {
+  const first = createStore();
+  const second = createStore();
+  let calls = 0;
+  const unsubscribe = second.subscribe(() => { calls += 1; }, ['years']);
+  first.setState({ years: 12, lumpSums: [{ period: 1, amount: 100 }] });
+  await settle();
+  assert.equal(second.state.years, 30);
+  assert.deepEqual(second.state.lumpSums, []);
+  assert.equal(calls, 0);
+  unsubscribe();
+});
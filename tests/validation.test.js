@@ -0,0 +1,171 @@
+/**
+ * Validation rule tests – Mortgage Calculator
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_INPUTS } from '../modules/state.js';
+import { createFormat } from '../modules/utils.js';
+import {
+  validateField, validateAllInputs, validateViewSettings, findWarnings, hasErrors,
+  DEFAULT_RULES, loanTypeTerm, maxLoanToValue, highRateWarning
+} from '../modules/validation-rules.js';
+
+test('default inputs are valid', () => {
+  assert.deepEqual(validateAllInputs(DEFAULT_INPUTS), {});
+});
+
+test('numeric fields enforce their ranges and report blanks as required', () => {
+  assert.equal(validateField('loanAmount', 999), 'Loan amount must be between $1,000 and $10,000,000');
+  assert.equal(validateField('loanAmount', 1000), null);
+  assert.equal(validateField('loanAmount', NaN), 'Loan Amount is required');
+  assert.equal(validateField('annualRate', 25.01), 'Rate must be between 0% and 25%');
+  assert.equal(validateField('annualRate', 0), null);
+  assert.equal(validateField('years', 0), 'Term must be between 1 and 40 years');
+  assert.equal(validateField('years', 40), null);
+  assert.equal(validateField('years', 41), 'Term must be between 1 and 40 years');
+});
+
+test('choice fields only accept their options', () => {
+  assert.equal(validateField('paymentsPerYear', 12), null);
+  assert.equal(validateField('paymentsPerYear', 6), 'Payment frequency must be annual, semi-annual, quarterly or monthly');
+  assert.equal(validateField('dayCount', 'ACT/365'), null);
+  assert.equal(validateField('dayCount', 'ACT/ACT'), 'Day count must be 30/360, Actual/365 or Actual/360');
+  assert.equal(validateField('roundToCents', 'yes'), 'Round to cents must be on or off');
+});
+
+test('list fields are checked by their own validators', () => {
+  assert.equal(validateField('lumpSums', []), null);
+  assert.equal(validateField('lumpSums', null), 'Lump sums must be entered as period:amount pairs, e.g. 12:10000, 60:5000');
+  assert.equal(validateField('lumpSums', [{ period: 0, amount: 100 }]), 'Each lump sum needs a period of 1 or more and an amount above $0');
+});
+
+test('lump sums must fall on a payment of the loan', () => {
+  const loan = { ...DEFAULT_INPUTS, years: 30, paymentsPerYear: 12 };
+  assert.equal(validateField('lumpSums', [{ period: 360, amount: 100 }], loan), null);
+  assert.equal(validateField('lumpSums', [{ period: 12, amount: 100 }, { period: 361, amount: 100 }], loan),
+    'Lump sum at period 361 falls after the last payment (period 360)');
+  assert.equal(validateField('lumpSums', [{ period: 121, amount: 100 }], { ...loan, balloonYears: 10 }),
+    'Lump sum at period 121 falls after the last payment (period 120)');
+  assert.equal(validateAllInputs({ ...loan, lumpSums: [{ period: 400, amount: 100 }] }).lumpSums,
+    'Lump sum at period 400 falls after the last payment (period 360)');
+});
+
+test('dates must be real calendar dates, and quotes cannot predate the loan', () => {
+  assert.equal(validateField('startDate', '2026-02-30'), 'Loan start date must be a valid date');
+  assert.equal(validateField('startDate', '2024-02-29'), null);
+  const inputs = { ...DEFAULT_INPUTS, quoteBy: 'date' };
+  assert.equal(validateField('quoteDate', '2025-12-31', inputs), 'Quote date cannot be before the loan start date');
+  assert.equal(validateField('quoteDate', '2031-07-01', inputs), null);
+  // Ignored while quoting by period
+  assert.equal(validateField('quoteDate', 'not a date', DEFAULT_INPUTS), null);
+});
+
+test('cross-field rules compare against the other inputs', () => {
+  const inputs = { ...DEFAULT_INPUTS, years: 10 };
+  assert.equal(validateField('interestOnlyYears', 10, inputs), 'Interest-only period must be shorter than the loan term');
+  assert.equal(validateField('interestOnlyYears', 5, { ...inputs, balloonYears: 5 }),
+    'Interest-only period must end before the balloon is due');
+});
+
+test('adjustable-rate fields are only checked for adjustable loans', () => {
+  assert.equal(validateField('armFixedYears', 30, DEFAULT_INPUTS), null);
+  const arm = { ...DEFAULT_INPUTS, rateType: 'arm' };
+  assert.equal(validateField('armFixedYears', 30, arm), 'Initial fixed period must be between 1 and 10 years');
+  assert.equal(validateAllInputs({ ...arm, armIndexPath: null }).armIndexPath,
+    'Index path must be a list of rates between 0% and 25%, e.g. 4.5, 5, 5.25');
+});
+
+test('solve mode skips the unknown and reports unreachable targets', () => {
+  const solving = { ...DEFAULT_INPUTS, paymentsPerYear: 12, solveFor: 'annualRate', annualRate: NaN, targetPayment: 2000 };
+  assert.deepEqual(validateAllInputs(solving), {});
+  assert.equal(validateAllInputs({ ...solving, targetPayment: 500 }).targetPayment,
+    'Payment is too low to repay the loan even at a 0% rate');
+  assert.equal(validateAllInputs({ ...solving, solveFor: 'years', annualRate: 6.5, years: NaN, targetPayment: 1500 }).targetPayment,
+    "Payment does not cover the first period's interest of $1,625.00");
+});
+
+test('refinance is rejected once the current loan is repaid', () => {
+  const refinancing = { ...DEFAULT_INPUTS, compareRefinance: true, years: 5, refiYearsPaid: 5 };
+  assert.equal(validateAllInputs(refinancing).refiYearsPaid, 'The current loan is already repaid by the refinance date');
+  assert.deepEqual(validateAllInputs({ ...refinancing, refiYearsPaid: 4 }), {});
+});
+
+test('view settings from a link are validated separately', () => {
+  assert.deepEqual(validateViewSettings({ viewMode: 'table', annualSummary: true }), {});
+  const errors = validateViewSettings({ viewMode: 'grid', annualSummary: 'yes' });
+  assert.ok(hasErrors(errors));
+  assert.deepEqual(Object.keys(errors), ['viewMode', 'annualSummary']);
+  assert.deepEqual(validateViewSettings({ chartType: 'equity' }), {});
+  assert.deepEqual(Object.keys(validateViewSettings({ chartType: 'pie' })), ['chartType']);
+  assert.deepEqual(validateViewSettings({ locale: 'de-DE', currency: 'EUR' }), {});
+  assert.deepEqual(Object.keys(validateViewSettings({ locale: 'not a locale', currency: 'euro' })), ['locale', 'currency']);
+});
+
+test('loan types limit the term', () => {
+  assert.deepEqual(validateAllInputs({ ...DEFAULT_INPUTS, years: 40 }), {});
+  assert.equal(validateAllInputs({ ...DEFAULT_INPUTS, loanType: 'fha', years: 40 }).years,
+    'FHA loans must have a term between 10 and 30 years');
+  assert.equal(validateField('loanType', 'subprime'), 'Loan type must be general, conventional, FHA, VA or jumbo');
+  // Solving for the term leaves the limit to the solved value
+  assert.deepEqual(validateAllInputs({ ...DEFAULT_INPUTS, loanType: 'fha', solveFor: 'years', years: NaN, targetPayment: 30000 }), {});
+  assert.equal(validateAllInputs({ ...DEFAULT_INPUTS, loanType: 'fha', solveFor: 'years', years: NaN, targetPayment: 21500 }).targetPayment,
+    'No Loan Term (Years) in range gives this payment: FHA loans must have a term between 10 and 30 years');
+});
+
+test('a solved term must leave room for the balloon and interest-only period', () => {
+  const solving = { ...DEFAULT_INPUTS, solveFor: 'years', years: NaN };
+  assert.deepEqual(validateAllInputs({ ...solving, balloonYears: 10, targetPayment: 22973.23 }), {});
+  assert.equal(validateAllInputs({ ...solving, balloonYears: 10, targetPayment: 60000 }).targetPayment,
+    'No Loan Term (Years) in range gives this payment: Balloon must fall due before the end of the amortization term');
+  assert.deepEqual(validateAllInputs({ ...solving, interestOnlyYears: 5, targetPayment: 60000 }), {});
+});
+
+test('a property value caps the loan-to-value ratio for the loan type', () => {
+  const inputs = { ...DEFAULT_INPUTS, propertyValue: 320000 };
+  assert.deepEqual(validateAllInputs(inputs), {});
+  assert.equal(validateAllInputs({ ...inputs, loanType: 'jumbo' }).loanAmount,
+    'Loan-to-value of 93.8% is above the 90% allowed for jumbo loans');
+  assert.equal(validateAllInputs({ ...inputs, propertyValue: 250000 }).loanAmount,
+    'Loan-to-value of 120.0% is above the 100% allowed for general loans');
+});
+
+test('warnings advise without blocking', () => {
+  const inputs = { ...DEFAULT_INPUTS, annualRate: 14, propertyValue: 320000 };
+  assert.deepEqual(validateAllInputs(inputs), {});
+  assert.deepEqual(findWarnings(inputs), {
+    annualRate: 'A rate of 14.00% is unusually high for a mortgage',
+    loanAmount: 'Loan-to-value of 93.8% is above 80%; lenders usually require mortgage insurance'
+  });
+  assert.deepEqual(findWarnings(DEFAULT_INPUTS), {});
+});
+
+test('messages quote amounts and rates in the calculator\'s format', () => {
+  const euros = createFormat({ locale: 'de-DE', currency: 'EUR' });
+  const errors = validateAllInputs({ ...DEFAULT_INPUTS, loanAmount: 500, annualRate: 30 }, DEFAULT_RULES, euros);
+  assert.equal(errors.loanAmount, 'Loan amount must be between 1.000\u00a0€ and 10.000.000\u00a0€');
+  assert.equal(errors.annualRate, 'Rate must be between 0\u00a0% and 25\u00a0%');
+  assert.equal(validateField('otherCharges', 300000, DEFAULT_INPUTS, euros),
+    'Points and fees (300.000,00\u00a0€) cannot exceed the loan amount');
+  assert.equal(validateAllInputs({ ...DEFAULT_INPUTS, propertyValue: 305000, loanType: 'fha' }, DEFAULT_RULES, euros).loanAmount,
+    'Loan-to-value of 98,4\u00a0% is above the 96,5\u00a0% allowed for fha loans');
+  assert.deepEqual(findWarnings({ ...DEFAULT_INPUTS, annualRate: 14 }, DEFAULT_RULES, euros),
+    { annualRate: 'A rate of 14,00\u00a0% is unusually high for a mortgage' });
+
+  const yen = createFormat({ locale: 'ja-JP', currency: 'JPY' });
+  const solve = { ...DEFAULT_INPUTS, paymentsPerYear: 12, solveFor: 'years', targetPayment: 1000 };
+  assert.match(validateAllInputs(solve, DEFAULT_RULES, yen).targetPayment, /^Payment does not cover the first period's interest of ￥1,625$/);
+});
+
+test('each calculator can declare its own rules', () => {
+  const strict = { fha: { label: 'FHA', minYears: 10, maxYears: 15, maxLtv: 80 } };
+  const rules = [loanTypeTerm(strict), maxLoanToValue(strict), highRateWarning(6)];
+  const inputs = { ...DEFAULT_INPUTS, loanType: 'fha', years: 15, propertyValue: 400000 };
+  assert.deepEqual(validateAllInputs(inputs, rules), {});
+  assert.equal(validateAllInputs({ ...inputs, years: 30 }, rules).years, 'FHA loans must have a term between 10 and 15 years');
+  assert.deepEqual(Object.keys(findWarnings(inputs, rules)), ['annualRate']);
+  // Leaving a rule out turns its check off
+  const noRefinanceCheck = DEFAULT_RULES.filter(rule => rule.field !== 'refiYearsPaid');
+  assert.deepEqual(validateAllInputs({ ...DEFAULT_INPUTS, compareRefinance: true, years: 5, refiYearsPaid: 5 }, noRefinanceCheck), {});
+});